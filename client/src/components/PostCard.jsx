@@ -26,7 +26,7 @@ const PostCard = ({ post, onEdit, onDelete, showActions = false }) => {
         <h3 className="post-card-title" data-testid="post-title">
           {post.title}
         </h3>
-        {post.published && (
+        {post.status === 'published' && (
           <span className="post-badge published" data-testid="published-badge">
             Published
           </span>
@@ -43,7 +43,7 @@ const PostCard = ({ post, onEdit, onDelete, showActions = false }) => {
       </div>
 
       <p className="post-card-content" data-testid="post-content">
-        {truncateContent(post.content)}
+        {post.excerpt || truncateContent(post.content)}
       </p>
 
       {post.tags && post.tags.length > 0 && (
@@ -11,7 +11,7 @@ describe('PostCard Component', () => {
     author: { username: 'testuser' },
     createdAt: '2024-01-15T10:00:00.000Z',
     tags: ['javascript', 'testing'],
-    published: true,
+    status: 'published',
   });
 
   const mockOnEdit = jest.fn();
@@ -57,7 +57,7 @@ describe('PostCard Component', () => {
     });
 
     it('should not render published badge when post is not published', () => {
-      const unpublishedPost = { ...mockPost, published: false };
+      const unpublishedPost = { ...mockPost, status: 'draft' };
       render(<PostCard post={unpublishedPost} />);
 
       expect(screen.queryByTestId('published-badge')).not.toBeInTheDocument();
@@ -109,6 +109,14 @@ describe('PostCard Component', () => {
       expect(contentElement.textContent).toBe(shortContent);
       expect(contentElement.textContent).not.toMatch(/\.\.\.$/);
     });
+
+    it('should show the excerpt instead of the content when there is one', () => {
+      const postWithExcerpt = { ...mockPost, content: '# Heading\n\n**Bold** text', excerpt: 'Heading Bold text' };
+
+      render(<PostCard post={postWithExcerpt} />);
+
+      expect(screen.getByTestId('post-content')).toHaveTextContent('Heading Bold text');
+    });
   });
 
   describe('Actions', () => {
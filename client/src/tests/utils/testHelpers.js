@@ -51,7 +51,7 @@ export const generateMockPost = (overrides = {}) => {
     content: faker.lorem.paragraphs(3),
     author: generateMockUser(),
     slug: faker.lorem.slug(),
-    published: faker.datatype.boolean(),
+    status: faker.helpers.arrayElement(['draft', 'published']),
     tags: [faker.lorem.word(), faker.lorem.word()],
     createdAt: faker.date.past().toISOString(),
     updatedAt: faker.date.recent().toISOString(),
@@ -2,6 +2,7 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../src/models/User');
 const Post = require('../src/models/Post');
+const Role = require('../src/models/Role');
 
 const setupTestDatabase = async () => {
   try {
@@ -18,23 +19,28 @@ const setupTestDatabase = async () => {
     await Post.deleteMany({});
     console.log('Cleared existing data');
 
+    await Role.ensureDefaults();
+
     // Create test users
     const users = await User.create([
       {
         username: 'testuser1',
         email: 'test1@example.com',
         password: 'password123',
+        emailVerified: true,
       },
       {
         username: 'testuser2',
         email: 'test2@example.com',
         password: 'password123',
+        emailVerified: true,
       },
       {
         username: 'admin',
         email: 'admin@example.com',
         password: 'password123',
         role: 'admin',
+        emailVerified: true,
       },
     ]);
 
@@ -6,8 +6,12 @@ const requestLogger = require('./middleware/requestLogger');
 const app = express();
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Browsers need ETag exposed to send it back in If-Match
+app.use(cors({ exposedHeaders: ['ETag'] }));
+// PATCH /api/posts/:id also takes merge patches and JSON Patches
+app.use(express.json({
+  type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'],
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging (only in development)
@@ -18,6 +22,11 @@ if (process.env.NODE_ENV !== 'test') {
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/posts', require('./routes/posts'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/attachments', require('./routes/attachments'));
+app.use('/feeds', require('./routes/feeds'));
 
 // Test routes (only in test environment)
 if (process.env.NODE_ENV === 'test') {
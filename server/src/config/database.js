@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Role = require('../models/Role');
 const logger = require('../utils/logger');
 
 const connectDB = async () => {
@@ -14,6 +15,9 @@ const connectDB = async () => {
     });
 
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Make sure the built-in roles exist
+    await Role.ensureDefaults();
   } catch (error) {
     logger.error('Error connecting to MongoDB:', error);
     process.exit(1);
@@ -0,0 +1,49 @@
+/**
+ * Permission catalog and the built-in roles composed from it
+ *
+ * Permissions ending in :own only apply to resources the user owns;
+ * :any applies to everyone's. '*' grants every permission.
+ */
+
+const PERMISSIONS = [
+  'post:create',
+  'post:update:own',
+  'post:update:any',
+  'post:delete:own',
+  'post:delete:any',
+  'post:publish',
+  'category:manage',
+  'comment:moderate',
+  'user:manage',
+  'role:manage',
+];
+
+const USER_PERMISSIONS = ['post:create', 'post:update:own', 'post:delete:own'];
+
+const DEFAULT_ROLES = {
+  user: {
+    description: 'Registered user who can write posts but not publish them',
+    permissions: USER_PERMISSIONS,
+  },
+  author: {
+    description: 'Writer who can publish their own posts',
+    permissions: [...USER_PERMISSIONS, 'post:publish'],
+  },
+  editor: {
+    description: 'Can edit and publish any post',
+    permissions: [...USER_PERMISSIONS, 'post:update:any', 'post:publish', 'comment:moderate'],
+  },
+  moderator: {
+    description: 'Can remove any post and moderate comments',
+    permissions: [...USER_PERMISSIONS, 'post:delete:any', 'comment:moderate'],
+  },
+  admin: {
+    description: 'Full access',
+    permissions: ['*'],
+  },
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+};
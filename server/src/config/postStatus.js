@@ -0,0 +1,35 @@
+/**
+ * Post status lifecycle
+ *
+ * Posts start as drafts and only published posts are public. Each
+ * transition lists the statuses it can start from and, where moving a
+ * post out of its author's hands matters, the extra permission it needs
+ * on top of being able to update the post.
+ */
+
+const POST_STATUSES = ['draft', 'review', 'scheduled', 'published', 'archived'];
+
+const POST_TRANSITIONS = {
+  // Ask an editor to review the post
+  submit: { from: ['draft'], to: 'review' },
+  // Take a post back out of review, or send it back as an editor
+  withdraw: { from: ['review'], to: 'draft' },
+  publish: {
+    from: ['draft', 'review', 'scheduled', 'archived'],
+    to: 'published',
+    permission: 'post:publish',
+  },
+  // Publish later; the scheduler publishes the post when scheduledFor passes
+  schedule: {
+    from: ['draft', 'review', 'scheduled'],
+    to: 'scheduled',
+    permission: 'post:publish',
+  },
+  unpublish: { from: ['scheduled', 'published'], to: 'draft', permission: 'post:publish' },
+  archive: { from: ['published'], to: 'archived', permission: 'post:publish' },
+};
+
+module.exports = {
+  POST_STATUSES,
+  POST_TRANSITIONS,
+};
@@ -0,0 +1,305 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendPasswordResetEmail } = require('../utils/notifications');
+const escapeRegex = require('../utils/escapeRegex');
+const logger = require('../utils/logger');
+
+/**
+ * List users with search and pagination
+ * GET /api/admin/users
+ */
+exports.getUsers = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { q, role, status } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    // Build query
+    const query = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (status === 'suspended') {
+      query.suspendedAt = { $ne: null };
+    } else if (status === 'active') {
+      query.suspendedAt = null;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      User.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      users,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single user
+ * GET /api/admin/users/:id
+ */
+exports.getUser = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json({ success: true, user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * PATCH /api/admin/users/:id/role
+ */
+exports.updateRole = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    // Stop admins from locking themselves out
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.info('User role changed by admin', {
+      user: user._id.toString(),
+      role: user.role,
+      admin: req.user.id,
+    });
+
+    res.status(200).json({ success: true, user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suspend a user and end their sessions
+ * POST /api/admin/users/:id/suspend
+ */
+exports.suspendUser = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend yourself' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { suspendedAt: new Date(), suspensionReason: req.body.reason },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await Session.revokeAllForUser(user._id);
+
+    logger.info('User suspended by admin', {
+      user: user._id.toString(),
+      admin: req.user.id,
+      reason: req.body.reason,
+    });
+
+    res.status(200).json({ success: true, user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lift a suspension
+ * POST /api/admin/users/:id/unsuspend
+ */
+exports.unsuspendUser = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { suspendedAt: 1, suspensionReason: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.info('User unsuspended by admin', {
+      user: user._id.toString(),
+      admin: req.user.id,
+    });
+
+    res.status(200).json({ success: true, user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make a user choose a new password before logging in again
+ * POST /api/admin/users/:id/force-password-reset
+ */
+exports.forcePasswordReset = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id);
+    await sendPasswordResetEmail(user, resetToken);
+
+    logger.info('Password reset forced by admin', {
+      user: user._id.toString(),
+      admin: req.user.id,
+    });
+
+    res.status(200).json({ success: true, message: 'Password reset email sent' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlock an account locked by failed logins
+ * POST /api/admin/users/:id/unlock
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await user.resetLoginAttempts();
+
+    logger.info('Account unlocked by admin', {
+      user: user._id.toString(),
+      admin: req.user.id,
+    });
+
+    res.status(200).json({ success: true, message: 'Account unlocked' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete a user
+ * Their posts are deleted unless ?reassignTo=<userId> is given
+ * DELETE /api/admin/users/:id
+ */
+exports.deleteUser = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete yourself' });
+    }
+
+    const { reassignTo } = req.query;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (reassignTo) {
+      if (reassignTo === req.params.id || !(await User.exists({ _id: reassignTo }))) {
+        return res.status(400).json({ error: 'Invalid user to reassign posts to' });
+      }
+    }
+
+    await User.purge([user._id], { reassignPostsTo: reassignTo });
+
+    logger.info('User deleted by admin', {
+      user: user._id.toString(),
+      admin: req.user.id,
+      reassignedTo: reassignTo,
+    });
+
+    res.status(200).json({ success: true, message: 'User deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,86 @@
+const { validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const { restrictToScopes } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * List the current user's API keys
+ * GET /api/users/me/api-keys
+ */
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({ success: true, apiKeys });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an API key
+ * The raw key is only returned in this response
+ * POST /api/users/me/api-keys
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    // Keys can't do more than their owner
+    const granted = await Role.getPermissions(req.user.role);
+    if (restrictToScopes(granted, scopes).length !== scopes.length) {
+      return res.status(403).json({ error: 'You cannot grant scopes your role does not have' });
+    }
+
+    const { key, doc } = await ApiKey.issue(req.user, { name, scopes, expiresAt });
+
+    logger.info('API key created', { user: req.user.id, apiKey: doc._id.toString() });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now, it will not be shown again',
+      key,
+      apiKey: doc,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's API keys
+ * DELETE /api/users/me/api-keys/:id
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    logger.info('API key revoked', { user: req.user.id, apiKey: apiKey._id.toString() });
+
+    res.status(200).json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
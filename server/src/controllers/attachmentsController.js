@@ -0,0 +1,196 @@
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const Post = require('../models/Post');
+const { buildVisibilityFilter } = require('../utils/postQuery');
+const { ALLOWED_MIME_TYPES, detectFileType } = require('../utils/fileType');
+const { getStorage } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+/**
+ * Get the largest image accepted, in pixels
+ */
+const getMaxPixels = () => parseInt(process.env.ATTACHMENT_MAX_PIXELS, 10) || 40000000;
+
+/**
+ * Make an image's thumbnail and get the size it is shown at
+ * Its pixel count must be checked against getMaxPixels() first; the decode
+ * limit here only backs that up.
+ * @param {Buffer} buffer - Image contents
+ * @param {Object} metadata - { width, height, orientation } from sharp
+ * @returns {Object} { width, height, thumbnail } with a WebP thumbnail
+ */
+const processImage = async (buffer, { width, height, orientation }) => {
+  const size = parseInt(process.env.ATTACHMENT_THUMBNAIL_SIZE, 10) || 320;
+  const thumbnail = await sharp(buffer, { limitInputPixels: getMaxPixels() })
+    .rotate()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+  // EXIF orientations 5-8 turn the photo a quarter, swapping its sides
+  const turned = orientation >= 5;
+  return { width: turned ? height : width, height: turned ? width : height, thumbnail };
+};
+
+/**
+ * List a post's attachments, oldest first
+ * GET /api/posts/:id/attachments
+ */
+exports.getAttachments = async (req, res, next) => {
+  try {
+    const visible = buildVisibilityFilter(req.user, req.permissions);
+
+    if (!(await Post.exists({ $and: [{ _id: req.params.id }, visible] }))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const attachments = await Attachment.find({ post: req.params.id })
+      .populate('uploader', 'username')
+      .sort({ createdAt: 1, _id: 1 });
+
+    res.status(200).json({ success: true, attachments });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload an image or document to a post
+ * The type is detected from the file's contents; images get a thumbnail.
+ * POST /api/posts/:id/attachments (multipart, field "file")
+ */
+exports.uploadAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const post = await Post.findById(req.params.id).select('_id');
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // The declared type is up to the client, so only the contents decide
+    const type = detectFileType(req.file.buffer);
+
+    if (!type) {
+      return res.status(415).json({ error: `Only ${ALLOWED_MIME_TYPES.join(', ')} files can be uploaded` });
+    }
+
+    let image = null;
+    if (type.isImage) {
+      try {
+        // Only the header is read here; a small file can declare more
+        // pixels than fit in memory, so the size is checked before decoding
+        const metadata = await sharp(req.file.buffer).metadata();
+        if (metadata.width * metadata.height > getMaxPixels()) {
+          return res.status(413).json({ error: `Images cannot exceed ${getMaxPixels()} pixels` });
+        }
+        image = await processImage(req.file.buffer, metadata);
+      } catch (error) {
+        return res.status(400).json({ error: 'Image could not be read', details: error.message });
+      }
+    }
+
+    const attachment = new Attachment({
+      post: post._id,
+      uploader: req.user._id,
+      originalName: req.file.originalname,
+      mimeType: type.mime,
+      size: req.file.size,
+      width: image && image.width,
+      height: image && image.height,
+    });
+    attachment.key = `attachments/${post._id}/${attachment._id}.${type.extension}`;
+    attachment.thumbnailKey = image && `attachments/${post._id}/${attachment._id}-thumb.webp`;
+
+    const storage = getStorage();
+    try {
+      await storage.put(attachment.key, req.file.buffer, type.mime);
+      if (image) {
+        await storage.put(attachment.thumbnailKey, image.thumbnail, 'image/webp');
+      }
+      await attachment.save();
+    } catch (error) {
+      // Don't leave files behind that no attachment points to
+      await Promise.all(attachment.storageKeys().map((key) => storage.delete(key).catch(() => {})));
+      throw error;
+    }
+
+    logger.info('Attachment uploaded', { attachment: attachment.id, post: post.id, user: req.user.id });
+
+    res.status(201).json({ success: true, attachment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an attachment and its files
+ * DELETE /api/posts/:id/attachments/:attachmentId
+ */
+exports.deleteAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, post: req.params.id });
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await attachment.removeWithFiles();
+
+    res.status(200).json({ success: true, message: 'Attachment deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that sends one of an attachment's files
+ * Only readers who can see the post get them.
+ * @param {String} which - 'original' or 'thumbnail'
+ */
+const serveFile = (which) => async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id);
+    const visible = buildVisibilityFilter(req.user, req.permissions);
+
+    if (!attachment || !(await Post.exists({ $and: [{ _id: attachment.post }, visible] }))) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const key = which === 'thumbnail' ? attachment.thumbnailKey : attachment.key;
+    const body = key && await getStorage().get(key);
+
+    if (!body) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const isImage = attachment.mimeType.startsWith('image/');
+    const filename = encodeURIComponent(attachment.originalName || `attachment-${attachment._id}`);
+
+    res.set({
+      'Content-Type': which === 'thumbnail' ? 'image/webp' : attachment.mimeType,
+      // Documents download rather than open in the site's origin
+      'Content-Disposition': `${isImage ? 'inline' : 'attachment'}; filename*=UTF-8''${filename}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=86400',
+    });
+    res.status(200).send(body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download an attachment
+ * GET /api/attachments/:id
+ */
+exports.getAttachmentFile = serveFile('original');
+
+/**
+ * Get an image attachment's thumbnail
+ * GET /api/attachments/:id/thumbnail
+ */
+exports.getAttachmentThumbnail = serveFile('thumbnail');
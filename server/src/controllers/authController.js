@@ -1,6 +1,82 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, comparePassword } = require('../utils/auth');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const {
+  generateToken,
+  generateMfaToken,
+  verifyMfaToken,
+  isMfaRequiredForRole,
+  comparePassword,
+  hashToken,
+} = require('../utils/auth');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/notifications');
+const loginThrottle = require('../utils/loginThrottle');
+const { restrictToScopes } = require('../utils/permissions');
+
+/**
+ * Issue an access token and a refresh token
+ * Passing a family continues an existing session instead of starting one
+ */
+const issueTokens = async (user, req, family) => {
+  if (family) {
+    await Session.renew(family, { ip: req.ip });
+  } else {
+    const session = await Session.start(user, { userAgent: req.get('User-Agent'), ip: req.ip });
+    family = session.id;
+  }
+
+  const { token: refreshToken, doc } = await RefreshToken.issue(user, {
+    family,
+    ip: req.ip,
+  });
+
+  return {
+    token: generateToken(user, doc.family),
+    refreshToken,
+    refreshTokenDoc: doc,
+  };
+};
+
+/**
+ * User fields returned alongside tokens
+ */
+const toAuthUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  mfaEnabled: user.mfaEnabled,
+});
+
+/**
+ * Respond to a login attempt on a locked account
+ */
+const sendLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    error: 'Account locked due to too many failed login attempts',
+    retryAfter,
+  });
+};
+
+/**
+ * Logging back in during the deletion grace period keeps the account
+ */
+const cancelScheduledDeletion = async (user) => {
+  if (!user.deletionScheduledFor) {
+    return;
+  }
+
+  user.deletionScheduledFor = undefined;
+  await user.save({ validateBeforeSave: false });
+  logger.info('Account deletion cancelled by login', { user: user._id.toString() });
+};
 
 /**
  * Register a new user
@@ -23,18 +99,28 @@ exports.register = async (req, res, next) => {
       password,
     });
 
-    // Generate token
-    const token = generateToken(user);
+    // Send verification email; a failure here shouldn't block registration
+    // because the user can ask for another one
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+      logger.error('Failed to send verification email', {
+        user: user._id.toString(),
+        message: error.message,
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
+      refreshToken,
+      user: toAuthUser(user),
     });
   } catch (error) {
     next(error);
@@ -55,32 +141,91 @@ exports.login = async (req, res, next) => {
 
     const { email, password } = req.body;
 
+    // Too many failures from this IP across any accounts
+    const ipRetryAfter = loginThrottle.getRetryAfter(req.ip);
+    if (ipRetryAfter) {
+      logger.warn('Login blocked for IP', { ip: req.ip, retryAfter: ipRetryAfter });
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        error: 'Too many failed login attempts, please try again later',
+        retryAfter: ipRetryAfter,
+      });
+    }
+
     // Find user (include password for comparison)
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      loginThrottle.recordFailure(req.ip);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // Don't check the password while the account is locked
+    const lockRemaining = user.getLockRemaining();
+    if (lockRemaining) {
+      return sendLocked(res, lockRemaining);
+    }
+
     // Check password
     const isMatch = await comparePassword(password, user.password);
 
     if (!isMatch) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      const ipFailures = loginThrottle.recordFailure(req.ip);
+      const lockUntil = await user.registerFailedLogin();
+
+      if (!lockUntil) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const retryAfter = Math.ceil((lockUntil.getTime() - Date.now()) / 1000);
+      logger.warn('Account locked after failed logins', {
+        user: user._id.toString(),
+        ip: req.ip,
+        ipFailures,
+        lockUntil: lockUntil.toISOString(),
+      });
+
+      return sendLocked(res, retryAfter);
     }
 
-    // Generate token
-    const token = generateToken(user);
+    // Only reveal account state to someone who knows the password
+    if (user.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        error: 'Password reset required, check your email for a reset link',
+        passwordResetRequired: true,
+      });
+    }
+
+    // Accounts with two-factor auth get a short-lived challenge instead of
+    // tokens. Failure counters are kept until the second factor is passed.
+    if (user.mfaEnabled) {
+      return res.status(200).json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user),
+      });
+    }
+
+    // Successful login clears the account's failure counters. The IP's are
+    // left to expire, or logging in to an account of one's own would clear them.
+    if (user.failedLoginAttempts || user.lockCount || user.lockUntil) {
+      await user.resetLoginAttempts();
+    }
+
+    await cancelScheduledDeletion(user);
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(200).json({
       success: true,
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
+      refreshToken,
+      user: toAuthUser(user),
     });
   } catch (error) {
     next(error);
@@ -94,11 +239,543 @@ exports.login = async (req, res, next) => {
 exports.getMe = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
+    let permissions = await Role.getPermissions(user.role);
+    if (req.apiKey) {
+      permissions = restrictToScopes(permissions, req.apiKey.scopes);
+    }
 
     res.status(200).json({
       success: true,
       user,
+      permissions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+
+    // Revoke atomically so two concurrent refreshes can't both succeed
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!current) {
+      const reused = await RefreshToken.findOne({ tokenHash });
+
+      // A rotated token being presented again means it leaked: end the session
+      if (reused) {
+        await Session.revoke(reused.family);
+        logger.warn('Refresh token reuse detected', {
+          user: reused.user.toString(),
+          family: reused.family,
+          ip: req.ip,
+        });
+      }
+
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (current.expiresAt <= new Date()) {
+      return res.status(401).json({ error: 'Refresh token expired' });
+    }
+
+    const user = await User.findById(current.user);
+
+    if (!user) {
+      await Session.revoke(current.family);
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    if (user.suspendedAt) {
+      await Session.revoke(current.family);
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    const { token, refreshToken, refreshTokenDoc } = await issueTokens(
+      user,
+      req,
+      current.family
+    );
+
+    current.replacedBy = refreshTokenDoc.tokenHash;
+    await current.save();
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Logout and revoke the session the refresh token belongs to
+ * POST /api/auth/logout
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const stored = await RefreshToken.findOne({
+      tokenHash: hashToken(req.body.refreshToken),
+    });
+
+    if (stored) {
+      await Session.revoke(stored.family);
+    }
+
+    res.status(200).json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email a password reset link
+ * POST /api/auth/forgot-password
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists
+    const response = {
+      success: true,
+      message: 'If that email is registered, a reset link has been sent',
+    };
+
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (error) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      throw error;
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password using a reset token
+ * POST /api/auth/reset-password
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    }).select('+password');
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Sign the user out everywhere; a reset is how an account is taken back,
+    // so API keys an attacker may have made go too
+    await Session.revokeAllForUser(user._id);
+    await ApiKey.revokeAllForUser(user._id);
+
+    res.status(200).json({ success: true, message: 'Password has been reset' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify an email address
+ * GET /api/auth/verify-email/:token
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({ success: true, message: 'Email verified' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a new verification email
+ * POST /api/auth/resend-verification
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+emailVerificationSentAt');
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    // Throttle so the endpoint can't be used to flood an inbox
+    const interval = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60) * 1000;
+    const elapsed = user.emailVerificationSentAt
+      ? Date.now() - user.emailVerificationSentAt.getTime()
+      : Infinity;
+
+    if (elapsed < interval) {
+      const retryAfter = Math.ceil((interval - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Verification email was sent recently, please try again later',
+        retryAfter,
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete a login with a TOTP or recovery code
+ * POST /api/auth/mfa/verify
+ */
+exports.verifyMfa = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyMfaToken(req.body.mfaToken);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired MFA challenge' });
+    }
+
+    const user = await User.findById(decoded.id).select('+mfaSecret');
+
+    if (!user || !user.mfaEnabled) {
+      return res.status(401).json({ error: 'Invalid or expired MFA challenge' });
+    }
+
+    const lockRemaining = user.getLockRemaining();
+    if (lockRemaining) {
+      return sendLocked(res, lockRemaining);
+    }
+
+    const valid = await user.verifyMfaCode(req.body.code);
+
+    if (!valid) {
+      loginThrottle.recordFailure(req.ip);
+      const lockUntil = await user.registerFailedLogin();
+
+      if (!lockUntil) {
+        return res.status(401).json({ error: 'Invalid code' });
+      }
+
+      logger.warn('Account locked after failed MFA codes', {
+        user: user._id.toString(),
+        ip: req.ip,
+        lockUntil: lockUntil.toISOString(),
+      });
+      return sendLocked(res, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+    }
+
+    await user.resetLoginAttempts();
+    await cancelScheduledDeletion(user);
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user: toAuthUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start MFA enrollment by generating a secret
+ * POST /api/auth/mfa/setup
+ */
+exports.setupMfa = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.mfaEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.mfaPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl({
+        secret,
+        label: user.email,
+        issuer: process.env.MFA_ISSUER || 'MERN Blog',
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finish MFA enrollment by confirming a code from the new secret
+ * POST /api/auth/mfa/confirm
+ */
+exports.confirmMfa = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+mfaPendingSecret');
+
+    if (user.mfaEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.mfaPendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = totp.verifyCode(user.mfaPendingSecret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    user.mfaSecret = user.mfaPendingSecret;
+    user.mfaPendingSecret = undefined;
+    user.mfaLastUsedStep = step;
+    user.mfaEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('MFA enabled', { user: user._id.toString() });
+
+    res.status(200).json({ success: true, recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn off MFA
+ * POST /api/auth/mfa/disable
+ */
+exports.disableMfa = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+password +mfaSecret');
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isMfaRequiredForRole(user.role)) {
+      return res.status(403).json({
+        error: `Two-factor authentication is mandatory for role '${user.role}'`,
+      });
+    }
+
+    const isMatch = await comparePassword(req.body.password, user.password);
+    if (!isMatch || !(await user.verifyMfaCode(req.body.code))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    user.mfaEnabled = false;
+    user.mfaSecret = undefined;
+    user.mfaRecoveryCodes = undefined;
+    user.mfaLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('MFA disabled', { user: user._id.toString() });
+
+    res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes
+ * POST /api/auth/mfa/recovery-codes
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+mfaSecret');
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await user.verifyMfaCode(req.body.code))) {
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({ success: true, recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out of one of the current user's sessions
+ * DELETE /api/auth/sessions/:id
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
     });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await Session.revoke(session.id);
+
+    res.status(200).json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out of every session except the current one
+ * DELETE /api/auth/sessions
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const count = await Session.revokeAllForUser(req.user._id, { except: req.sessionId });
+
+    logger.info('Signed out of other sessions', { user: req.user.id, count });
+
+    res.status(200).json({ success: true, message: 'Signed out of all other sessions', count });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,171 @@
+const { validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const logger = require('../utils/logger');
+
+/**
+ * Add post counts to categories
+ * @param {Array} categories - Category documents
+ * @returns {Array} Plain objects with postCount
+ */
+const withPostCounts = async (categories) => {
+  const counts = await Category.countPosts(categories.map((category) => category._id));
+
+  return categories.map((category) => ({
+    ...category.toJSON(),
+    postCount: counts.get(category._id.toString()) || 0,
+  }));
+};
+
+/**
+ * Get all categories with their post counts
+ * GET /api/categories
+ */
+exports.getCategories = async (req, res, next) => {
+  try {
+    const categories = await Category.find().sort({ name: 1 });
+
+    res.status(200).json({ success: true, categories: await withPostCounts(categories) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single category
+ * GET /api/categories/:id
+ */
+exports.getCategory = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const category = await Category.findById(req.params.id).populate('parent', 'name slug');
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const [withCount] = await withPostCounts([category]);
+    const children = await Category.find({ parent: category._id }).select('name slug').sort({ name: 1 });
+
+    res.status(200).json({ success: true, category: { ...withCount, children } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a category
+ * POST /api/categories
+ */
+exports.createCategory = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, description, parent } = req.body;
+
+    if (parent && !(await Category.exists({ _id: parent }))) {
+      return res.status(400).json({ error: 'Parent category not found' });
+    }
+
+    const category = new Category({ name, description, parent: parent || null });
+    await category.saveWithUniqueSlug();
+
+    logger.info('Category created', { category: category._id.toString(), admin: req.user.id });
+
+    res.status(201).json({ success: true, category });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a category
+ * PUT /api/categories/:id
+ */
+exports.updateCategory = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { name, description, parent } = req.body;
+
+    if (parent !== undefined) {
+      if (parent && !(await category.canHaveParent(parent))) {
+        return res.status(400).json({ error: 'Invalid parent category' });
+      }
+      category.parent = parent || null;
+    }
+    if (name !== undefined) {
+      category.name = name;
+    }
+    if (description !== undefined) {
+      category.description = description;
+    }
+
+    await category.saveWithUniqueSlug();
+
+    res.status(200).json({ success: true, category });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a category that has no posts or subcategories
+ * DELETE /api/categories/:id
+ */
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (await Post.exists({ category: category._id })) {
+      return res.status(400).json({ error: 'Category still has posts' });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(400).json({ error: 'Category still has subcategories' });
+    }
+
+    // Trashed posts don't block deletion but shouldn't point at a missing category
+    await Post.updateMany(
+      { category: category._id },
+      { $unset: { category: 1 }, $inc: { version: 1 } },
+      { withDeleted: true, timestamps: false }
+    );
+    await category.deleteOne();
+
+    logger.info('Category deleted', { category: category._id.toString(), admin: req.user.id });
+
+    res.status(200).json({ success: true, message: 'Category deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
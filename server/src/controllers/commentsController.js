@@ -0,0 +1,302 @@
+const { validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const { hasPermission } = require('../utils/permissions');
+const { buildVisibilityFilter } = require('../utils/postQuery');
+const { parsePagination, buildLinkHeader, pageLinks } = require('../utils/pagination');
+const logger = require('../utils/logger');
+
+/**
+ * Find the post in the URL if the requester may see it
+ */
+const findVisiblePost = (req) => Post.findOne({
+  $and: [{ _id: req.params.id }, buildVisibilityFilter(req.user, req.permissions)],
+});
+
+/**
+ * Check whether the requester moderates the post's comments
+ * The post's author does, as does anyone with 'comment:moderate'.
+ */
+const canModerate = (req, post) => Boolean(req.user) && (
+  post.author.equals(req.user._id) || hasPermission(req.permissions, 'comment:moderate')
+);
+
+/**
+ * Build the filter for the post's comments the requester may see
+ * Others only see approved comments; hiding a comment hides its replies too.
+ */
+const visibleComments = async (req, post) => {
+  if (canModerate(req, post)) {
+    return { post: post._id };
+  }
+
+  const visible = req.user
+    ? { $or: [{ status: 'approved' }, { author: req.user._id }] }
+    : { status: 'approved' };
+  const hidden = await Comment.find({ post: post._id, $nor: [visible] }).distinct('_id');
+
+  return { post: post._id, $and: [visible, { ancestors: { $nin: hidden } }] };
+};
+
+/**
+ * Nest replies under their parents
+ * @param {Array} roots - Top-level comments
+ * @param {Array} replies - Their replies at any depth, oldest first
+ * @returns {Array} Top-level comments, each with a replies array
+ */
+const buildThreads = (roots, replies) => {
+  const nodes = new Map();
+  const threads = roots.map((comment) => {
+    const node = { ...comment.toJSON(), replies: [] };
+    nodes.set(comment._id.toString(), node);
+    return node;
+  });
+
+  replies.forEach((comment) => {
+    const parent = nodes.get(comment.parent.toString());
+    if (parent) {
+      const node = { ...comment.toJSON(), replies: [] };
+      nodes.set(comment._id.toString(), node);
+      parent.replies.push(node);
+    }
+  });
+
+  return threads;
+};
+
+/**
+ * List a post's comments, oldest first
+ * ?mode=tree (default) pages through threads with their replies nested;
+ * ?mode=flat pages through every comment.
+ * GET /api/posts/:id/comments
+ */
+exports.getComments = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const post = await findVisiblePost(req);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const { page, limit } = parsePagination(req.query);
+    const filter = await visibleComments(req, post);
+    const pageFilter = req.query.mode === 'flat' ? filter : { ...filter, parent: null };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(pageFilter)
+        .populate('author', 'username')
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Comment.countDocuments(pageFilter),
+    ]);
+
+    let results = comments;
+    if (req.query.mode !== 'flat') {
+      const replies = await Comment.find({
+        ...filter,
+        'ancestors.0': { $in: comments.map((comment) => comment._id) },
+      })
+        .populate('author', 'username')
+        .sort({ createdAt: 1, _id: 1 });
+
+      results = buildThreads(comments, replies);
+    }
+
+    const pages = Math.ceil(total / limit);
+
+    res.set('Link', buildLinkHeader(req, pageLinks(page, pages)));
+
+    res.status(200).json({
+      success: true,
+      comments: results,
+      total,
+      page,
+      pages,
+      hasNext: page < pages,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Comment on a post or reply to a comment
+ * Comments wait for approval when COMMENTS_REQUIRE_APPROVAL is set,
+ * unless their author moderates the post.
+ * POST /api/posts/:id/comments
+ */
+exports.createComment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const post = await findVisiblePost(req);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (post.status !== 'published') {
+      return res.status(403).json({ error: 'Only published posts can be commented on' });
+    }
+
+    if (!post.commentsEnabled) {
+      return res.status(403).json({ error: 'Comments are disabled for this post' });
+    }
+
+    let ancestors = [];
+    if (req.body.parent) {
+      const parent = await Comment.findOne({ _id: req.body.parent, post: post._id, deletedAt: null });
+      if (!parent) {
+        return res.status(400).json({ error: 'Parent comment not found' });
+      }
+      ancestors = [...parent.ancestors, parent._id];
+    }
+
+    const needsApproval = process.env.COMMENTS_REQUIRE_APPROVAL === 'true' && !canModerate(req, post);
+
+    let comment = await Comment.create({
+      post: post._id,
+      author: req.user._id,
+      parent: req.body.parent || null,
+      ancestors,
+      content: req.body.content,
+      status: needsApproval ? 'pending' : 'approved',
+    });
+    comment = await comment.populate('author', 'username');
+
+    res.status(201).json({ success: true, comment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a comment
+ * Only its author can, and only for a while after posting it.
+ * PATCH /api/posts/:id/comments/:commentId
+ */
+exports.updateComment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    let comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.id });
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized to edit this comment' });
+    }
+
+    if (!comment.isEditable()) {
+      return res.status(403).json({ error: 'This comment can no longer be edited' });
+    }
+
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    await comment.save();
+    comment = await comment.populate('author', 'username');
+
+    res.status(200).json({ success: true, comment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a comment
+ * Its author and the post's moderators can.
+ * DELETE /api/posts/:id/comments/:commentId
+ */
+exports.deleteComment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const [post, comment] = await Promise.all([
+      Post.findById(req.params.id),
+      Comment.findOne({ _id: req.params.commentId, post: req.params.id }),
+    ]);
+
+    if (!post || !comment || comment.deletedAt) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!comment.author.equals(req.user._id) && !canModerate(req, post)) {
+      return res.status(403).json({ error: 'Not authorized to delete this comment' });
+    }
+
+    await comment.removeFromThread();
+
+    res.status(200).json({ success: true, message: 'Comment deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that sets a comment's moderation status
+ * @param {String} status - 'approved' or 'hidden'
+ */
+const moderate = (status) => async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const [post, comment] = await Promise.all([
+      Post.findById(req.params.id),
+      Comment.findOne({ _id: req.params.commentId, post: req.params.id }),
+    ]);
+
+    if (!post || !comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!canModerate(req, post)) {
+      return res.status(403).json({ error: "Not authorized: requires 'comment:moderate' permission" });
+    }
+
+    comment.status = status;
+    await comment.save();
+
+    logger.info(`Comment ${status}`, { comment: comment.id, moderator: req.user.id });
+
+    res.status(200).json({ success: true, comment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hide a comment and its replies from everyone but moderators and its author
+ * POST /api/posts/:id/comments/:commentId/hide
+ */
+exports.hideComment = moderate('hidden');
+
+/**
+ * Approve a pending or hidden comment
+ * POST /api/posts/:id/comments/:commentId/approve
+ */
+exports.approveComment = moderate('approved');
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostRemoval = require('../models/PostRemoval');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { FEED_FORMATS } = require('../utils/feeds');
+const { buildVisibilityFilter } = require('../utils/postQuery');
+const { getClientUrl, getApiUrl } = require('../utils/urls');
+
+const getSiteName = () => process.env.SITE_NAME || 'MERN Blog';
+
+// Attachments are linked from content by path; feed readers need full URLs
+const absoluteUrls = (html, origin) => html.replace(/(\s(?:src|href)=")\/(?!\/)/g, `$1${origin}/`);
+
+// Date of feeds that have never had a post
+const STARTED_AT = new Date();
+
+/**
+ * Get when the feed of the posts matching a filter last changed
+ * Posts that were ever published count even when hidden or trashed now:
+ * unpublishing or trashing one updates it. Deleted posts and posts moved
+ * to another category leave a PostRemoval instead. Either way the date
+ * never goes back when a post leaves the feed.
+ * @param {Object} filter - Posts of the feed
+ * @returns {Date} Last change
+ */
+const getLastModified = async (filter) => {
+  const [post, removedAt] = await Promise.all([
+    Post.findOne({ ...filter, publishedAt: { $ne: null } })
+      .setOptions({ withDeleted: true })
+      .sort({ updatedAt: -1 })
+      .select('updatedAt'),
+    PostRemoval.lastRemovedAt(filter),
+  ]);
+
+  const dates = [post && post.updatedAt, removedAt].filter(Boolean);
+  return dates.length > 0 ? new Date(Math.max(...dates)) : STARTED_AT;
+};
+
+/**
+ * Send the latest published posts matching a filter as a feed
+ * The ETag hashes the document and Last-Modified is the feed's last
+ * change, so conditional requests with either get a 304.
+ * @param {Object} req - Request, with the format in req.params.format
+ * @param {Object} res - Response
+ * @param {Object} options - { filter, title, homeUrl }
+ */
+const sendFeed = async (req, res, { filter, title, homeUrl }) => {
+  const { type, build } = FEED_FORMATS[req.params.format];
+  const size = parseInt(process.env.FEED_SIZE, 10) || 20;
+  const origin = getApiUrl();
+
+  // Feeds are public, so they show what anonymous readers see
+  const [posts, updated] = await Promise.all([
+    Post.find({ ...filter, ...buildVisibilityFilter(null) })
+      .select('+contentHtml')
+      .populate('author', 'username')
+      .populate('category', 'name')
+      .sort({ publishedAt: -1, _id: -1 })
+      .limit(size),
+    getLastModified(filter),
+  ]);
+
+  const body = build({
+    title,
+    homeUrl,
+    feedUrl: `${origin}${req.originalUrl.split('?')[0]}`,
+    updated,
+    items: posts.map((post) => {
+      const url = `${getClientUrl()}/posts/${post.slug}`;
+      return {
+        // Slugs change with the title; the id doesn't
+        id: `${origin}/api/posts/${post._id}`,
+        url,
+        title: post.title,
+        summary: post.excerpt,
+        html: absoluteUrls(post.contentHtml || '', origin),
+        published: post.publishedAt || post.createdAt,
+        updated: post.updatedAt,
+        author: post.author ? post.author.username : 'Unknown',
+        categories: [post.category && post.category.name, ...(post.tags || [])].filter(Boolean),
+      };
+    }),
+  });
+
+  res.set({
+    'Content-Type': type,
+    'Cache-Control': 'public, max-age=300',
+    'Last-Modified': updated.toUTCString(),
+    ETag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+  });
+
+  // res.send answers a matching If-None-Match or If-Modified-Since with a 304
+  res.send(body);
+};
+
+/**
+ * Get the feed of all published posts
+ * GET /feeds/posts.(rss|atom|json)
+ */
+exports.getPostsFeed = async (req, res, next) => {
+  try {
+    await sendFeed(req, res, {
+      filter: {},
+      title: getSiteName(),
+      homeUrl: getClientUrl(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the feed of a category's published posts
+ * GET /feeds/categories/:slug/posts.(rss|atom|json)
+ */
+exports.getCategoryFeed = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug });
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    await sendFeed(req, res, {
+      filter: { category: category._id },
+      title: `${getSiteName()}: ${category.name}`,
+      homeUrl: `${getClientUrl()}/?category=${encodeURIComponent(category.slug)}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the feed of an author's published posts
+ * GET /feeds/authors/:username/posts.(rss|atom|json)
+ */
+exports.getAuthorFeed = async (req, res, next) => {
+  try {
+    const author = await User.findOne({ username: req.params.username });
+
+    if (!author) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+
+    await sendFeed(req, res, {
+      filter: { author: author._id },
+      title: `${getSiteName()}: ${author.username}`,
+      homeUrl: `${getClientUrl()}/?author=${encodeURIComponent(author.username)}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
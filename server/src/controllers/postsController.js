@@ -1,48 +1,370 @@
 const { validationResult } = require('express-validator');
 const Post = require('../models/Post');
+const User = require('../models/User');
+const PostRevision = require('../models/PostRevision');
+const PostRemoval = require('../models/PostRemoval');
+const Reaction = require('../models/Reaction');
+const { POST_TRANSITIONS } = require('../config/postStatus');
+const { hasPermission } = require('../utils/permissions');
+const { parseSearchTerms, highlight } = require('../utils/search');
+const { applyPatch, parsePointer } = require('../utils/jsonPatch');
+const { versionEtag, bodyEtag, checkIfMatch } = require('../utils/etag');
+const { renderMarkdown, htmlToText } = require('../utils/markdown');
+const {
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  buildLinkHeader,
+  pageLinks,
+} = require('../utils/pagination');
+const {
+  DEFAULT_SORT,
+  buildPostFilter,
+  buildVisibilityFilter,
+  buildPostSort,
+  buildPostProjection,
+} = require('../utils/postQuery');
 
 /**
- * Get all posts
+ * Resolve ?author= given as a user id or a username
+ * @returns {ObjectId|null} Author id, or null if no such user
+ */
+const resolveAuthor = async (author) => {
+  if (/^[a-f\d]{24}$/i.test(author)) {
+    return author;
+  }
+  const user = await User.findOne({ username: author }).select('_id');
+  return user ? user._id : null;
+};
+
+/**
+ * Limit a filter to the posts the requester may see
+ */
+const visibleTo = (req, filter) => ({
+  $and: [filter, buildVisibilityFilter(req.user, req.permissions)],
+});
+
+/**
+ * Check a write's If-Match header against the post's version
+ * Writes without one are refused when POSTS_REQUIRE_IF_MATCH is set.
+ * @returns {Object|null} { status, error } to send when the precondition fails
+ */
+const checkPostVersion = (req, post) => checkIfMatch(
+  req,
+  versionEtag(post),
+  process.env.POSTS_REQUIRE_IF_MATCH === 'true'
+);
+
+/**
+ * Add likedByMe to posts for an authenticated caller
+ * @returns {Array} Posts as plain objects, or unchanged for anonymous callers
+ */
+const withLikedByMe = async (req, posts) => {
+  if (!req.user) {
+    return posts;
+  }
+
+  const liked = await Reaction.findReacted(req.user._id, posts.map((post) => post._id), 'like');
+  return posts.map((post) => ({ ...post.toJSON(), likedByMe: liked.has(post._id.toString()) }));
+};
+
+/**
+ * Put a post's content in the requested format
+ * @param {Object} post - Post document, with contentHtml selected
+ * @param {Object} result - The post as it will be sent
+ * @param {String} [format] - 'markdown' (the source), 'html' or 'text'
+ * @returns {Object} The result with its content in that format
+ */
+const formatContent = (post, result, format = 'markdown') => {
+  const json = typeof result.toJSON === 'function' ? result.toJSON() : result;
+
+  if (format === 'markdown') {
+    return { ...json, format };
+  }
+
+  // Posts saved before rendering existed have no HTML yet
+  const html = post.contentHtml ?? renderMarkdown(post.content);
+  return { ...json, content: format === 'html' ? html : htmlToText(html), format };
+};
+
+/**
+ * Build a post listing query with an optional sparse fieldset
+ */
+const findPosts = (filter, { sort, projection }) => {
+  const query = Post.find(filter).sort(sort);
+
+  if (projection) {
+    query.select(projection);
+  }
+  if (!projection || projection.split(' ').includes('author')) {
+    query.populate('author', 'username email');
+  }
+  if (!projection || projection.split(' ').includes('category')) {
+    query.populate('category', 'name slug');
+  }
+  return query;
+};
+
+/**
+ * Get all posts, filtered and sorted (newest first by default)
+ * Pages by ?page=&limit=, or by ?after=<cursor> for feeds that must stay
+ * stable while new posts arrive
  * GET /api/posts
  */
 exports.getPosts = async (req, res, next) => {
   try {
-    const { category, page = 1, limit = 10 } = req.query;
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { author, after, sort = DEFAULT_SORT } = req.query;
+    const { page, limit } = parsePagination(req.query);
+
+    // Cursors encode a createdAt position, so they only work with that order
+    if (after && sort !== DEFAULT_SORT) {
+      return res.status(400).json({ error: `Cursor pagination requires sort=${DEFAULT_SORT}` });
+    }
+
+    const filter = visibleTo(req, buildPostFilter(req.query, {
+      authorId: author && await resolveAuthor(author),
+    }));
+    const options = {
+      sort: buildPostSort(sort),
+      projection: buildPostProjection(req.query.fields),
+    };
+
+    if (after) {
+      const position = decodeCursor(after);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      // The next cursor is built from createdAt
+      if (options.projection && !options.projection.split(' ').includes('createdAt')) {
+        options.projection += ' createdAt';
+      }
+
+      // Fetch one extra post to find out whether there is another page
+      const posts = await findPosts({ $and: [filter, afterCursor(position)] }, options)
+        .limit(limit + 1);
+
+      const hasNext = posts.length > limit;
+      if (hasNext) {
+        posts.pop();
+      }
+      const nextCursor = hasNext ? encodeCursor(posts[posts.length - 1]) : null;
+
+      if (nextCursor) {
+        res.set('Link', buildLinkHeader(req, { next: { after: nextCursor } }));
+      }
+
+      return res.status(200).json({
+        success: true,
+        posts: await withLikedByMe(req, posts),
+        hasNext,
+        nextCursor,
+      });
+    }
+
+    // Execute query with pagination
+    const [posts, total] = await Promise.all([
+      findPosts(filter, options)
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Post.countDocuments(filter),
+    ]);
+
+    const pages = Math.ceil(total / limit);
+    const hasNext = page < pages;
+
+    res.set('Link', buildLinkHeader(req, pageLinks(page, pages)));
+
+    // Lets an infinite-scroll client switch to ?after= from here
+    const last = posts[posts.length - 1];
+    const nextCursor = hasNext && sort === DEFAULT_SORT && last && last.createdAt
+      ? encodeCursor(last)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      posts: await withLikedByMe(req, posts),
+      total,
+      page,
+      pages,
+      hasNext,
+      nextCursor,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Search posts by relevance
+ * GET /api/posts/search?q=
+ */
+exports.searchPosts = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const {
+      q,
+      author,
+      tag,
+      category,
+      from,
+      to,
+    } = req.query;
+    const { page, limit } = parsePagination(req.query);
 
     // Build query
-    const query = {};
+    const query = { $text: { $search: q } };
+    if (author) {
+      query.author = author;
+    }
+    if (tag) {
+      query.tags = tag;
+    }
     if (category) {
       query.category = category;
     }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        query.createdAt.$lte = new Date(to);
+      }
+    }
 
-    // Execute query with pagination
-    const posts = await Post.find(query)
-      .populate('author', 'username email')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    // $text has to stay at the top level of the query
+    query.$and = [buildVisibilityFilter(req.user, req.permissions)];
+
+    const score = { $meta: 'textScore' };
+    const [posts, total] = await Promise.all([
+      Post.find(query, { score })
+        .populate('author', 'username email')
+        .populate('category', 'name slug')
+        .sort({ score, createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Post.countDocuments(query),
+    ]);
+
+    const pages = Math.ceil(total / limit);
+    const hasNext = page < pages;
+
+    res.set('Link', buildLinkHeader(req, pageLinks(page, pages)));
 
-    const count = await Post.countDocuments(query);
+    const terms = parseSearchTerms(q);
 
-    res.status(200).json(posts);
+    res.status(200).json({
+      success: true,
+      posts: posts.map((post) => ({
+        ...post.toJSON(),
+        highlights: {
+          title: highlight(post.title, terms, { length: 0 }),
+          content: highlight(post.content, terms),
+        },
+      })),
+      total,
+      page,
+      pages,
+      hasNext,
+    });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Find a post and count the view without touching updatedAt
+ */
+const findPostAndCountView = (filter) => {
+  return Post.findOneAndUpdate(filter, { $inc: { views: 1 } }, { new: true, timestamps: false })
+    .select('+contentHtml')
+    .populate('author', 'username email')
+    .populate('category', 'name slug');
+};
+
+/**
+ * Build the ETag of a post read
+ * Every read counts a view, so the view count is left out or the tag would
+ * never match the one the client already has.
+ */
+const readEtag = (post, body) => bodyEtag(post, { ...body, views: undefined });
+
 /**
  * Get single post
+ * ?format=markdown (default), html or text picks the form of the content.
  * GET /api/posts/:id
  */
 exports.getPost = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id).populate('author', 'username email');
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const post = await findPostAndCountView(visibleTo(req, { _id: req.params.id }));
 
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    res.status(200).json(post);
+    const [result] = await withLikedByMe(req, [post]);
+    const body = formatContent(post, result, req.query.format);
+    // Express answers a matching If-None-Match with 304
+    res.set('ETag', readEtag(post, body));
+    res.status(200).json(body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single post by slug
+ * Takes ?format= like getPost
+ * Old slugs redirect to the current one, keeping the query string
+ * GET /api/posts/slug/:slug
+ */
+exports.getPostBySlug = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { slug } = req.params;
+
+    const post = await findPostAndCountView(visibleTo(req, { slug }));
+
+    if (post) {
+      const [result] = await withLikedByMe(req, [post]);
+      const body = formatContent(post, result, req.query.format);
+      res.set('ETag', readEtag(post, body));
+      return res.status(200).json(body);
+    }
+
+    const renamed = await Post.findOne(visibleTo(req, { slugHistory: slug })).select('slug');
+
+    if (!renamed) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const queryIndex = req.originalUrl.indexOf('?');
+    const queryString = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+    res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}${queryString}`);
   } catch (error) {
     next(error);
   }
@@ -60,29 +382,205 @@ exports.createPost = async (req, res, next) => {
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    const { title, content, category, tags } = req.body;
+    const {
+      title,
+      content,
+      category,
+      tags,
+      commentsEnabled,
+    } = req.body;
 
-    const post = await Post.create({
+    const post = new Post({
       title,
       content,
       author: req.user.id,
       category,
       tags,
+      commentsEnabled,
     });
+    await post.saveWithUniqueSlug();
+    await PostRevision.record(post, req.user.id);
 
-    const populatedPost = await Post.findById(post._id).populate('author', 'username email');
+    const populatedPost = await Post.findById(post._id)
+      .populate('author', 'username email')
+      .populate('category', 'name slug');
 
+    res.set('ETag', versionEtag(populatedPost));
     res.status(201).json(populatedPost);
   } catch (error) {
     next(error);
   }
 };
 
+// Fields authors edit, with the values a full replacement or a null in a merge patch resets them to
+const POST_FIELD_DEFAULTS = {
+  title: undefined,
+  content: undefined,
+  category: undefined,
+  tags: [],
+  commentsEnabled: true,
+};
+
 /**
- * Update post
+ * Get a post's editable fields as plain JSON, the document JSON Patches apply to
+ */
+const editableFields = (post) => ({
+  title: post.title,
+  content: post.content,
+  category: post.category ? post.category.toString() : null,
+  tags: [...post.tags],
+  commentsEnabled: post.commentsEnabled,
+});
+
+/**
+ * Apply changes to a post, record a revision if its text changed and send it back
+ * @param {Object} changes - Field -> new value; null (or an empty category) resets the field
+ */
+const savePost = async (req, res, post, changes) => {
+  await PostRevision.ensureHistory(post);
+  const { category } = post;
+
+  // Save the document so a new title gets a new slug
+  Object.entries(changes).forEach(([field, value]) => {
+    post.set(field, value === null || value === '' ? POST_FIELD_DEFAULTS[field] : value);
+  });
+
+  const changed = post.isModified(['title', 'content', 'tags']);
+  const moved = category && post.isModified('category');
+  await post.saveWithUniqueSlug();
+  if (changed) {
+    await PostRevision.record(post, req.user._id);
+  }
+  // The old category's feed no longer has a trace of the post
+  if (moved) {
+    await PostRemoval.record([{ _id: post._id, author: post.author, category }]);
+  }
+
+  res.set('ETag', versionEtag(post));
+  res.status(200).json(await post.populate([
+    { path: 'author', select: 'username email' },
+    { path: 'category', select: 'name slug' },
+  ]));
+};
+
+/**
+ * Replace a post
+ * Fields left out are reset: no category, no tags, comments enabled.
  * PUT /api/posts/:id
  */
 exports.updatePost = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const failure = checkPostVersion(req, post);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    const changes = Object.fromEntries(
+      Object.keys(POST_FIELD_DEFAULTS).map((field) => [field, req.body[field] ?? null])
+    );
+
+    await savePost(req, res, post, changes);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn a JSON Patch into the fields it changes
+ * The patch is applied to the post's editable fields and the request body
+ * becomes the equivalent merge patch, so both formats are validated alike.
+ * PATCH /api/posts/:id with Content-Type: application/json-patch+json
+ */
+exports.expandJsonPatch = async (req, res, next) => {
+  if (!req.is('application/json-patch+json')) {
+    return next();
+  }
+
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const failure = checkPostVersion(req, post);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    const patched = applyPatch(editableFields(post), req.body);
+
+    // A move empties the field it moves from
+    const fields = new Set(req.body.flatMap(({ op, path, from }) => (
+      op === 'move' ? [path, from] : [path]
+    )).map((pointer) => parsePointer(pointer)[0]).filter(Boolean));
+
+    const unknown = [...fields].find((field) => !Object.keys(POST_FIELD_DEFAULTS).includes(field));
+    if (unknown) {
+      return res.status(400).json({ error: `Cannot patch ${unknown}` });
+    }
+
+    req.body = Object.fromEntries([...fields].map((field) => [field, patched[field] ?? null]));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update some of a post's fields
+ * Takes a JSON Merge Patch (RFC 7396): fields left out stay as they are and
+ * null resets a field. JSON Patch bodies arrive here through expandJsonPatch.
+ * PATCH /api/posts/:id
+ */
+exports.patchPost = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const failure = checkPostVersion(req, post);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    const changes = Object.fromEntries(
+      Object.keys(POST_FIELD_DEFAULTS)
+        .filter((field) => req.body[field] !== undefined)
+        .map((field) => [field, req.body[field]])
+    );
+
+    await savePost(req, res, post, changes);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that moves a post through its status workflow
+ * @param {String} action - Transition name from POST_TRANSITIONS
+ */
+const changeStatus = (action) => async (req, res, next) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -96,18 +594,21 @@ exports.updatePost = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    // Check if user is the author
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to update this post' });
+    const { permission } = POST_TRANSITIONS[action];
+    if (permission && !hasPermission(req.permissions, permission)) {
+      return res.status(403).json({ error: `Not authorized: requires '${permission}' permission` });
     }
 
-    const { title, content, category, tags, published } = req.body;
+    if (!post.transition(action, { scheduledFor: req.body.scheduledFor })) {
+      return res.status(409).json({ error: `Cannot ${action} a post that is ${post.status}` });
+    }
+    await post.save();
+    res.set('ETag', versionEtag(post));
 
-    post = await Post.findByIdAndUpdate(
-      req.params.id,
-      { title, content, category, tags, published },
-      { new: true, runValidators: true }
-    ).populate('author', 'username email');
+    post = await post.populate([
+      { path: 'author', select: 'username email' },
+      { path: 'category', select: 'name slug' },
+    ]);
 
     res.status(200).json(post);
   } catch (error) {
@@ -115,8 +616,45 @@ exports.updatePost = async (req, res, next) => {
   }
 };
 
+/**
+ * Submit a draft for review
+ * POST /api/posts/:id/submit
+ */
+exports.submitPost = changeStatus('submit');
+
+/**
+ * Return a post in review to draft
+ * POST /api/posts/:id/withdraw
+ */
+exports.withdrawPost = changeStatus('withdraw');
+
+/**
+ * Publish a post now
+ * POST /api/posts/:id/publish
+ */
+exports.publishPost = changeStatus('publish');
+
+/**
+ * Schedule a post to be published at scheduledFor
+ * POST /api/posts/:id/schedule
+ */
+exports.schedulePost = changeStatus('schedule');
+
+/**
+ * Return a scheduled or published post to draft
+ * POST /api/posts/:id/unpublish
+ */
+exports.unpublishPost = changeStatus('unpublish');
+
+/**
+ * Archive a published post
+ * POST /api/posts/:id/archive
+ */
+exports.archivePost = changeStatus('archive');
+
 /**
  * Delete post
+ * Posts go to the trash and are purged once the retention period has passed.
  * DELETE /api/posts/:id
  */
 exports.deletePost = async (req, res, next) => {
@@ -127,14 +665,95 @@ exports.deletePost = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    // Check if user is the author
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to delete this post' });
+    const failure = checkPostVersion(req, post);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    await post.trash(req.user._id);
+
+    res.status(200).json({ success: true, message: 'Post moved to trash' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List trashed posts, most recently deleted first
+ * Users see their own; those who can delete any post see all of them.
+ * GET /api/posts/trash
+ */
+exports.getTrash = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { page, limit } = parsePagination(req.query);
+    const filter = { deletedAt: { $ne: null } };
+    if (!hasPermission(req.permissions, 'post:delete:any')) {
+      filter.author = req.user._id;
+    }
+
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .populate('author', 'username email')
+        .populate('category', 'name slug')
+        .populate('deletedBy', 'username')
+        .sort({ deletedAt: -1, _id: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Post.countDocuments(filter),
+    ]);
+
+    const pages = Math.ceil(total / limit);
+
+    res.set('Link', buildLinkHeader(req, pageLinks(page, pages)));
+
+    res.status(200).json({
+      success: true,
+      posts,
+      total,
+      page,
+      pages,
+      hasNext: page < pages,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a post from the trash
+ * Authors can restore posts they deleted themselves; a post removed by a
+ * moderator needs 'post:delete:any' to come back.
+ * POST /api/posts/:id/restore
+ */
+exports.restorePost = async (req, res, next) => {
+  try {
+    let post = await Post.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found in trash' });
+    }
+
+    const deletedOwnPost = post.author.equals(req.user._id)
+      && Boolean(post.deletedBy) && post.deletedBy.equals(req.user._id);
+
+    if (!deletedOwnPost && !hasPermission(req.permissions, 'post:delete:any')) {
+      return res.status(403).json({ error: 'Not authorized to restore this post' });
     }
 
-    await post.deleteOne();
+    await post.restore();
 
-    res.status(200).json({ success: true, message: 'Post deleted' });
+    post = await post.populate([
+      { path: 'author', select: 'username email' },
+      { path: 'category', select: 'name slug' },
+    ]);
+
+    res.status(200).json(post);
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,112 @@
+const Post = require('../models/Post');
+const Reaction = require('../models/Reaction');
+const { buildVisibilityFilter } = require('../utils/postQuery');
+const { parsePagination, buildLinkHeader, pageLinks } = require('../utils/pagination');
+
+/**
+ * Build a handler that adds or removes the caller's reaction to a post
+ * Repeating a request is harmless; the counters only change once.
+ * @param {String} type - 'like' or 'bookmark'
+ * @param {Boolean} active - True to add the reaction, false to remove it
+ */
+const react = (type, active) => async (req, res, next) => {
+  try {
+    const visible = buildVisibilityFilter(req.user, req.permissions);
+
+    if (!(await Post.exists({ $and: [{ _id: req.params.id }, visible] }))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (active) {
+      await Reaction.add(req.user._id, req.params.id, type);
+    } else {
+      await Reaction.remove(req.user._id, req.params.id, type);
+    }
+
+    const post = await Post.findById(req.params.id).select('likeCount bookmarkCount');
+
+    res.status(200).json({
+      success: true,
+      [type === 'like' ? 'liked' : 'bookmarked']: active,
+      likeCount: post.likeCount,
+      bookmarkCount: post.bookmarkCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Like a post
+ * PUT /api/posts/:id/like
+ */
+exports.likePost = react('like', true);
+
+/**
+ * Unlike a post
+ * DELETE /api/posts/:id/like
+ */
+exports.unlikePost = react('like', false);
+
+/**
+ * Bookmark a post
+ * PUT /api/posts/:id/bookmark
+ */
+exports.bookmarkPost = react('bookmark', true);
+
+/**
+ * Remove a bookmark
+ * DELETE /api/posts/:id/bookmark
+ */
+exports.unbookmarkPost = react('bookmark', false);
+
+/**
+ * List the current user's bookmarked posts, most recently bookmarked first
+ * Posts the user can no longer see are left out.
+ * GET /api/users/me/bookmarks
+ */
+exports.getBookmarks = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const visible = buildVisibilityFilter(req.user, req.permissions);
+
+    // Bookmarks of posts the user can no longer see are neither listed nor
+    // counted, so pages stay full and the total matches the list
+    const bookmarked = await Reaction.distinct('post', { user: req.user._id, type: 'bookmark' });
+    const visiblePosts = await Post.find({ _id: { $in: bookmarked }, ...visible }).distinct('_id');
+    const filter = { user: req.user._id, type: 'bookmark', post: { $in: visiblePosts } };
+
+    const [bookmarks, total] = await Promise.all([
+      Reaction.find(filter)
+        .populate({
+          path: 'post',
+          match: visible,
+          populate: [
+            { path: 'author', select: 'username email' },
+            { path: 'category', select: 'name slug' },
+          ],
+        })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Reaction.countDocuments(filter),
+    ]);
+
+    const pages = Math.ceil(total / limit);
+
+    res.set('Link', buildLinkHeader(req, pageLinks(page, pages)));
+
+    res.status(200).json({
+      success: true,
+      posts: bookmarks
+        .filter((bookmark) => bookmark.post)
+        .map((bookmark) => ({ ...bookmark.post.toJSON(), bookmarkedAt: bookmark.createdAt })),
+      total,
+      page,
+      pages,
+      hasNext: page < pages,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,144 @@
+const { validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { diffLines, diffLists } = require('../utils/diff');
+const { versionEtag } = require('../utils/etag');
+
+/**
+ * List a post's revisions, newest first
+ * Content is left out; fetch a single revision to see it.
+ * GET /api/posts/:id/revisions
+ */
+exports.getRevisions = async (req, res, next) => {
+  try {
+    if (!(await Post.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const revisions = await PostRevision.find({ post: req.params.id })
+      .select('-content')
+      .populate('editor', 'username')
+      .sort({ number: -1 });
+
+    res.status(200).json({ success: true, revisions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single revision
+ * GET /api/posts/:id/revisions/:rev
+ */
+exports.getRevision = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const revision = await PostRevision.findOne({ post: req.params.id, number: req.params.rev })
+      .populate('editor', 'username');
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.status(200).json({ success: true, revision });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compare two revisions
+ * Defaults to the latest revision and the one before it.
+ * GET /api/posts/:id/revisions/diff?from=&to=
+ */
+exports.diffRevisions = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const to = req.query.to
+      ? await PostRevision.findOne({ post: req.params.id, number: req.query.to })
+      : await PostRevision.findOne({ post: req.params.id }).sort({ number: -1 });
+
+    if (!to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const from = req.query.from
+      ? await PostRevision.findOne({ post: req.params.id, number: req.query.from })
+      : await PostRevision.findOne({ post: req.params.id, number: { $lt: to.number } })
+        .sort({ number: -1 });
+
+    if (!from) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      from: from.number,
+      to: to.number,
+      changes: {
+        title: from.title === to.title ? null : { from: from.title, to: to.title },
+        tags: diffLists(from.tags, to.tags),
+        content: diffLines(from.content, to.content),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a post to a revision
+ * The restored version is saved as a new revision.
+ * POST /api/posts/:id/revisions/:rev/restore
+ */
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    let post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const revision = await PostRevision.findOne({ post: post._id, number: req.params.rev });
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    post.title = revision.title;
+    post.content = revision.content;
+    post.tags = revision.tags;
+
+    const changed = post.isModified(['title', 'content', 'tags']);
+    await post.saveWithUniqueSlug();
+    if (changed) {
+      await PostRevision.record(post, req.user._id, { restoredFrom: revision.number });
+    }
+
+    post = await post.populate([
+      { path: 'author', select: 'username email' },
+      { path: 'category', select: 'name slug' },
+    ]);
+
+    res.set('ETag', versionEtag(post));
+    res.status(200).json(post);
+  } catch (error) {
+    next(error);
+  }
+};
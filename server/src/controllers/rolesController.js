@@ -0,0 +1,127 @@
+const { validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * List roles and the permission catalog
+ * GET /api/admin/roles
+ */
+exports.getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.status(200).json({ success: true, roles, permissions: PERMISSIONS });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a role
+ * POST /api/admin/roles
+ */
+exports.createRole = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (await Role.isValidName(name)) {
+      return res.status(400).json({ error: 'Role already exists' });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+    Role.clearCache();
+
+    logger.info('Role created', { role: role.name, admin: req.user.id });
+
+    res.status(201).json({ success: true, role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a role's description or permissions
+ * PATCH /api/admin/roles/:name
+ */
+exports.updateRole = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    // Admins always keep full access
+    if (req.params.name === 'admin') {
+      return res.status(400).json({ error: 'The admin role cannot be changed' });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const { description, permissions } = req.body;
+    if (description !== undefined) {
+      role.description = description;
+    }
+    if (permissions !== undefined) {
+      role.permissions = permissions;
+    }
+
+    await role.save();
+    Role.clearCache();
+
+    logger.info('Role updated', { role: role.name, admin: req.user.id });
+
+    res.status(200).json({ success: true, role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a custom role that nobody has
+ * DELETE /api/admin/roles/:name
+ */
+exports.deleteRole = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (role.builtIn) {
+      return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    if (await User.exists({ role: role.name })) {
+      return res.status(400).json({ error: 'Role is still assigned to users' });
+    }
+
+    await role.deleteOne();
+    Role.clearCache();
+
+    logger.info('Role deleted', { role: role.name, admin: req.user.id });
+
+    res.status(200).json({ success: true, message: 'Role deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,185 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { comparePassword } = require('../utils/auth');
+const { sendVerificationEmail } = require('../utils/notifications');
+const { parsePagination, buildLinkHeader, pageLinks } = require('../utils/pagination');
+const logger = require('../utils/logger');
+
+/**
+ * Update the current user's profile
+ * PATCH /api/users/me
+ */
+exports.updateMe = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    const emailChanged = req.body.email !== undefined && req.body.email !== user.email;
+
+    // Whoever holds a stolen token mustn't be able to take over the account's email
+    if (emailChanged && !(await comparePassword(req.body.currentPassword, user.password))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    // Only these fields can be changed here
+    ['username', 'bio', 'avatarUrl'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field] || undefined;
+      }
+    });
+
+    // A new email address has to be verified again
+    let verificationToken;
+    if (emailChanged) {
+      user.email = req.body.email;
+      user.emailVerified = false;
+      verificationToken = user.createEmailVerificationToken();
+    }
+
+    await user.save();
+
+    if (verificationToken) {
+      await sendVerificationEmail(user, verificationToken);
+    }
+
+    res.status(200).json({ success: true, user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the current user's password
+ * POST /api/users/me/password
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isMatch = await comparePassword(req.body.currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    // Existing tokens stop working once the password changes
+    await Session.revokeAllForUser(user._id);
+
+    res.status(200).json({ success: true, message: 'Password updated, please log in again' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule the current user's account for deletion
+ * DELETE /api/users/me
+ */
+exports.deleteMe = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isMatch = await comparePassword(req.body.password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+    user.deletionScheduledFor = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id);
+    await ApiKey.revokeAllForUser(user._id);
+
+    logger.info('Account deletion scheduled', {
+      user: user._id.toString(),
+      deletionScheduledFor: user.deletionScheduledFor.toISOString(),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Account will be deleted in ${days} days. Log in again before then to cancel.`,
+      deletionScheduledFor: user.deletionScheduledFor,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's public profile and published posts
+ * GET /api/users/:username
+ */
+exports.getProfile = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { page, limit } = parsePagination(req.query);
+
+    const user = await User.findOne({
+      username: req.params.username,
+      deletionScheduledFor: null,
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const filter = { author: user._id, status: 'published' };
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .select('title slug category tags createdAt updatedAt')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Post.countDocuments(filter),
+    ]);
+
+    const pages = Math.ceil(total / limit);
+
+    res.set('Link', buildLinkHeader(req, pageLinks(page, pages)));
+
+    res.status(200).json({
+      success: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        bio: user.bio,
+        avatarUrl: user.avatarUrl,
+        createdAt: user.createdAt,
+      },
+      posts,
+      total,
+      page,
+      pages,
+      hasNext: page < pages,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,12 +2,16 @@ require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
+const { startJobs } = require('./jobs');
 
 const PORT = process.env.PORT || 5000;
 
 // Connect to database
 connectDB();
 
+// Start background jobs
+startJobs();
+
 // Start server
 const server = app.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
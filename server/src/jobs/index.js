@@ -0,0 +1,35 @@
+const logger = require('../utils/logger');
+const purgeDeletedAccounts = require('./purgeDeletedAccounts');
+const publishScheduledPosts = require('./publishScheduledPosts');
+const purgeTrashedPosts = require('./purgeTrashedPosts');
+
+// Background jobs and how often they run
+const jobs = [
+  { name: 'purgeDeletedAccounts', run: purgeDeletedAccounts, intervalMs: 60 * 60 * 1000 },
+  { name: 'publishScheduledPosts', run: publishScheduledPosts, intervalMs: 60 * 1000 },
+  { name: 'purgeTrashedPosts', run: purgeTrashedPosts, intervalMs: 60 * 60 * 1000 },
+];
+
+/**
+ * Start running background jobs on their intervals
+ * @returns {Function} Stops all jobs
+ */
+const startJobs = () => {
+  const timers = jobs.map((job) => {
+    const timer = setInterval(async () => {
+      try {
+        await job.run();
+      } catch (error) {
+        logger.error(`Job ${job.name} failed:`, error);
+      }
+    }, job.intervalMs);
+
+    // Don't keep the process alive just for jobs
+    timer.unref();
+    return timer;
+  });
+
+  return () => timers.forEach(clearInterval);
+};
+
+module.exports = { startJobs };
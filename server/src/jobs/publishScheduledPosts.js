@@ -0,0 +1,39 @@
+const Post = require('../models/Post');
+const logger = require('../utils/logger');
+
+/**
+ * Publish scheduled posts whose publication date has passed
+ * Each post is published with a conditional update, so a post unscheduled
+ * in the meantime stays a draft. Posts that were published before keep
+ * their original publication date.
+ * @returns {Number} Number of posts published
+ */
+const publishScheduledPosts = async () => {
+  const due = await Post.find({
+    status: 'scheduled',
+    scheduledFor: { $lte: new Date() },
+  }).select('scheduledFor publishedAt');
+
+  let count = 0;
+  for (const post of due) {
+    const publishedAt = post.publishedAt || null;
+    const { modifiedCount } = await Post.updateOne(
+      { _id: post._id, status: 'scheduled', scheduledFor: post.scheduledFor, publishedAt },
+      {
+        status: 'published',
+        publishedAt: publishedAt || post.scheduledFor,
+        scheduledFor: null,
+        $inc: { version: 1 },
+      }
+    );
+    count += modifiedCount;
+  }
+
+  if (count > 0) {
+    logger.info('Published scheduled posts', { count });
+  }
+
+  return count;
+};
+
+module.exports = publishScheduledPosts;
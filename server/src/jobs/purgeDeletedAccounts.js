@@ -0,0 +1,24 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Permanently remove accounts whose deletion grace period has passed,
+ * together with their posts and sessions
+ * @returns {Number} Number of accounts removed
+ */
+const purgeDeletedAccounts = async () => {
+  const users = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id');
+  const ids = users.map((user) => user._id);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  await User.purge(ids);
+
+  logger.info('Purged deleted accounts', { count: ids.length });
+
+  return ids.length;
+};
+
+module.exports = purgeDeletedAccounts;
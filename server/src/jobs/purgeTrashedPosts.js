@@ -0,0 +1,26 @@
+const Post = require('../models/Post');
+const logger = require('../utils/logger');
+
+/**
+ * Permanently remove posts that have been in the trash longer than
+ * POST_TRASH_RETENTION_DAYS, together with their comments and revisions
+ * @returns {Number} Number of posts removed
+ */
+const purgeTrashedPosts = async () => {
+  const days = parseInt(process.env.POST_TRASH_RETENTION_DAYS, 10) || 30;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const count = await Post.countDocuments({ deletedAt: { $lte: cutoff } });
+
+  if (count === 0) {
+    return 0;
+  }
+
+  await Post.purge({ deletedAt: { $lte: cutoff } });
+
+  logger.info('Purged trashed posts', { count });
+
+  return count;
+};
+
+module.exports = purgeTrashedPosts;
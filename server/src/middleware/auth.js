@@ -1,33 +1,102 @@
-const { verifyToken } = require('../utils/auth');
+const { verifyToken, isMfaRequiredForRole } = require('../utils/auth');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const { hasPermission, restrictToScopes } = require('../utils/permissions');
+
+/**
+ * Read an API key from the X-API-Key header or "Authorization: ApiKey <key>"
+ */
+const getApiKey = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
 
 /**
  * Protect routes - require authentication
  */
 const protect = async (req, res, next) => {
   try {
-    let token;
+    let decoded;
+    let userId;
+    const rawApiKey = getApiKey(req);
 
-    // Check for token in Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    if (rawApiKey) {
+      // Only routes that opt in can be reached with an API key
+      if (!req.allowApiKey) {
+        return res.status(403).json({ error: 'API keys cannot be used for this route' });
+      }
 
-    // Check if token exists
-    if (!token) {
-      return res.status(401).json({ error: 'Not authorized to access this route' });
-    }
+      req.apiKey = await ApiKey.authenticate(rawApiKey);
+      if (!req.apiKey) {
+        return res.status(401).json({ error: 'Invalid or expired API key' });
+      }
+      userId = req.apiKey.user;
+    } else {
+      let token;
 
-    // Verify token
-    const decoded = verifyToken(token);
+      // Check for token in Authorization header
+      if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        token = req.headers.authorization.split(' ')[1];
+      }
+
+      // Check if token exists
+      if (!token) {
+        return res.status(401).json({ error: 'Not authorized to access this route' });
+      }
+
+      // Verify token
+      decoded = verifyToken(token);
+
+      // MFA challenge tokens are not access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({ error: 'Not authorized to access this route' });
+      }
+
+      // Every access token belongs to a session; reject those that don't,
+      // or whose session has been logged out or revoked
+      if (!decoded.sid) {
+        return res.status(401).json({ error: 'Not authorized to access this route' });
+      }
+      const session = await Session.touch(decoded.sid, { ip: req.ip });
+      if (!session) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+      req.sessionId = decoded.sid;
+      userId = decoded.id;
+    }
 
     // Get user from token
-    req.user = await User.findById(decoded.id).select('-password');
+    req.user = await User.findById(userId).select('-password');
 
     if (!req.user) {
       return res.status(401).json({ error: 'User not found' });
     }
 
+    if (req.user.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    // Reject tokens issued before the password was last changed
+    if (decoded && req.user.passwordChangedAt
+      && decoded.iat * 1000 < req.user.passwordChangedAt.getTime()) {
+      return res.status(401).json({ error: 'Password changed, please log in again' });
+    }
+
+    // Roles with mandatory MFA can only reach enrollment until they enable it
+    if (isMfaRequiredForRole(req.user.role) && !req.user.mfaEnabled && !req.allowMfaEnrollment) {
+      return res.status(403).json({
+        error: 'Two-factor authentication must be enabled for this account',
+        mfaEnrollmentRequired: true,
+      });
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({ error: 'Not authorized to access this route' });
@@ -35,17 +104,113 @@ const protect = async (req, res, next) => {
 };
 
 /**
- * Authorize specific roles
+ * Get the permissions of the authenticated user, limited to the API key's
+ * scopes when one was used
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+const resolvePermissions = async (req) => {
+  const granted = await Role.getPermissions(req.user.role);
+
+  // API keys only get the scopes they were created with
+  return req.apiKey ? restrictToScopes(granted, req.apiKey.scopes) : granted;
+};
+
+/**
+ * Authenticate when credentials are sent, otherwise continue anonymously
+ * Lets public routes show more to signed-in users through req.user and
+ * req.permissions
+ */
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization && !getApiKey(req)) {
+    return next();
+  }
+
+  return protect(req, res, () => loadPermissions(req, res, next));
+};
+
+/**
+ * Load the user's permissions for controllers that make their own decisions
+ * Must run after protect
+ */
+const loadPermissions = async (req, res, next) => {
+  try {
+    req.permissions = await resolvePermissions(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Let users who must enroll in MFA through protect
+ * Must run before protect
+ */
+const allowMfaEnrollment = (req, res, next) => {
+  req.allowMfaEnrollment = true;
+  next();
+};
+
+/**
+ * Accept API keys as well as access tokens
+ * Must run before protect
+ */
+const allowApiKey = (req, res, next) => {
+  req.allowApiKey = true;
+  next();
+};
+
+/**
+ * Require a permission from the user's role
+ * With a resourceOwnerCheck, a ':own' variant of the permission is enough
+ * when the user owns the resource; ':any' always is.
+ * @param {String} permission - Permission, e.g. 'post:create' or 'post:update'
+ * @param {Function} [resourceOwnerCheck] - async (req) => owner id, or null if
+ *   the resource doesn't exist
+ */
+const can = (permission, resourceOwnerCheck) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await resolvePermissions(req);
+      req.permissions = granted;
+
+      if (hasPermission(granted, permission) || hasPermission(granted, `${permission}:any`)) {
+        return next();
+      }
+
+      if (resourceOwnerCheck && hasPermission(granted, `${permission}:own`)) {
+        const ownerId = await resourceOwnerCheck(req);
+
+        // Missing resource: let the controller respond with its 404
+        if (!ownerId || ownerId.toString() === req.user._id.toString()) {
+          return next();
+        }
+      }
+
       return res.status(403).json({
-        error: `User role '${req.user.role}' is not authorized to access this route`,
+        error: `Not authorized: requires '${permission}' permission`,
       });
+    } catch (error) {
+      next(error);
     }
-    next();
   };
 };
 
-module.exports = { protect, authorize };
+/**
+ * Require a verified email address
+ * Must run after protect
+ */
+const requireVerified = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ error: 'Please verify your email address first' });
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  loadPermissions,
+  allowMfaEnrollment,
+  allowApiKey,
+  can,
+  requireVerified,
+};
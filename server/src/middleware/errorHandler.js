@@ -40,6 +40,13 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Mongoose optimistic concurrency: the document was saved by someone else first
+  if (err.name === 'VersionError') {
+    return res.status(409).json({
+      error: 'The resource was changed by another request, fetch it and try again',
+    });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
@@ -0,0 +1,31 @@
+const multer = require('multer');
+
+/**
+ * Get the largest accepted upload in megabytes
+ */
+const getMaxUploadMb = () => parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 5;
+
+/**
+ * Accept a single multipart file into req.file, kept in memory
+ * Limit errors become 413 (too large) or 400 responses.
+ * @param {String} field - Form field holding the file
+ */
+const uploadFile = (field) => (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Math.floor(getMaxUploadMb() * 1024 * 1024), files: 1, fields: 10 },
+  }).single(field);
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return error.code === 'LIMIT_FILE_SIZE'
+        ? res.status(413).json({ error: `File cannot exceed ${getMaxUploadMb()} MB` })
+        : res.status(400).json({ error: 'Invalid upload', details: error.message });
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadFile,
+};
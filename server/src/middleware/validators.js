@@ -0,0 +1,22 @@
+const { query } = require('express-validator');
+
+/**
+ * Validation chains shared by several routers
+ */
+
+// ?page= and ?limit= for page-numbered listings
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  // Larger limits are clamped rather than rejected
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive integer'),
+];
+
+module.exports = {
+  paginationValidation,
+};
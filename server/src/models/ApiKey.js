@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+const { hashToken } = require('../utils/auth');
+
+// Keys look like mbk_<48 hex chars>; the prefix makes them easy to spot in logs
+const KEY_PREFIX = 'mbk_';
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [50, 'Key name cannot exceed 50 characters'],
+    },
+    keyHash: {
+      type: String,
+      required: [true, 'Key hash is required'],
+      unique: true,
+      select: false,
+    },
+    // First characters of the key, shown so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // Permissions the key may use, on top of what the user's role allows
+    scopes: {
+      type: [String],
+      validate: {
+        validator: (scopes) => scopes.length > 0
+          && scopes.every((scope) => PERMISSIONS.includes(scope)),
+        message: 'Scopes must be one or more known permissions',
+      },
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Create a key for a user
+ * @param {Object} user - User object
+ * @param {Object} options - { name, scopes, expiresAt }
+ * @returns {Object} Raw key (only available now) and the stored document
+ */
+apiKeySchema.statics.issue = async function (user, { name, scopes, expiresAt } = {}) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+
+  const doc = await this.create({
+    user: user._id,
+    name,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    scopes,
+    expiresAt: expiresAt || null,
+  });
+
+  return { key, doc };
+};
+
+/**
+ * Find the usable key matching a raw key and record its use
+ * @param {String} key - Raw API key
+ * @returns {Object|null} Key document, or null if unknown, revoked or expired
+ */
+apiKeySchema.statics.authenticate = function (key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      keyHash: hashToken(key),
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    },
+    { lastUsedAt: now },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every live key belonging to a user
+ * @param {String} userId - User id
+ */
+apiKeySchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+apiKeySchema.index({ user: 1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { getStorage } = require('../utils/storage');
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: [true, 'Post is required'],
+    },
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Uploader is required'],
+    },
+    // Name of the file on the uploader's computer
+    originalName: {
+      type: String,
+      trim: true,
+      maxlength: [255, 'File name cannot exceed 255 characters'],
+    },
+    // Detected from the file's contents, not taken from the upload
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Storage keys; images also get a thumbnail
+    key: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+    width: {
+      type: Number,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Get the storage keys of the attachment's files
+ * @returns {Array} Original and thumbnail keys
+ */
+attachmentSchema.methods.storageKeys = function () {
+  return [this.key, this.thumbnailKey].filter(Boolean);
+};
+
+/**
+ * Delete the attachment and its files
+ */
+attachmentSchema.methods.removeWithFiles = async function () {
+  const storage = getStorage();
+  await Promise.all(this.storageKeys().map((key) => storage.delete(key)));
+  await this.deleteOne();
+};
+
+/**
+ * Delete every attachment of some posts along with their files
+ * Files go first, so a failure leaves the attachments to retry with.
+ * @param {Array} postIds - Post ids
+ */
+attachmentSchema.statics.removeForPosts = async function (postIds) {
+  const storage = getStorage();
+  const attachments = await this.find({ post: { $in: postIds } }).select('key thumbnailKey');
+
+  for (const attachment of attachments) {
+    await Promise.all(attachment.storageKeys().map((key) => storage.delete(key)));
+  }
+
+  await this.deleteMany({ post: { $in: postIds } });
+};
+
+// Files are served through the API, which checks the post is visible
+attachmentSchema.methods.toJSON = function () {
+  const attachment = this.toObject();
+  attachment.url = `/api/attachments/${this._id}`;
+  attachment.thumbnailUrl = this.thumbnailKey ? `/api/attachments/${this._id}/thumbnail` : null;
+  delete attachment.key;
+  delete attachment.thumbnailKey;
+  return attachment;
+};
+
+attachmentSchema.index({ post: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
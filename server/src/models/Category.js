@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Post = require('./Post');
+const slugify = require('../utils/slugify');
+const escapeRegex = require('../utils/escapeRegex');
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters'],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    // Parent category for nesting; null for top-level categories
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Find a slug for a name that no other category uses
+ * Names can differ but slugify the same ("C++" and "C"), so -2, -3, ...
+ * is added to the slug when it is taken.
+ * @param {String} name - Category name
+ * @param {String} [excludeId] - Category to ignore (the one being renamed)
+ * @returns {String} Unique slug
+ */
+categorySchema.statics.generateUniqueSlug = async function (name, excludeId) {
+  const base = slugify(name) || 'category';
+  const pattern = new RegExp(`^${escapeRegex(base)}(-\\d+)?$`);
+
+  const categories = await this.find({ _id: { $ne: excludeId }, slug: pattern }).select('slug');
+  const taken = new Set(categories.map((category) => category.slug));
+
+  let slug = base;
+  for (let n = 2; taken.has(slug); n += 1) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+// Generate a unique slug from the name before saving
+categorySchema.pre('save', async function () {
+  this.$locals.slugGenerated = false;
+  if (this.isModified('name') || !this.slug) {
+    this.slug = await this.constructor.generateUniqueSlug(this.name, this._id);
+    this.$locals.slugGenerated = true;
+  }
+});
+
+// Saves to try before giving up on a slug other saves keep taking
+const SLUG_SAVE_ATTEMPTS = 5;
+
+/**
+ * Save the category, moving on to the next free slug if another save takes its slug first
+ * Names that differ can slugify the same, so two such categories saved at
+ * once can both pick a slug neither of them saw taken.
+ * @returns {Object} The saved category
+ */
+categorySchema.methods.saveWithUniqueSlug = async function () {
+  const { slug } = this;
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await this.save();
+    } catch (error) {
+      const slugTaken = error.code === 11000 && error.keyPattern && error.keyPattern.slug;
+      if (!slugTaken || !this.$locals.slugGenerated || attempt >= SLUG_SAVE_ATTEMPTS) {
+        throw error;
+      }
+      // Undo the slug change so the hook picks again
+      this.slug = slug;
+    }
+  }
+};
+
+/**
+ * Check whether a category could become the parent of this one
+ * Rejects unknown parents and anything that would create a cycle.
+ * @param {String} parentId - Proposed parent id
+ * @returns {Boolean} True if the parent is allowed
+ */
+categorySchema.methods.canHaveParent = async function (parentId) {
+  let current = parentId;
+
+  // Walk up from the proposed parent; reaching this category means a cycle
+  while (current) {
+    if (current.toString() === this._id.toString()) {
+      return false;
+    }
+    const ancestor = await this.constructor.findById(current).select('parent');
+    if (!ancestor) {
+      return false;
+    }
+    current = ancestor.parent;
+  }
+  return true;
+};
+
+/**
+ * Count published posts in each category
+ * Counts are public, so unpublished posts are left out.
+ * @param {Array} ids - Category ids
+ * @returns {Map} Category id string -> number of published posts
+ */
+categorySchema.statics.countPosts = async function (ids) {
+  const counts = await Post.aggregate([
+    { $match: { category: { $in: ids }, status: 'published' } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+categorySchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const COMMENT_STATUSES = ['pending', 'approved', 'hidden'];
+
+const commentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: [true, 'Post is required'],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Author is required'],
+    },
+    // Comment this one replies to; null for top-level comments
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    // Every comment above this one, top-level first
+    ancestors: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+    },
+    // Removed when the comment is deleted
+    content: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Comment cannot exceed 5000 characters'],
+      required: [
+        function () {
+          return !this.deletedAt;
+        },
+        'Comment is required',
+      ],
+    },
+    status: {
+      type: String,
+      enum: COMMENT_STATUSES,
+      default: 'approved',
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Deleted comments with replies stay behind as placeholders
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Get how long after posting a comment can be edited
+ */
+const getEditWindowMs = () => (parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+/**
+ * Check whether the comment can still be edited by its author
+ * @returns {Boolean} True within the edit window of an undeleted comment
+ */
+commentSchema.methods.isEditable = function () {
+  return !this.deletedAt && Date.now() - this.createdAt.getTime() < getEditWindowMs();
+};
+
+/**
+ * Delete the comment, keeping a placeholder if it has replies
+ * so the rest of the thread stays in place
+ */
+commentSchema.methods.removeFromThread = async function () {
+  const hasReplies = await this.constructor.exists({ parent: this._id });
+
+  if (!hasReplies) {
+    await this.deleteOne();
+    return;
+  }
+
+  this.content = undefined;
+  this.deletedAt = new Date();
+  await this.save();
+};
+
+// Placeholders don't show who wrote them
+commentSchema.methods.toJSON = function () {
+  const comment = this.toObject();
+  if (comment.deletedAt) {
+    delete comment.author;
+  }
+  return comment;
+};
+
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ ancestors: 1 });
+commentSchema.index({ author: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
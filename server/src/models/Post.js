@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+const escapeRegex = require('../utils/escapeRegex');
+const { renderMarkdown, htmlToText, buildExcerpt, readingTime } = require('../utils/markdown');
+const { POST_STATUSES, POST_TRANSITIONS } = require('../config/postStatus');
+const PostRevision = require('./PostRevision');
+const Comment = require('./Comment');
+const Reaction = require('./Reaction');
+const Attachment = require('./Attachment');
+const PostRemoval = require('./PostRemoval');
 
 const postSchema = new mongoose.Schema(
   {
@@ -9,11 +18,24 @@ const postSchema = new mongoose.Schema(
       minlength: [3, 'Title must be at least 3 characters'],
       maxlength: [200, 'Title cannot exceed 200 characters'],
     },
+    // Markdown source
     content: {
       type: String,
       required: [true, 'Content is required'],
       minlength: [10, 'Content must be at least 10 characters'],
     },
+    // Derived from the content on save
+    contentHtml: {
+      type: String,
+      select: false,
+    },
+    excerpt: {
+      type: String,
+    },
+    // Minutes
+    readingTime: {
+      type: Number,
+    },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -28,36 +50,277 @@ const postSchema = new mongoose.Schema(
       unique: true,
       lowercase: true,
     },
-    published: {
-      type: Boolean,
-      default: false,
+    // Previous slugs, kept so old links can redirect
+    slugHistory: {
+      type: [String],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: POST_STATUSES,
+        message: 'Status must be one of: ' + POST_STATUSES.join(', '),
+      },
+      default: 'draft',
+    },
+    // Set the first time the post is published
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    // When the scheduler should publish a scheduled post
+    scheduledFor: {
+      type: Date,
+      default: null,
+      required: [
+        function () {
+          return this.status === 'scheduled';
+        },
+        'Scheduled posts need a publication date',
+      ],
     },
     tags: [{
       type: String,
       trim: true,
     }],
+    // Set when the post is moved to the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    commentsEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Used to sort listings by popularity
+    views: {
+      type: Number,
+      default: 0,
+    },
+    // Kept in step with Reaction documents
+    likeCount: {
+      type: Number,
+      default: 0,
+    },
+    bookmarkCount: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
+    // Every save bumps the version and fails if someone else saved first;
+    // the version is also the post's ETag
+    versionKey: 'version',
+    optimisticConcurrency: true,
   }
 );
 
-// Generate slug from title before saving
+/**
+ * Find a slug for a title that no other post uses or used to use
+ * Adds -2, -3, ... to the slug when it is taken.
+ * @param {String} title - Post title
+ * @param {String} [excludeId] - Post to ignore (the one being renamed)
+ * @returns {String} Unique slug
+ */
+postSchema.statics.generateUniqueSlug = async function (title, excludeId) {
+  const base = slugify(title) || 'post';
+  const pattern = new RegExp(`^${escapeRegex(base)}(-\\d+)?$`);
+
+  // Trashed posts keep their slugs in case they are restored
+  const posts = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { slugHistory: pattern }],
+  })
+    .select('slug slugHistory')
+    .setOptions({ withDeleted: true });
+
+  const taken = new Set(posts.flatMap((post) => [post.slug, ...post.slugHistory]));
+
+  let slug = base;
+  for (let n = 2; taken.has(slug); n += 1) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+// Generate a unique slug when the title is set or changed
+postSchema.pre('save', async function () {
+  this.$locals.slugGenerated = false;
+
+  if (!this.isModified('title') && this.slug) {
+    return;
+  }
+
+  // An explicitly chosen slug on a new post is kept
+  if (this.isNew && this.slug) {
+    return;
+  }
+
+  const slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+  if (slug === this.slug) {
+    return;
+  }
+
+  if (this.slug && !this.slugHistory.includes(this.slug)) {
+    this.slugHistory.push(this.slug);
+  }
+  // Renaming back to an old title reuses its slug
+  this.slugHistory.pull(slug);
+  this.slug = slug;
+  this.$locals.slugGenerated = true;
+});
+
+// Saves to try before giving up on a slug other saves keep taking
+const SLUG_SAVE_ATTEMPTS = 5;
+
+/**
+ * Save the post, moving on to the next free slug if another save takes its slug first
+ * generateUniqueSlug reads the taken slugs before the write, so two posts
+ * with the same title saved at once can pick the same one.
+ * @param {Object} [options] - Options for save()
+ * @returns {Object} The saved post
+ */
+postSchema.methods.saveWithUniqueSlug = async function (options) {
+  const { slug } = this;
+  const slugHistory = [...this.slugHistory];
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await this.save(options);
+    } catch (error) {
+      const slugTaken = error.code === 11000 && error.keyPattern && error.keyPattern.slug;
+      if (!slugTaken || !this.$locals.slugGenerated || attempt >= SLUG_SAVE_ATTEMPTS) {
+        throw error;
+      }
+      // Undo the slug change so the hook picks again
+      this.slug = slug;
+      this.slugHistory = slugHistory;
+    }
+  }
+};
+
+/**
+ * Move the post through its status workflow
+ * Doesn't check permissions or save the post.
+ * @param {String} action - Transition name from POST_TRANSITIONS
+ * @param {Object} options - { scheduledFor } for 'schedule'
+ * @returns {Boolean} False if the transition can't start from the current status
+ */
+postSchema.methods.transition = function (action, { scheduledFor } = {}) {
+  const transition = POST_TRANSITIONS[action];
+
+  if (!transition || !transition.from.includes(this.status)) {
+    return false;
+  }
+
+  this.status = transition.to;
+  if (transition.to === 'scheduled') {
+    this.scheduledFor = scheduledFor;
+  }
+  return true;
+};
+
+// Keep the status dates consistent with the status
+postSchema.pre('validate', function (next) {
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  if (this.status !== 'scheduled') {
+    this.scheduledFor = null;
+  }
+  next();
+});
+
+// Render the content, and backfill posts saved before rendering existed
 postSchema.pre('save', function (next) {
-  if (this.isModified('title') && !this.slug) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim();
+  if (this.isModified('content') || this.excerpt === undefined) {
+    this.contentHtml = renderMarkdown(this.content);
+    const text = htmlToText(this.contentHtml);
+    this.excerpt = buildExcerpt(text);
+    this.readingTime = readingTime(text);
   }
   next();
 });
 
+// The rendered HTML is only sent when asked for, see ?format= on GET /api/posts/:id
+postSchema.methods.toJSON = function () {
+  const post = this.toObject();
+  delete post.contentHtml;
+  return post;
+};
+
+/**
+ * Move the post to the trash
+ * @param {String} userId - User deleting the post
+ */
+postSchema.methods.trash = function (userId) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return this.save();
+};
+
+/**
+ * Take the post back out of the trash
+ */
+postSchema.methods.restore = function () {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  return this.save();
+};
+
+// Leave trashed posts out of queries unless they filter on deletedAt
+// themselves or pass the withDeleted option
+const excludeTrashed = function () {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+    return;
+  }
+  this.where({ deletedAt: null });
+};
+
+postSchema.pre(
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'],
+  excludeTrashed
+);
+
+postSchema.pre('aggregate', function () {
+  if (!this.options.withDeleted) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+/**
+ * Permanently delete posts and the data that belongs to them
+ * @param {Object} filter - Posts to delete
+ */
+postSchema.statics.purge = async function (filter) {
+  const posts = await this.find(filter).setOptions({ withDeleted: true }).select('author category');
+  const ids = posts.map((post) => post._id);
+
+  await PostRemoval.record(posts);
+  await PostRevision.deleteMany({ post: { $in: ids } });
+  await Comment.deleteMany({ post: { $in: ids } });
+  await Reaction.deleteMany({ post: { $in: ids } });
+  await Attachment.removeForPosts(ids);
+  await this.deleteMany({ _id: { $in: ids } });
+};
+
 // Add indexes for better query performance
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ category: 1 });
-postSchema.index({ slug: 1 });
+postSchema.index({ tags: 1 });
+postSchema.index({ slugHistory: 1 });
+postSchema.index({ status: 1, scheduledFor: 1 });
+postSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+// Full-text search, ranked with title matches counting most
+postSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: 'post_text_search', weights: { title: 10, tags: 5, content: 1 } }
+);
 
 module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * A post leaving an author's or a category's posts for good: deleted, or
+ * moved to another category
+ * Nothing is left of the post where it was, so feeds read these to tell
+ * that they changed.
+ */
+const postRemovalSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: [true, 'Post is required'],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Category the post was in, null for uncategorized posts
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: 'removedAt', updatedAt: false },
+  }
+);
+
+/**
+ * Record posts leaving where they were
+ * @param {Array} posts - Posts, or { _id, author, category } as they were
+ */
+postRemovalSchema.statics.record = async function (posts) {
+  if (posts.length > 0) {
+    await this.insertMany(posts.map((post) => ({
+      post: post._id,
+      author: post.author,
+      category: post.category,
+    })));
+  }
+};
+
+/**
+ * Get when a post last left the posts matching a filter
+ * @param {Object} filter - { author } or { category }, or {} for all posts
+ * @returns {Date|null} Newest removal date, or null if none
+ */
+postRemovalSchema.statics.lastRemovedAt = async function (filter) {
+  const removal = await this.findOne(filter).sort({ removedAt: -1 }).select('removedAt');
+  return removal ? removal.removedAt : null;
+};
+
+postRemovalSchema.index({ removedAt: -1 });
+postRemovalSchema.index({ author: 1, removedAt: -1 });
+postRemovalSchema.index({ category: 1, removedAt: -1 });
+
+module.exports = mongoose.model('PostRemoval', postRemovalSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const postRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: [true, 'Post is required'],
+    },
+    // Numbered from 1 per post
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Who saved this version
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+    // Revision number this version was restored from
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Get how many revisions are kept per post
+ */
+const getRetentionLimit = () => parseInt(process.env.POST_REVISION_LIMIT, 10) || 50;
+
+/**
+ * Save a post's current title, content and tags as its newest revision,
+ * dropping the oldest ones beyond the retention limit
+ * @param {Object} post - Saved post document
+ * @param {String} editorId - User who made the change
+ * @param {Object} options - { restoredFrom: revision number }
+ * @returns {Object} Revision document
+ */
+postRevisionSchema.statics.record = async function (post, editorId, { restoredFrom } = {}) {
+  const latest = await this.findOne({ post: post._id }).sort({ number: -1 }).select('number');
+
+  const revision = await this.create({
+    post: post._id,
+    number: latest ? latest.number + 1 : 1,
+    editor: editorId,
+    title: post.title,
+    content: post.content,
+    tags: post.tags,
+    restoredFrom,
+  });
+
+  const stale = await this.find({ post: post._id })
+    .sort({ number: -1 })
+    .skip(getRetentionLimit())
+    .select('_id');
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale.map((doc) => doc._id) } });
+  }
+
+  return revision;
+};
+
+/**
+ * Record the current version of a post that has no revisions yet,
+ * so posts written before revisions were kept don't lose it on their first edit
+ * @param {Object} post - Post document before it is changed
+ */
+postRevisionSchema.statics.ensureHistory = async function (post) {
+  if (!(await this.exists({ post: post._id }))) {
+    await this.record(post, post.author);
+  }
+};
+
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// Reaction type -> counter kept on the post
+const COUNTERS = {
+  like: 'likeCount',
+  bookmark: 'bookmarkCount',
+};
+
+const reactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: [true, 'Post is required'],
+    },
+    type: {
+      type: String,
+      enum: Object.keys(COUNTERS),
+      required: [true, 'Reaction type is required'],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Add a reaction unless the user already has it, and count it on the post
+ * Safe under concurrent requests: only the one that inserts the reaction
+ * increments the counter.
+ * @param {String} userId - User reacting
+ * @param {String} postId - Post reacted to
+ * @param {String} type - 'like' or 'bookmark'
+ * @returns {Boolean} True if the reaction was added
+ */
+reactionSchema.statics.add = async function (userId, postId, type) {
+  const reaction = { user: userId, post: postId, type };
+
+  try {
+    const { upsertedCount } = await this.updateOne(
+      reaction,
+      { $setOnInsert: reaction },
+      { upsert: true }
+    );
+    if (upsertedCount === 0) {
+      return false;
+    }
+  } catch (error) {
+    // A concurrent request inserted the same reaction first
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  await this.model('Post').updateOne(
+    { _id: postId },
+    { $inc: { [COUNTERS[type]]: 1 } },
+    { timestamps: false }
+  );
+  return true;
+};
+
+/**
+ * Remove a reaction if the user has it, and uncount it on the post
+ * @param {String} userId - User reacting
+ * @param {String} postId - Post reacted to
+ * @param {String} type - 'like' or 'bookmark'
+ * @returns {Boolean} True if the reaction was removed
+ */
+reactionSchema.statics.remove = async function (userId, postId, type) {
+  const { deletedCount } = await this.deleteOne({ user: userId, post: postId, type });
+
+  if (deletedCount === 0) {
+    return false;
+  }
+
+  await this.model('Post').updateOne(
+    { _id: postId },
+    { $inc: { [COUNTERS[type]]: -1 } },
+    { timestamps: false }
+  );
+  return true;
+};
+
+/**
+ * Remove every reaction of some users and uncount them on their posts
+ * @param {Array} userIds - User ids
+ */
+reactionSchema.statics.removeForUsers = async function (userIds) {
+  const counts = await this.aggregate([
+    { $match: { user: { $in: userIds } } },
+    { $group: { _id: { post: '$post', type: '$type' }, count: { $sum: 1 } } },
+  ]);
+
+  if (counts.length > 0) {
+    await this.model('Post').bulkWrite(
+      counts.map(({ _id, count }) => ({
+        updateOne: {
+          filter: { _id: _id.post },
+          update: { $inc: { [COUNTERS[_id.type]]: -count } },
+          timestamps: false,
+        },
+      }))
+    );
+  }
+
+  await this.deleteMany({ user: { $in: userIds } });
+};
+
+/**
+ * Get which of some posts a user has reacted to
+ * @param {String} userId - User
+ * @param {Array} postIds - Posts to check
+ * @param {String} type - 'like' or 'bookmark'
+ * @returns {Set} Ids of the posts with the reaction, as strings
+ */
+reactionSchema.statics.findReacted = async function (userId, postIds, type) {
+  const ids = await this.find({ user: userId, post: { $in: postIds }, type }).distinct('post');
+  return new Set(ids.map((id) => id.toString()));
+};
+
+reactionSchema.index({ user: 1, post: 1, type: 1 }, { unique: true });
+reactionSchema.index({ user: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Reaction', reactionSchema);
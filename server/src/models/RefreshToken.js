@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { generateRefreshToken, hashToken } = require('../utils/auth');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true,
+    },
+    // All tokens rotated from the same login share a family (the Session id)
+    family: {
+      type: String,
+      required: [true, 'Token family is required'],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+    },
+    createdByIp: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Issue a new refresh token for a user
+ * @param {Object} user - User object
+ * @param {Object} options - { family: session id, ip }
+ * @returns {Object} Raw token and the stored document
+ */
+refreshTokenSchema.statics.issue = async function (user, { family, ip } = {}) {
+  const token = generateRefreshToken();
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+
+  const doc = await this.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+  });
+
+  return { token, doc };
+};
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Let MongoDB remove tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 lowercase letters, digits, - or _'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    permissions: {
+      type: [String],
+      validate: {
+        validator: (permissions) => permissions.every(
+          (permission) => permission === '*' || PERMISSIONS.includes(permission)
+        ),
+        message: 'Unknown permission',
+      },
+    },
+    // Built-in roles can't be deleted
+    builtIn: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// role name -> { permissions, expires }
+const cache = new Map();
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Create any built-in roles missing from the database
+ */
+roleSchema.statics.ensureDefaults = async function () {
+  await Promise.all(
+    Object.entries(DEFAULT_ROLES).map(([name, role]) => this.updateOne(
+      { name },
+      { $setOnInsert: { name, ...role, builtIn: true } },
+      { upsert: true }
+    ))
+  );
+};
+
+/**
+ * Get the permissions granted to a role
+ * Falls back to the built-in definition if the role isn't stored yet
+ * @param {String} name - Role name
+ * @returns {Array} Permissions
+ */
+roleSchema.statics.getPermissions = async function (name) {
+  const cached = cache.get(name);
+  if (cached && cached.expires > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).lean();
+  const permissions = role
+    ? role.permissions
+    : (DEFAULT_ROLES[name] && DEFAULT_ROLES[name].permissions) || [];
+
+  cache.set(name, { permissions, expires: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Check whether a role name exists
+ * @param {String} name - Role name
+ * @returns {Boolean} True for built-in and stored roles
+ */
+roleSchema.statics.isValidName = async function (name) {
+  if (DEFAULT_ROLES[name]) {
+    return true;
+  }
+  return Boolean(await this.exists({ name }));
+};
+
+/**
+ * Forget cached permissions after roles change
+ */
+roleSchema.statics.clearCache = function () {
+  cache.clear();
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+// Don't write lastSeenAt more than once a minute per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ip: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed back every time the session's refresh token is rotated
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Get the expiry date for a session used now
+ */
+const nextExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Start a session for a login
+ * @param {Object} user - User object
+ * @param {Object} options - { userAgent, ip }
+ * @returns {Object} Session document
+ */
+sessionSchema.statics.start = function (user, { userAgent, ip } = {}) {
+  return this.create({
+    user: user._id,
+    userAgent: userAgent && userAgent.slice(0, 500),
+    ip,
+    expiresAt: nextExpiry(),
+  });
+};
+
+/**
+ * Find an active session and record that it was seen
+ * @param {String} id - Session id
+ * @param {Object} options - { ip }
+ * @returns {Object|null} Session, or null if revoked, expired or unknown
+ */
+sessionSchema.statics.touch = async function (id, { ip } = {}) {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  const now = new Date();
+  const session = await this.findOne({ _id: id, revokedAt: null, expiresAt: { $gt: now } });
+
+  if (session && now - session.lastSeenAt > TOUCH_INTERVAL_MS) {
+    await this.updateOne({ _id: id }, { lastSeenAt: now, ...(ip && { ip }) });
+  }
+
+  return session;
+};
+
+/**
+ * Keep a session alive when its refresh token is rotated
+ * @param {String} id - Session id
+ * @param {Object} options - { ip }
+ */
+sessionSchema.statics.renew = function (id, { ip } = {}) {
+  return this.updateOne(
+    { _id: id, revokedAt: null },
+    { lastSeenAt: new Date(), expiresAt: nextExpiry(), ...(ip && { ip }) }
+  );
+};
+
+/**
+ * Sign out of sessions and revoke their refresh tokens
+ * @param {Object} filter - Which sessions to revoke
+ */
+sessionSchema.statics.revokeWhere = async function (filter) {
+  const sessions = await this.find({ ...filter, revokedAt: null }).select('_id');
+  const ids = sessions.map((session) => session._id);
+
+  const now = new Date();
+  await this.updateMany({ _id: { $in: ids } }, { revokedAt: now });
+  await RefreshToken.updateMany(
+    { family: { $in: ids.map(String) }, revokedAt: null },
+    { revokedAt: now }
+  );
+
+  return ids.length;
+};
+
+/**
+ * Sign out of one session
+ * @param {String} id - Session id
+ */
+sessionSchema.statics.revoke = function (id) {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(0);
+  }
+  return this.revokeWhere({ _id: id });
+};
+
+/**
+ * Sign a user out everywhere, optionally keeping one session
+ * @param {String} userId - User id
+ * @param {Object} options - { except: session id to keep }
+ */
+sessionSchema.statics.revokeAllForUser = function (userId, { except } = {}) {
+  return this.revokeWhere({ user: userId, ...(except && { _id: { $ne: except } }) });
+};
+
+sessionSchema.index({ user: 1 });
+// Let MongoDB remove sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
-const { hashPassword } = require('../utils/auth');
+const { hashPassword, hashToken } = require('../utils/auth');
+const totp = require('../utils/totp');
+const Role = require('./Role');
 
 const userSchema = new mongoose.Schema(
   {
@@ -28,10 +31,100 @@ const userSchema = new mongoose.Schema(
       minlength: [6, 'Password must be at least 6 characters'],
       select: false, // Don't return password by default
     },
+    // Name of a Role; permissions come from the role
     role: {
       type: String,
-      enum: ['user', 'admin'],
       default: 'user',
+      validate: {
+        validator: (value) => Role.isValidName(value),
+        message: 'Invalid role',
+      },
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Bio cannot exceed 500 characters'],
+    },
+    avatarUrl: {
+      type: String,
+      trim: true,
+    },
+    // Set when the user asks to delete their account; cleared if they log in again
+    deletionScheduledFor: {
+      type: Date,
+    },
+    suspendedAt: {
+      type: Date,
+    },
+    suspensionReason: {
+      type: String,
+      trim: true,
+    },
+    // Set by an admin; login is refused until the password is reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    // Number of times the account has been locked; lockout length doubles each time
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    mfaEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    mfaSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated at setup, promoted to mfaSecret once a code is confirmed
+    mfaPendingSecret: {
+      type: String,
+      select: false,
+    },
+    mfaRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted time step, so a code can't be replayed
+    mfaLastUsedStep: {
+      type: Number,
+      select: false,
     },
   },
   {
@@ -45,13 +138,215 @@ userSchema.pre('save', async function (next) {
     return next();
   }
   this.password = await hashPassword(this.password);
+
+  // Tokens issued before this moment are no longer valid. Backdate by a
+  // second because JWT iat has second precision.
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
+/**
+ * Generate a random token with its hash and expiry date
+ * @param {Number} minutes - Lifetime in minutes
+ * @returns {Object} { token, hash, expires }
+ */
+const createExpiringToken = (minutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    hash: hashToken(token),
+    expires: new Date(Date.now() + minutes * 60 * 1000),
+  };
+};
+
+/**
+ * Create a single-use password reset token
+ * Only the hash is stored; the raw token is returned to be mailed
+ * @returns {String} Raw reset token
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const { token, hash, expires } = createExpiringToken(
+    parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60
+  );
+
+  this.passwordResetToken = hash;
+  this.passwordResetExpires = expires;
+
+  return token;
+};
+
+/**
+ * Create an email verification token
+ * @returns {String} Raw verification token
+ */
+userSchema.methods.createEmailVerificationToken = function () {
+  const { token, hash, expires } = createExpiringToken(
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_MINUTES, 10) || 24 * 60
+  );
+
+  this.emailVerificationToken = hash;
+  this.emailVerificationExpires = expires;
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+/**
+ * Seconds until a locked account can log in again
+ * @returns {Number} 0 if the account is not locked
+ */
+userSchema.methods.getLockRemaining = function () {
+  if (!this.lockUntil || this.lockUntil.getTime() <= Date.now()) {
+    return 0;
+  }
+  return Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000);
+};
+
+/**
+ * Record a failed login and lock the account once the limit is reached
+ * Counters are updated atomically so parallel attempts are all counted
+ * @returns {Date|null} Lock expiry if this attempt locked the account
+ */
+userSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+  const maxMinutes = parseInt(process.env.LOGIN_MAX_LOCK_MINUTES, 10) || 24 * 60;
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < maxAttempts) {
+    return null;
+  }
+
+  const minutes = Math.min(baseMinutes * 2 ** updated.lockCount, maxMinutes);
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockCount: 1 } }
+  );
+
+  return lockUntil;
+};
+
+/**
+ * Clear failed login counters and any lock
+ */
+userSchema.methods.resetLoginAttempts = function () {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
+
+/**
+ * Replace the recovery codes with a fresh set
+ * @returns {Array} Raw codes to show the user once
+ */
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: 10 }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.mfaRecoveryCodes = codes.map((code) => hashToken(code.replace('-', '')));
+
+  return codes;
+};
+
+/**
+ * Check a TOTP or recovery code and consume it
+ * Requires mfaSecret to be selected
+ * @param {String} code - Code entered by the user
+ * @returns {Boolean} True if the code was accepted
+ */
+userSchema.methods.verifyMfaCode = async function (code) {
+  const step = this.mfaSecret ? totp.verifyCode(this.mfaSecret, code) : null;
+
+  if (step !== null) {
+    // Only accept a step newer than the last one used
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [{ mfaLastUsedStep: { $lt: step } }, { mfaLastUsedStep: null }],
+      },
+      { mfaLastUsedStep: step }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Recovery codes are single use
+  const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  if (normalized.length !== 10) {
+    return false;
+  }
+
+  const hash = hashToken(normalized);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, mfaRecoveryCodes: hash },
+    { $pull: { mfaRecoveryCodes: hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Permanently delete users and the data that belongs to them
+ * @param {Array} ids - User ids
+ * @param {Object} options - { reassignPostsTo } to keep posts under another author
+ */
+userSchema.statics.purge = async function (ids, { reassignPostsTo } = {}) {
+  // Required here to avoid circular model imports
+  const Post = require('./Post');
+  const RefreshToken = require('./RefreshToken');
+  const Session = require('./Session');
+  const ApiKey = require('./ApiKey');
+  const Comment = require('./Comment');
+  const Reaction = require('./Reaction');
+
+  if (reassignPostsTo) {
+    await Post.updateMany(
+      { author: { $in: ids } },
+      { author: reassignPostsTo, $inc: { version: 1 } },
+      { withDeleted: true }
+    );
+  } else {
+    await Post.purge({ author: { $in: ids } });
+  }
+
+  // Comments on other people's posts stay as placeholders so threads keep their shape
+  await Comment.updateMany(
+    { author: { $in: ids } },
+    { $set: { deletedAt: new Date() }, $unset: { content: 1 } }
+  );
+  await Reaction.removeForUsers(ids);
+  await RefreshToken.deleteMany({ user: { $in: ids } });
+  await Session.deleteMany({ user: { $in: ids } });
+  await ApiKey.deleteMany({ user: { $in: ids } });
+  await this.deleteMany({ _id: { $in: ids } });
+};
+
 // Instance method to get user without password
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.emailVerificationSentAt;
+  delete user.failedLoginAttempts;
+  delete user.lockUntil;
+  delete user.lockCount;
+  delete user.mfaSecret;
+  delete user.mfaPendingSecret;
+  delete user.mfaRecoveryCodes;
+  delete user.mfaLastUsedStep;
   return user;
 };
 
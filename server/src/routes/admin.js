@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const rolesController = require('../controllers/rolesController');
+const Role = require('../models/Role');
+const { PERMISSIONS } = require('../config/permissions');
+const { protect, allowApiKey, can } = require('../middleware/auth');
+
+/**
+ * Reject role names that don't exist
+ */
+const existingRole = async (value) => {
+  if (!(await Role.isValidName(value))) {
+    throw new Error('Invalid role');
+  }
+  return true;
+};
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+const listUsersValidation = [
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters'),
+  query('role')
+    .optional()
+    .isString()
+    .custom(existingRole),
+  query('status')
+    .optional()
+    .isIn(['active', 'suspended'])
+    .withMessage('Status must be active or suspended'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+const roleValidation = [
+  body('role')
+    .isString()
+    .withMessage('Invalid role')
+    .bail()
+    .custom(existingRole),
+];
+
+const roleNameValidation = [
+  param('name')
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+    .withMessage('Invalid role name'),
+];
+
+const permissionsValidation = (field) => field
+  .isArray()
+  .withMessage('Permissions must be an array')
+  .bail()
+  .custom((permissions) => permissions.every(
+    (permission) => permission === '*' || PERMISSIONS.includes(permission)
+  ))
+  .withMessage('Unknown permission');
+
+const createRoleValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+    .withMessage('Role name must be 2-30 lowercase letters, digits, - or _'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  permissionsValidation(body('permissions')),
+];
+
+const updateRoleValidation = [
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  permissionsValidation(body('permissions').optional()),
+];
+
+const suspendValidation = [
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
+
+const deleteValidation = [
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID to reassign posts to'),
+];
+
+// All admin routes require authentication; scoped API keys are accepted
+router.use(allowApiKey, protect);
+
+// User management
+const manageUsers = can('user:manage');
+router.get('/users', manageUsers, listUsersValidation, adminController.getUsers);
+router.get('/users/:id', manageUsers, idValidation, adminController.getUser);
+router.patch('/users/:id/role', can('role:manage'), idValidation, roleValidation, adminController.updateRole);
+router.post('/users/:id/suspend', manageUsers, idValidation, suspendValidation, adminController.suspendUser);
+router.post('/users/:id/unsuspend', manageUsers, idValidation, adminController.unsuspendUser);
+router.post('/users/:id/force-password-reset', manageUsers, idValidation, adminController.forcePasswordReset);
+router.post('/users/:id/unlock', manageUsers, idValidation, adminController.unlockUser);
+router.delete('/users/:id', manageUsers, idValidation, deleteValidation, adminController.deleteUser);
+
+// Role management
+const manageRoles = can('role:manage');
+router.get('/roles', manageRoles, rolesController.getRoles);
+router.post('/roles', manageRoles, createRoleValidation, rolesController.createRole);
+router.patch('/roles/:name', manageRoles, roleNameValidation, updateRoleValidation, rolesController.updateRole);
+router.delete('/roles/:name', manageRoles, roleNameValidation, rolesController.deleteRole);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const attachmentsController = require('../controllers/attachmentsController');
+const { optionalAuth, allowApiKey } = require('../middleware/auth');
+
+// Files are public once their post is; uploads go through /api/posts/:id/attachments
+router.get('/:id', allowApiKey, optionalAuth, attachmentsController.getAttachmentFile);
+router.get('/:id/thumbnail', allowApiKey, optionalAuth, attachmentsController.getAttachmentThumbnail);
+
+module.exports = router;
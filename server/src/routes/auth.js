@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, allowMfaEnrollment, allowApiKey } = require('../middleware/auth');
 
 // Validation rules
 const registerValidation = [
@@ -31,9 +31,76 @@ const loginValidation = [
     .withMessage('Password is required'),
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters'),
+];
+
+const mfaCodeValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required'),
+];
+
+const mfaVerifyValidation = [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  ...mfaCodeValidation,
+];
+
+const mfaDisableValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...mfaCodeValidation,
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+];
+
 // Routes
 router.post('/register', registerValidation, authController.register);
 router.post('/login', loginValidation, authController.login);
-router.get('/me', protect, authController.getMe);
+router.post('/refresh', refreshTokenValidation, authController.refresh);
+router.post('/logout', refreshTokenValidation, authController.logout);
+router.post('/forgot-password', forgotPasswordValidation, authController.forgotPassword);
+router.post('/reset-password', resetPasswordValidation, authController.resetPassword);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/resend-verification', protect, authController.resendVerification);
+router.post('/mfa/verify', mfaVerifyValidation, authController.verifyMfa);
+router.post('/mfa/setup', allowMfaEnrollment, protect, authController.setupMfa);
+router.post('/mfa/confirm', allowMfaEnrollment, protect, mfaCodeValidation, authController.confirmMfa);
+router.post('/mfa/disable', protect, mfaDisableValidation, authController.disableMfa);
+router.post('/mfa/recovery-codes', protect, mfaCodeValidation, authController.regenerateRecoveryCodes);
+router.get('/me', allowMfaEnrollment, allowApiKey, protect, authController.getMe);
+router.get('/sessions', protect, authController.getSessions);
+router.delete('/sessions', protect, authController.revokeOtherSessions);
+router.delete('/sessions/:id', protect, sessionIdValidation, authController.revokeSession);
 
 module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const categoriesController = require('../controllers/categoriesController');
+const { protect, allowApiKey, can } = require('../middleware/auth');
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+];
+
+const categoryFields = (name) => [
+  name
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('parent')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid parent category ID'),
+];
+
+const createValidation = categoryFields(body('name'));
+const updateValidation = categoryFields(body('name').optional());
+
+// Routes
+const manageCategories = [allowApiKey, protect, can('category:manage')];
+router.get('/', categoriesController.getCategories);
+router.get('/:id', idValidation, categoriesController.getCategory);
+router.post('/', manageCategories, createValidation, categoriesController.createCategory);
+router.put('/:id', manageCategories, idValidation, updateValidation, categoriesController.updateCategory);
+router.delete('/:id', manageCategories, idValidation, categoriesController.deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+// Mounted under /api/posts/:id/comments
+const router = express.Router({ mergeParams: true });
+const { body, param, query } = require('express-validator');
+const commentsController = require('../controllers/commentsController');
+const {
+  protect,
+  optionalAuth,
+  loadPermissions,
+  requireVerified,
+} = require('../middleware/auth');
+const { paginationValidation } = require('../middleware/validators');
+
+// Validation rules
+const contentValidation = [
+  body('content')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment must be between 1 and 5000 characters'),
+];
+
+const createCommentValidation = [
+  ...contentValidation,
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID'),
+];
+
+const listCommentsValidation = [
+  query('mode')
+    .optional()
+    .isIn(['tree', 'flat'])
+    .withMessage('Mode must be tree or flat'),
+  ...paginationValidation,
+];
+
+const commentIdValidation = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID'),
+];
+
+const commenter = [protect, loadPermissions];
+
+// Routes
+router.get('/', optionalAuth, listCommentsValidation, commentsController.getComments);
+router.post('/', commenter, requireVerified, createCommentValidation, commentsController.createComment);
+router.patch('/:commentId', commenter, commentIdValidation, contentValidation, commentsController.updateComment);
+router.delete('/:commentId', commenter, commentIdValidation, commentsController.deleteComment);
+router.post('/:commentId/hide', commenter, commentIdValidation, commentsController.hideComment);
+router.post('/:commentId/approve', commenter, commentIdValidation, commentsController.approveComment);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const feedsController = require('../controllers/feedsController');
+
+// Public feeds of published posts; the extension picks RSS, Atom or JSON Feed
+const FORMAT = ':format(rss|atom|json)';
+
+router.get(`/posts.${FORMAT}`, feedsController.getPostsFeed);
+router.get(`/categories/:slug/posts.${FORMAT}`, feedsController.getCategoryFeed);
+router.get(`/authors/:username/posts.${FORMAT}`, feedsController.getAuthorFeed);
+
+module.exports = router;
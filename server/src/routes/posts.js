@@ -1,26 +1,239 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const postsController = require('../controllers/postsController');
-const { protect } = require('../middleware/auth');
+const revisionsController = require('../controllers/revisionsController');
+const reactionsController = require('../controllers/reactionsController');
+const attachmentsController = require('../controllers/attachmentsController');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const { POST_STATUSES } = require('../config/postStatus');
+const { SORT_VALUES, SPARSE_FIELDS, parseList } = require('../utils/postQuery');
+const { CONTENT_FORMATS } = require('../utils/markdown');
+const {
+  protect,
+  optionalAuth,
+  loadPermissions,
+  allowApiKey,
+  can,
+  requireVerified,
+} = require('../middleware/auth');
+const { uploadFile } = require('../middleware/upload');
+const { paginationValidation } = require('../middleware/validators');
+
+// Resolve the author of the post in the URL for ownership checks
+const postOwner = async (req) => {
+  const post = await Post.findById(req.params.id).select('author');
+  return post && post.author;
+};
 
 // Validation rules
-const postValidation = [
-  body('title')
+const postFieldRules = (partial) => {
+  // Partial updates only check the fields they supply
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Title must be between 3 and 200 characters'),
+    field('content')
+      .trim()
+      .isLength({ min: 10 })
+      .withMessage('Content must be at least 10 characters'),
+    body('category')
+      .optional({ values: 'falsy' })
+      .isMongoId()
+      .withMessage('Invalid category ID')
+      .bail()
+      .custom(async (id) => {
+        if (!(await Category.exists({ _id: id }))) {
+          throw new Error('Category not found');
+        }
+        return true;
+      }),
+    body('tags')
+      .optional({ values: 'null' })
+      .isArray()
+      .withMessage('Tags must be an array'),
+    body('tags.*')
+      .isString()
+      .withMessage('Tags must be strings')
+      .trim(),
+    body('commentsEnabled')
+      .optional({ values: 'null' })
+      .isBoolean({ strict: true })
+      .withMessage('commentsEnabled must be true or false'),
+    body(['status', 'published'])
+      .not()
+      .exists()
+      .withMessage('Use the post status endpoints to change the status'),
+  ];
+};
+
+const postValidation = postFieldRules(false);
+
+const patchValidation = [
+  body()
+    .custom((patch) => patch !== null && typeof patch === 'object' && !Array.isArray(patch))
+    .withMessage('A merge patch must be a JSON object'),
+  ...postFieldRules(true),
+];
+
+const scheduleValidation = [
+  body('scheduledFor')
+    .isISO8601()
+    .withMessage('Scheduled date must be a valid date')
+    .bail()
+    .custom((date) => new Date(date) > new Date())
+    .withMessage('Scheduled date must be in the future'),
+];
+
+const revisionValidation = [
+  param('rev')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer'),
+];
+
+const diffValidation = [
+  query(['from', 'to'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer'),
+];
+
+// Every listing parameter must be a plain string so no operators reach the query
+const listPostsValidation = [
+  ...paginationValidation,
+  query('after')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Cursor must be a string'),
+  query('author')
+    .optional()
+    .isString()
     .trim()
-    .isLength({ min: 3, max: 200 })
-    .withMessage('Title must be between 3 and 200 characters'),
-  body('content')
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Author must be a user ID or username'),
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  query('tags')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Tags must be a comma-separated list'),
+  query('tagMode')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('Tag mode must be any or all'),
+  query('status')
+    .optional()
+    .isIn(POST_STATUSES)
+    .withMessage(`Status must be one of ${POST_STATUSES.join(', ')}`),
+  ...['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo'].map((field) => query(field)
+    .optional()
+    .isISO8601()
+    .withMessage(`${field} must be a valid date`)),
+  query('sort')
+    .optional()
+    .isIn(SORT_VALUES)
+    .withMessage(`Sort must be one of ${SORT_VALUES.join(', ')}`),
+  query('fields')
+    .optional()
+    .isString()
+    .custom((fields) => parseList(fields).every((field) => SPARSE_FIELDS.includes(field)))
+    .withMessage(`Fields must be a comma-separated list of ${SPARSE_FIELDS.join(', ')}`),
+];
+
+const searchValidation = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search must be between 1 and 200 characters'),
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid author ID'),
+  query('tag')
+    .optional()
+    .isString()
     .trim()
-    .isLength({ min: 10 })
-    .withMessage('Content must be at least 10 characters'),
+    .notEmpty()
+    .withMessage('Tag must be a string'),
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  ...paginationValidation,
+];
+
+const formatValidation = [
+  query('format')
+    .optional()
+    .isIn(CONTENT_FORMATS)
+    .withMessage(`Format must be one of ${CONTENT_FORMATS.join(', ')}`),
+];
+
+const slugValidation = [
+  param('slug')
+    .matches(/^[a-z0-9_-]{1,250}$/)
+    .withMessage('Invalid slug'),
+  ...formatValidation,
 ];
 
+// Anyone can read published posts; signed-in users also see the drafts they may edit
+const reader = [allowApiKey, optionalAuth];
+const postEditor = [allowApiKey, protect, can('post:update', postOwner)];
+
 // Routes
-router.get('/', postsController.getPosts);
-router.get('/:id', postsController.getPost);
-router.post('/', protect, postValidation, postsController.createPost);
-router.put('/:id', protect, postValidation, postsController.updatePost);
-router.delete('/:id', protect, postsController.deletePost);
+router.get('/', reader, listPostsValidation, postsController.getPosts);
+router.get('/search', reader, searchValidation, postsController.searchPosts);
+router.get('/slug/:slug', reader, slugValidation, postsController.getPostBySlug);
+router.get('/trash', allowApiKey, protect, loadPermissions, paginationValidation, postsController.getTrash);
+router.get('/:id', reader, formatValidation, postsController.getPost);
+router.post('/', allowApiKey, protect, requireVerified, can('post:create'), postValidation, postsController.createPost);
+router.put('/:id', postEditor, postValidation, postsController.updatePost);
+router.patch('/:id', postEditor, postsController.expandJsonPatch, patchValidation, postsController.patchPost);
+router.delete('/:id', allowApiKey, protect, can('post:delete', postOwner), postsController.deletePost);
+router.post('/:id/restore', allowApiKey, protect, loadPermissions, postsController.restorePost);
+
+// Status workflow
+router.post('/:id/submit', postEditor, postsController.submitPost);
+router.post('/:id/withdraw', postEditor, postsController.withdrawPost);
+router.post('/:id/publish', postEditor, postsController.publishPost);
+router.post('/:id/schedule', postEditor, scheduleValidation, postsController.schedulePost);
+router.post('/:id/unpublish', postEditor, postsController.unpublishPost);
+router.post('/:id/archive', postEditor, postsController.archivePost);
+
+// Revisions
+router.get('/:id/revisions', postEditor, revisionsController.getRevisions);
+router.get('/:id/revisions/diff', postEditor, diffValidation, revisionsController.diffRevisions);
+router.get('/:id/revisions/:rev', postEditor, revisionValidation, revisionsController.getRevision);
+router.post('/:id/revisions/:rev/restore', postEditor, revisionValidation, revisionsController.restoreRevision);
+
+// Likes and bookmarks
+router.put('/:id/like', protect, loadPermissions, reactionsController.likePost);
+router.delete('/:id/like', protect, loadPermissions, reactionsController.unlikePost);
+router.put('/:id/bookmark', protect, loadPermissions, reactionsController.bookmarkPost);
+router.delete('/:id/bookmark', protect, loadPermissions, reactionsController.unbookmarkPost);
+
+// Attachments
+router.get('/:id/attachments', reader, attachmentsController.getAttachments);
+router.post('/:id/attachments', postEditor, uploadFile('file'), attachmentsController.uploadAttachment);
+router.delete('/:id/attachments/:attachmentId', postEditor, attachmentsController.deleteAttachment);
+
+router.use('/:id/comments', require('./comments'));
 
 module.exports = router;
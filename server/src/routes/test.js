@@ -15,25 +15,29 @@ router.post('/seed', async (req, res) => {
         username: 'testuser1',
         email: 'test1@example.com',
         password: 'password123',
+        emailVerified: true,
       },
       {
         username: 'testuser2',
         email: 'test2@example.com',
         password: 'password123',
+        emailVerified: true,
       },
     ]);
 
-    // Create test posts
+    // Create test posts; published so anonymous readers see them
     await Post.create([
       {
         title: 'Test Post 1',
         content: 'This is test post content 1',
         author: users[0]._id,
+        status: 'published',
       },
       {
         title: 'Test Post 2',
         content: 'This is test post content 2',
         author: users[1]._id,
+        status: 'published',
       },
     ]);
 
@@ -50,7 +54,7 @@ router.post('/seed', async (req, res) => {
 router.post('/clear', async (req, res) => {
   try {
     await User.deleteMany({});
-    await Post.deleteMany({});
+    await Post.purge({});
     res.status(200).json({ message: 'Database cleared successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const usersController = require('../controllers/usersController');
+const apiKeysController = require('../controllers/apiKeysController');
+const reactionsController = require('../controllers/reactionsController');
+const { PERMISSIONS } = require('../config/permissions');
+const { protect, loadPermissions } = require('../middleware/auth');
+const { paginationValidation } = require('../middleware/validators');
+
+// Validation rules
+const updateProfileValidation = [
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('currentPassword')
+    .if(body('email').exists())
+    .notEmpty()
+    .withMessage('Current password is required to change the email'),
+  body('bio')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Bio cannot exceed 500 characters'),
+  body('avatarUrl')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Avatar URL must be a valid http(s) URL'),
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters'),
+];
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+];
+
+const createApiKeyValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Key name must be between 1 and 50 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required')
+    .bail()
+    .custom((scopes) => scopes.every((scope) => PERMISSIONS.includes(scope)))
+    .withMessage('Unknown scope'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+];
+
+const apiKeyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID'),
+];
+
+// Routes
+router.patch('/me', protect, updateProfileValidation, usersController.updateMe);
+router.post('/me/password', protect, changePasswordValidation, usersController.changePassword);
+router.delete('/me', protect, deleteAccountValidation, usersController.deleteMe);
+router.get('/me/api-keys', protect, apiKeysController.getApiKeys);
+router.post('/me/api-keys', protect, createApiKeyValidation, apiKeysController.createApiKey);
+router.delete('/me/api-keys/:id', protect, apiKeyIdValidation, apiKeysController.revokeApiKey);
+router.get('/me/bookmarks', protect, loadPermissions, reactionsController.getBookmarks);
+router.get('/:username', paginationValidation, usersController.getProfile);
+
+module.exports = router;
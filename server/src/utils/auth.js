@@ -1,19 +1,38 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 
 /**
- * Generate JWT token for a user
+ * Generate a short-lived JWT access token for a user
  * @param {Object} user - User object
+ * @param {String} [sessionId] - Session the token belongs to
  * @returns {String} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   return jwt.sign(
-    { id: user._id, email: user.email },
+    { id: user._id, email: user.email, ...(sessionId && { sid: sessionId }) },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '24h' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+/**
+ * Generate an opaque refresh token
+ * @returns {String} Random hex token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(40).toString('hex');
+};
+
+/**
+ * Hash a token for storage so the raw value never touches the database
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Verify JWT token
  * @param {String} token - JWT token
@@ -27,6 +46,46 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Generate a short-lived token proving the password step of an MFA login
+ * @param {Object} user - User object
+ * @returns {String} JWT token
+ */
+const generateMfaToken = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: 'mfa' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.MFA_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+/**
+ * Verify an MFA challenge token
+ * @param {String} token - JWT token
+ * @returns {Object} Decoded token payload
+ */
+const verifyMfaToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== 'mfa') {
+    throw new Error('Invalid token');
+  }
+  return decoded;
+};
+
+/**
+ * Check whether a role must use two-factor authentication
+ * Configured with a comma-separated MFA_REQUIRED_ROLES list
+ * @param {String} role - User role
+ * @returns {Boolean} True if MFA is mandatory
+ */
+const isMfaRequiredForRole = (role) => {
+  return (process.env.MFA_REQUIRED_ROLES || '')
+    .split(',')
+    .map((r) => r.trim())
+    .filter(Boolean)
+    .includes(role);
+};
+
 /**
  * Hash password
  * @param {String} password - Plain text password
@@ -49,7 +108,12 @@ const comparePassword = async (password, hash) => {
 
 module.exports = {
   generateToken,
+  generateRefreshToken,
+  hashToken,
   verifyToken,
+  generateMfaToken,
+  verifyMfaToken,
+  isMfaRequiredForRole,
   hashPassword,
   comparePassword,
 };
@@ -0,0 +1,107 @@
+/**
+ * Line-based diffs for comparing post revisions
+ */
+
+/**
+ * Append lines to a list of chunks, merging with the last chunk of the same type
+ */
+const pushLines = (chunks, type, lines) => {
+  if (lines.length === 0) {
+    return;
+  }
+  const last = chunks[chunks.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(...lines);
+  } else {
+    chunks.push({ type, lines: [...lines] });
+  }
+};
+
+// Largest longest-common-subsequence table built (about 16 MB); the table
+// grows with the product of the line counts, so bigger changes are shown
+// as the old lines removed and the new ones added
+const MAX_TABLE_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line
+ * Uses a longest common subsequence table over the lines between the
+ * unchanged start and end, which stays small for typical edits.
+ * @param {String} before - Old text
+ * @param {String} after - New text
+ * @returns {Array} Chunks of { type: 'equal' | 'removed' | 'added', lines }
+ */
+const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+
+  const chunks = [];
+  pushLines(chunks, 'equal', a.slice(0, start));
+
+  if ((oldLines.length + 1) * (newLines.length + 1) > MAX_TABLE_CELLS) {
+    pushLines(chunks, 'removed', oldLines);
+    pushLines(chunks, 'added', newLines);
+    pushLines(chunks, 'equal', a.slice(endA));
+    return chunks;
+  }
+
+  // lcs[i][j] = length of the common subsequence of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: oldLines.length + 1 }, () => new Uint32Array(newLines.length + 1));
+  for (let i = oldLines.length - 1; i >= 0; i -= 1) {
+    for (let j = newLines.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      pushLines(chunks, 'equal', [oldLines[i]]);
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushLines(chunks, 'removed', [oldLines[i]]);
+      i += 1;
+    } else {
+      pushLines(chunks, 'added', [newLines[j]]);
+      j += 1;
+    }
+  }
+  pushLines(chunks, 'removed', oldLines.slice(i));
+  pushLines(chunks, 'added', newLines.slice(j));
+
+  pushLines(chunks, 'equal', a.slice(endA));
+  return chunks;
+};
+
+/**
+ * Compare two lists of values, ignoring order
+ * @param {Array} before - Old values
+ * @param {Array} after - New values
+ * @returns {Object} { added, removed }
+ */
+const diffLists = (before, after) => ({
+  added: after.filter((value) => !before.includes(value)),
+  removed: before.filter((value) => !after.includes(value)),
+});
+
+module.exports = {
+  diffLines,
+  diffLists,
+};
@@ -0,0 +1,8 @@
+/**
+ * Escape a string for use in a regular expression
+ * @param {String} value - Literal text
+ * @returns {String} Pattern matching the text exactly
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
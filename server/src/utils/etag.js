@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * ETags for versioned documents and If-Match preconditions
+ *
+ * Tags start with the document's version: "3" after a write, or "3-<digest>"
+ * for what a reader was sent. Counters and the caller's own reactions change
+ * the body without bumping the version, so reads add a digest of the body
+ * while If-Match only compares versions.
+ */
+
+/**
+ * Build the ETag of a document from its version number
+ * @param {Object} doc - Document with a version field
+ * @returns {String} Strong ETag, e.g. "3"
+ */
+const versionEtag = (doc) => `"${doc.version || 0}"`;
+
+/**
+ * Build the ETag of a response body showing a document
+ * @param {Object} doc - Document with a version field
+ * @param {Object} body - Response body
+ * @returns {String} Strong ETag, e.g. "3-q0ZPTKc1Yu1kP0Ve"
+ */
+const bodyEtag = (doc, body) => {
+  const digest = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+  return `"${doc.version || 0}-${digest.slice(0, 16)}"`;
+};
+
+/**
+ * Read the version an ETag was built from
+ * @param {String} tag - ETag
+ * @returns {String|null} Version, or null for tags not made here (weak ones included)
+ */
+const etagVersion = (tag) => {
+  const match = /^"(\d+)(?:-[\w-]+)?"$/.exec(tag);
+  return match ? match[1] : null;
+};
+
+/**
+ * Check whether an If-Match header names the version of an ETag
+ * Weak tags never match.
+ * @param {String} header - If-Match header value
+ * @param {String} etag - Current ETag
+ * @returns {Boolean} True if the header is * or lists a tag of the same version
+ */
+const matchesEtag = (header, etag) => {
+  const version = etagVersion(etag);
+
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .some((tag) => tag === '*' || (version !== null && etagVersion(tag) === version));
+};
+
+/**
+ * Check a write's If-Match header against the resource's current ETag
+ * @param {Object} req - Express request
+ * @param {String} etag - Current ETag
+ * @param {Boolean} required - Whether writes without If-Match are refused
+ * @returns {Object|null} { status, error } to send when the precondition fails
+ */
+const checkIfMatch = (req, etag, required) => {
+  const header = req.get('If-Match');
+
+  if (!header) {
+    return required ? { status: 428, error: 'If-Match header is required' } : null;
+  }
+
+  if (!matchesEtag(header, etag)) {
+    return { status: 412, error: 'The resource has changed since it was fetched' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  versionEtag,
+  bodyEtag,
+  matchesEtag,
+  checkIfMatch,
+};
@@ -0,0 +1,142 @@
+/**
+ * Feed documents (RSS 2.0, Atom and JSON Feed) for lists of posts
+ * Builders take a feed described as:
+ *   { title, description, homeUrl, feedUrl, updated, items: [item] }
+ * with items as:
+ *   { id, url, title, summary, html, published, updated, author, categories }
+ * Item ids must not change when a post is renamed, or readers show it again.
+ */
+
+// Characters XML 1.0 doesn't allow at all, not even escaped
+const INVALID_XML_CHARS = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+/**
+ * Escape text for XML element content or attribute values
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+const escapeXml = (value) => String(value ?? '')
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+// Element with escaped text, left out when there's no value
+const element = (name, value, attributes = '') => (
+  value === undefined || value === null || value === ''
+    ? ''
+    : `<${name}${attributes}>${escapeXml(value)}</${name}>`
+);
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} feed - Feed description
+ * @returns {String} XML
+ */
+const buildRss = (feed) => {
+  const items = feed.items.map((item) => [
+    '<item>',
+    element('title', item.title),
+    element('link', item.url),
+    element('guid', item.id, ' isPermaLink="false"'),
+    element('pubDate', item.published.toUTCString()),
+    element('dc:creator', item.author),
+    ...item.categories.map((category) => element('category', category)),
+    element('description', item.summary),
+    element('content:encoded', item.html),
+    '</item>',
+  ].join(''));
+
+  return XML_DECLARATION + [
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.homeUrl),
+    element('description', feed.description || feed.title),
+    `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    element('lastBuildDate', feed.updated.toUTCString()),
+    ...items,
+    '</channel>',
+    '</rss>',
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Build an Atom document
+ * @param {Object} feed - Feed description
+ * @returns {String} XML
+ */
+const buildAtom = (feed) => {
+  const entries = feed.items.map((item) => [
+    '<entry>',
+    element('title', item.title, ' type="text"'),
+    element('id', item.id),
+    `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    element('published', item.published.toISOString()),
+    element('updated', item.updated.toISOString()),
+    `<author>${element('name', item.author)}</author>`,
+    ...item.categories.map((category) => `<category term="${escapeXml(category)}"/>`),
+    element('summary', item.summary, ' type="text"'),
+    element('content', item.html, ' type="html"'),
+    '</entry>',
+  ].join(''));
+
+  return XML_DECLARATION + [
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    element('title', feed.title),
+    element('subtitle', feed.description),
+    element('id', feed.feedUrl),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    element('updated', feed.updated.toISOString()),
+    ...entries,
+    '</feed>',
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Build a JSON Feed 1.1 document
+ * @param {Object} feed - Feed description
+ * @returns {String} JSON
+ */
+const buildJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description || undefined,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.feedUrl,
+  items: feed.items.map((item) => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    content_html: item.html,
+    summary: item.summary || undefined,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: [{ name: item.author }],
+    tags: item.categories.length ? item.categories : undefined,
+  })),
+});
+
+// Media type and builder of each format
+const FEED_FORMATS = {
+  rss: { type: 'application/rss+xml; charset=utf-8', build: buildRss },
+  atom: { type: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  json: { type: 'application/feed+json; charset=utf-8', build: buildJsonFeed },
+};
+
+module.exports = {
+  FEED_FORMATS,
+  escapeXml,
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+};
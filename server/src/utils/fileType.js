@@ -0,0 +1,37 @@
+/**
+ * File type detection from magic bytes, so uploads can't lie about their type
+ */
+
+// Types attachments may have; SVG is left out as it can carry scripts
+const FILE_TYPES = [
+  { mime: 'image/jpeg', extension: 'jpg', signature: [[0, 'ffd8ff']] },
+  { mime: 'image/png', extension: 'png', signature: [[0, '89504e470d0a1a0a']] },
+  { mime: 'image/gif', extension: 'gif', signature: [[0, '474946383761']] },
+  { mime: 'image/gif', extension: 'gif', signature: [[0, '474946383961']] },
+  { mime: 'image/webp', extension: 'webp', signature: [[0, '52494646'], [8, '57454250']] },
+  { mime: 'application/pdf', extension: 'pdf', signature: [[0, '255044462d']] },
+];
+
+const ALLOWED_MIME_TYPES = [...new Set(FILE_TYPES.map((type) => type.mime))];
+
+/**
+ * Detect a file's type from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { mime, extension, isImage }, or null for types not allowed
+ */
+const detectFileType = (buffer) => {
+  const type = FILE_TYPES.find(({ signature }) => signature.every(([offset, hex]) => {
+    const bytes = Buffer.from(hex, 'hex');
+    return buffer.length >= offset + bytes.length
+      && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+  }));
+
+  return type
+    ? { mime: type.mime, extension: type.extension, isImage: type.mime.startsWith('image/') }
+    : null;
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  detectFileType,
+};
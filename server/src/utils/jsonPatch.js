@@ -0,0 +1,196 @@
+/**
+ * JSON Patch (RFC 6902) for partial updates
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+// Keys that could reach an object's prototype
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Create an error the error handler turns into a client error
+ * @param {String} message - Error message
+ * @param {Number} [statusCode] - HTTP status, 400 unless a test fails
+ */
+const patchError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const hasOwn = (target, key) => Object.prototype.hasOwnProperty.call(target, key);
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+// Patched documents are plain JSON, so a JSON round trip copies them
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Split a JSON pointer into its unescaped reference tokens
+ * @param {String} pointer - JSON pointer, e.g. '/tags/0'
+ * @returns {Array} Tokens; empty for the whole document
+ */
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(`Invalid JSON pointer: ${pointer}`);
+  }
+
+  const tokens = pointer.split('/').slice(1).map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  if (tokens.some((token) => UNSAFE_KEYS.includes(token))) {
+    throw patchError(`Invalid JSON pointer: ${pointer}`);
+  }
+  return tokens;
+};
+
+/**
+ * Turn a reference token into an array index
+ * @param {Array} array - Array being indexed
+ * @param {String} token - Reference token
+ * @param {String} pointer - Whole pointer, for the error message
+ * @param {Boolean} allowEnd - Whether '-' and the length itself may be used (to append)
+ */
+const arrayIndex = (array, token, pointer, allowEnd) => {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+
+  const max = allowEnd ? array.length : array.length - 1;
+  if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) > max) {
+    throw patchError(`Path not found: ${pointer}`);
+  }
+  return Number(token);
+};
+
+/**
+ * Find the value a pointer refers to
+ */
+const getValue = (document, pointer) => parsePointer(pointer).reduce((target, token) => {
+  if (!isContainer(target) || !hasOwn(target, token)) {
+    throw patchError(`Path not found: ${pointer}`);
+  }
+  return target[token];
+}, document);
+
+/**
+ * Find the container a pointer's last token refers into
+ * @returns {Object} { parent, key }
+ */
+const getParent = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+
+  if (tokens.length === 0) {
+    throw patchError('Replacing the whole document is not supported');
+  }
+
+  const key = tokens.pop();
+  const parent = tokens.reduce((target, token) => {
+    if (!isContainer(target) || !hasOwn(target, token)) {
+      throw patchError(`Path not found: ${pointer}`);
+    }
+    return target[token];
+  }, document);
+
+  if (!isContainer(parent)) {
+    throw patchError(`Path not found: ${pointer}`);
+  }
+  return { parent, key };
+};
+
+const add = (document, pointer, value) => {
+  const { parent, key } = getParent(document, pointer);
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, pointer, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+};
+
+const remove = (document, pointer) => {
+  const { parent, key } = getParent(document, pointer);
+
+  if (Array.isArray(parent)) {
+    return parent.splice(arrayIndex(parent, key, pointer, false), 1)[0];
+  }
+
+  if (!hasOwn(parent, key)) {
+    throw patchError(`Path not found: ${pointer}`);
+  }
+  const value = parent[key];
+  delete parent[key];
+  return value;
+};
+
+const replace = (document, pointer, value) => {
+  const { parent, key } = getParent(document, pointer);
+
+  if (Array.isArray(parent)) {
+    parent[arrayIndex(parent, key, pointer, false)] = value;
+    return;
+  }
+
+  if (!hasOwn(parent, key)) {
+    throw patchError(`Path not found: ${pointer}`);
+  }
+  parent[key] = value;
+};
+
+/**
+ * Apply a JSON Patch to a copy of a document
+ * Operations apply in order and the whole patch fails if one does.
+ * @param {Object} document - Plain JSON document, left unchanged
+ * @param {Array} operations - Patch operations
+ * @returns {Object} Patched copy of the document
+ */
+const applyPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw patchError('JSON Patch must be an array of operations');
+  }
+
+  const result = clone(document);
+
+  operations.forEach((operation) => {
+    if (!isContainer(operation)) {
+      throw patchError('Each JSON Patch operation must be an object');
+    }
+
+    const { op, path, from } = operation;
+    if (['add', 'replace', 'test'].includes(op) && !hasOwn(operation, 'value')) {
+      throw patchError(`The ${op} operation needs a value`);
+    }
+
+    switch (op) {
+      case 'add':
+        add(result, path, clone(operation.value));
+        break;
+      case 'remove':
+        remove(result, path);
+        break;
+      case 'replace':
+        replace(result, path, clone(operation.value));
+        break;
+      case 'move':
+        parsePointer(from);
+        parsePointer(path);
+        if (path.startsWith(`${from}/`)) {
+          throw patchError(`Cannot move ${from} into itself`);
+        }
+        add(result, path, remove(result, from));
+        break;
+      case 'copy':
+        add(result, path, clone(getValue(result, from)));
+        break;
+      case 'test':
+        if (!isDeepStrictEqual(getValue(result, path), operation.value)) {
+          throw patchError(`Test failed: ${path}`, 409);
+        }
+        break;
+      default:
+        throw patchError(`Unknown JSON Patch operation: ${op}`);
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  applyPatch,
+  parsePointer,
+};
@@ -0,0 +1,74 @@
+/**
+ * Per-IP failed login tracking
+ * Kept in memory: counts are per process and reset on restart. Failures
+ * only expire with their window; a successful login doesn't clear them.
+ */
+
+// ip -> { count, resetAt }
+const failures = new Map();
+
+const getWindowMs = () => (parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const getMaxAttempts = () => parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS, 10) || 20;
+
+/**
+ * Drop entries whose window has passed
+ */
+const prune = () => {
+  const now = Date.now();
+  for (const [ip, entry] of failures) {
+    if (entry.resetAt <= now) {
+      failures.delete(ip);
+    }
+  }
+};
+
+/**
+ * Record a failed login from an IP
+ * @param {String} ip - Client IP
+ * @returns {Number} Failures in the current window
+ */
+const recordFailure = (ip) => {
+  if (failures.size > 10000) {
+    prune();
+  }
+
+  const now = Date.now();
+  let entry = failures.get(ip);
+
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + getWindowMs() };
+    failures.set(ip, entry);
+  }
+
+  entry.count += 1;
+  return entry.count;
+};
+
+/**
+ * Seconds until an IP may try again
+ * @param {String} ip - Client IP
+ * @returns {Number} 0 if the IP is not blocked
+ */
+const getRetryAfter = (ip) => {
+  const entry = failures.get(ip);
+  const now = Date.now();
+
+  if (!entry || entry.resetAt <= now || entry.count < getMaxAttempts()) {
+    return 0;
+  }
+
+  return Math.ceil((entry.resetAt - now) / 1000);
+};
+
+/**
+ * Forget all failures
+ */
+const clear = () => {
+  failures.clear();
+};
+
+module.exports = {
+  recordFailure,
+  getRetryAfter,
+  clear,
+};
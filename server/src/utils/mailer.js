@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Messages delivered by the memory transport
+const outbox = [];
+
+/**
+ * Transport that keeps messages in memory (used in tests)
+ */
+const memoryTransport = {
+  name: 'memory',
+  send: async (message) => {
+    outbox.push(message);
+    return message;
+  },
+};
+
+/**
+ * Create a transport that writes each message as a JSON file
+ * @param {String} dir - Outbox directory
+ * @returns {Object} Transport
+ */
+const createFileTransport = (dir) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    return message;
+  },
+});
+
+let transport = null;
+
+/**
+ * Get the configured transport
+ * MAIL_TRANSPORT selects 'memory' or 'file'; tests default to memory
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+    transport = name === 'memory'
+      ? memoryTransport
+      : createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox'));
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport (e.g. with an SMTP implementation)
+ * @param {Object} customTransport - Object with an async send(message) method
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Object} The message that was sent
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    date: new Date().toISOString(),
+  };
+
+  const sent = await getTransport().send(message);
+  logger.info('Mail sent', { to, subject, transport: getTransport().name });
+
+  return sent;
+};
+
+/**
+ * Get messages delivered by the memory transport
+ * @returns {Array} Messages
+ */
+const getOutbox = () => outbox;
+
+/**
+ * Empty the memory outbox
+ */
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  createFileTransport,
+  getOutbox,
+  clearOutbox,
+};
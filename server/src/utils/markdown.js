@@ -0,0 +1,97 @@
+/**
+ * Markdown rendering for post content
+ */
+
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Formats post content can be read in
+const CONTENT_FORMATS = ['markdown', 'html', 'text'];
+
+const markdown = new Marked({ gfm: true, async: false });
+
+// Raw HTML in the source passes through Markdown, so everything is sanitized:
+// no scripts, no event handlers, and links only to web and mail addresses
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del'],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https'],
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener' }),
+  },
+};
+
+// Average adult reading speed, words per minute
+const WORDS_PER_MINUTE = 200;
+
+/**
+ * Render Markdown to safe HTML
+ * @param {String} source - Markdown
+ * @returns {String} Sanitized HTML
+ */
+const renderMarkdown = (source) => sanitizeHtml(markdown.parse(source || ''), SANITIZE_OPTIONS);
+
+/**
+ * Strip the tags from HTML, keeping the text
+ * @param {String} html - HTML, e.g. from renderMarkdown
+ * @returns {String} Text with whitespace collapsed
+ */
+const htmlToText = (html) => sanitizeHtml(html.replace(/<\/(p|h[1-6]|li|blockquote|pre|tr)>/g, '$& '), {
+  allowedTags: [],
+  allowedAttributes: {},
+})
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Shorten text to a whole number of words
+ * @param {String} text - Plain text
+ * @param {Number} [maxLength] - Longest excerpt, ellipsis included
+ * @returns {String} The text, or its start followed by an ellipsis
+ */
+const buildExcerpt = (text, maxLength = 200) => {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+/**
+ * Estimate how long text takes to read
+ * @param {String} text - Plain text
+ * @returns {Number} Minutes, at least 1
+ */
+const readingTime = (text) => {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+};
+
+module.exports = {
+  CONTENT_FORMATS,
+  renderMarkdown,
+  htmlToText,
+  buildExcerpt,
+  readingTime,
+};
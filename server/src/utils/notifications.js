@@ -0,0 +1,42 @@
+const { sendMail } = require('./mailer');
+const { getClientUrl, getApiUrl } = require('./urls');
+
+/**
+ * Account emails sent through the mailer
+ */
+
+/**
+ * Email a verification link to a user
+ * @param {Object} user - User object
+ * @param {String} token - Raw verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  const verifyUrl = `${getApiUrl()}/api/auth/verify-email/${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username}! Please confirm your email address by opening the link below:\n\n${verifyUrl}`,
+  });
+};
+
+/**
+ * Email a password reset link to a user
+ * @param {Object} user - User object
+ * @param {String} token - Raw reset token
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const resetUrl = `${getClientUrl()}/reset-password?token=${token}`;
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Password reset',
+    text: `You requested a password reset. Use the link below within the next ${minutes} minutes:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
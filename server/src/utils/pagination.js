@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Read page and limit from a query string, clamping limit to a sane range
+ * @param {Object} query - req.query
+ * @returns {Object} { page, limit }
+ */
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page, limit };
+};
+
+/**
+ * Encode a document's position in a createdAt/_id ordering as an opaque cursor
+ * @param {Object} doc - Document with createdAt and _id
+ * @returns {String} Cursor
+ */
+const encodeCursor = (doc) => {
+  const position = { createdAt: doc.createdAt.toISOString(), id: doc._id.toString() };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {String} cursor - Cursor
+ * @returns {Object|null} { createdAt, id }, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(createdAt);
+
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the query condition for documents after a cursor, newest first
+ * @param {Object} position - Decoded cursor
+ * @returns {Object} MongoDB condition
+ */
+const afterCursor = ({ createdAt, id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: id } },
+  ],
+});
+
+/**
+ * Build an RFC 8288 Link header from the current URL
+ * @param {Object} req - Express request
+ * @param {Object} links - rel -> query params to override, e.g. { next: { page: 3 } }
+ * @returns {String} Header value
+ */
+const buildLinkHeader = (req, links) => {
+  const path = req.path === '/' ? '' : req.path;
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${path}`;
+
+  return Object.entries(links)
+    .map(([rel, overrides]) => {
+      const params = new URLSearchParams();
+      Object.entries({ ...req.query, ...overrides }).forEach(([key, value]) => {
+        if (value === undefined) {
+          return;
+        }
+        [].concat(value).forEach((item) => params.append(key, item));
+      });
+      return `<${base}?${params}>; rel="${rel}"`;
+    })
+    .join(', ');
+};
+
+/**
+ * Get the Link header relations for page-numbered results
+ * @param {Number} page - Current page
+ * @param {Number} pages - Total number of pages
+ * @returns {Object} rel -> query params for buildLinkHeader
+ */
+const pageLinks = (page, pages) => {
+  const last = Math.max(pages, 1);
+  const links = { first: { page: 1 } };
+
+  if (page > 1) {
+    links.prev = { page: Math.min(page - 1, last) };
+  }
+  if (page < pages) {
+    links.next = { page: page + 1 };
+  }
+  links.last = { page: last };
+
+  return links;
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  buildLinkHeader,
+  pageLinks,
+};
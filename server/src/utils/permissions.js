@@ -0,0 +1,23 @@
+/**
+ * Check whether a set of granted permissions includes one permission
+ * @param {Array} granted - Permissions granted to a role
+ * @param {String} permission - Permission to check
+ * @returns {Boolean} True if granted directly or through '*'
+ */
+const hasPermission = (granted, permission) => {
+  return granted.includes('*') || granted.includes(permission);
+};
+
+/**
+ * Limit granted permissions to a set of scopes
+ * A ':own' scope is allowed when the matching ':any' permission is granted.
+ * @param {Array} granted - Permissions granted to a role
+ * @param {Array} scopes - Scopes to allow
+ * @returns {Array} The scopes that are actually granted
+ */
+const restrictToScopes = (granted, scopes) => {
+  return scopes.filter((scope) => hasPermission(granted, scope)
+    || (scope.endsWith(':own') && hasPermission(granted, scope.replace(/:own$/, ':any'))));
+};
+
+module.exports = { hasPermission, restrictToScopes };
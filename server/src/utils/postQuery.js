@@ -0,0 +1,151 @@
+/**
+ * Whitelisted filters, sorting and sparse fieldsets for post listings
+ *
+ * Only the parameters handled here ever reach Post.find, and only as plain
+ * values, so query operators can't be injected through the query string.
+ */
+
+const { hasPermission } = require('./permissions');
+
+// ?sort= name -> document field
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  title: 'title',
+  publishedAt: 'publishedAt',
+  popularity: 'views',
+};
+
+const SORT_VALUES = Object.keys(SORT_FIELDS).flatMap((name) => [name, `-${name}`]);
+
+const DEFAULT_SORT = '-createdAt';
+
+// Fields that can be requested with ?fields=
+const SPARSE_FIELDS = [
+  'title',
+  'slug',
+  'content',
+  'excerpt',
+  'readingTime',
+  'author',
+  'category',
+  'tags',
+  'status',
+  'publishedAt',
+  'scheduledFor',
+  'views',
+  'likeCount',
+  'bookmarkCount',
+  'createdAt',
+  'updatedAt',
+  'version',
+];
+
+/**
+ * Split a comma-separated query value
+ * @param {String} value - e.g. "a, b,c"
+ * @returns {Array} Trimmed, non-empty items
+ */
+const parseList = (value) => String(value)
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+/**
+ * Build a date range condition
+ */
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) {
+    range.$gte = new Date(from);
+  }
+  if (to) {
+    range.$lte = new Date(to);
+  }
+  return range;
+};
+
+/**
+ * Build a Post filter from validated query parameters
+ * @param {Object} params - req.query
+ * @param {Object} options - { authorId: author resolved from ?author= }
+ * @returns {Object} MongoDB filter
+ */
+const buildPostFilter = (params, { authorId } = {}) => {
+  const filter = {};
+
+  if (params.author) {
+    filter.author = authorId;
+  }
+  if (params.category) {
+    filter.category = params.category;
+  }
+  if (params.tags) {
+    const tags = parseList(params.tags);
+    filter.tags = params.tagMode === 'all' ? { $all: tags } : { $in: tags };
+  }
+  if (params.status) {
+    filter.status = params.status;
+  }
+  if (params.createdFrom || params.createdTo) {
+    filter.createdAt = dateRange(params.createdFrom, params.createdTo);
+  }
+  if (params.updatedFrom || params.updatedTo) {
+    filter.updatedAt = dateRange(params.updatedFrom, params.updatedTo);
+  }
+
+  return filter;
+};
+
+/**
+ * Build the filter for posts a user may see
+ * Everyone sees published posts, authors also see their own unpublished
+ * ones, and users who can edit any post see all of them.
+ * @param {Object} [user] - Authenticated user, if any
+ * @param {Array} [permissions] - The user's permissions
+ * @returns {Object} MongoDB filter
+ */
+const buildVisibilityFilter = (user, permissions = []) => {
+  if (!user) {
+    return { status: 'published' };
+  }
+  if (hasPermission(permissions, 'post:update:any')) {
+    return {};
+  }
+  return { $or: [{ status: 'published' }, { author: user._id }] };
+};
+
+/**
+ * Build a sort from ?sort=, e.g. "title" or "-popularity"
+ * _id breaks ties so pages don't overlap.
+ * @param {String} [sort] - Validated sort value
+ * @returns {Object} Mongoose sort
+ */
+const buildPostSort = (sort = DEFAULT_SORT) => {
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = SORT_FIELDS[sort.replace(/^-/, '')];
+  return { [field]: direction, _id: direction };
+};
+
+/**
+ * Build a projection from ?fields=
+ * @param {String} [fields] - Validated field list
+ * @returns {String|null} Mongoose select string, or null for every field
+ */
+const buildPostProjection = (fields) => {
+  if (!fields) {
+    return null;
+  }
+  return parseList(fields).join(' ');
+};
+
+module.exports = {
+  SORT_VALUES,
+  DEFAULT_SORT,
+  SPARSE_FIELDS,
+  parseList,
+  buildPostFilter,
+  buildVisibilityFilter,
+  buildPostSort,
+  buildPostProjection,
+};
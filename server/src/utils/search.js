@@ -0,0 +1,124 @@
+/**
+ * Helpers for presenting MongoDB text search results
+ *
+ * MongoDB ranks and matches with stemming but doesn't return highlights,
+ * so snippets are built here from the terms the user searched for.
+ */
+
+const escapeRegex = require('./escapeRegex');
+
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Reduce a word to a rough stem so "publishing" also highlights "published"
+ */
+const stem = (word) => {
+  const stemmed = word.replace(/(ing|ed|es|s)$/, '');
+  return stemmed.length >= 3 ? stemmed : word;
+};
+
+/**
+ * Get the terms to highlight from a $search string
+ * Quoted phrases are kept whole; negated terms (-word) are dropped.
+ * @param {String} q - Search string
+ * @returns {Array} Terms
+ */
+const parseSearchTerms = (q) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(q)) !== null) {
+    const [, phraseNegated, phrase, wordNegated, word] = match;
+    if (phrase && !phraseNegated) {
+      terms.push(phrase.trim().toLowerCase());
+    } else if (word && !wordNegated) {
+      const cleaned = word.replace(/[^\w'-]/g, '').toLowerCase();
+      if (cleaned) {
+        terms.push(stem(cleaned));
+      }
+    }
+  }
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Build a regular expression matching any of the terms at a word start
+ * @param {Array} terms - Terms from parseSearchTerms
+ * @returns {RegExp|null} Pattern, or null if there is nothing to match
+ */
+const buildTermPattern = (terms) => {
+  if (!terms.length) {
+    return null;
+  }
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map((term) => `${escapeRegex(term)}\\w*`);
+  return new RegExp(`\\b(?:${alternatives.join('|')})`, 'gi');
+};
+
+/**
+ * Wrap matches in <mark>, HTML-escaping everything else
+ * @param {String} text - Plain text
+ * @param {RegExp} pattern - Pattern from buildTermPattern
+ * @returns {String} HTML
+ */
+const markMatches = (text, pattern) => {
+  let html = '';
+  let last = 0;
+
+  text.replace(pattern, (match, offset) => {
+    html += `${escapeHtml(text.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+
+  return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Highlight the terms in a piece of text, cut to a snippet around the first match
+ * @param {String} text - Plain text
+ * @param {Array} terms - Terms from parseSearchTerms
+ * @param {Object} options - { length: snippet length, or 0 for the whole text }
+ * @returns {String} HTML snippet
+ */
+const highlight = (text = '', terms = [], { length = SNIPPET_LENGTH } = {}) => {
+  const pattern = buildTermPattern(terms);
+  let start = 0;
+  let end = text.length;
+
+  if (length && text.length > length) {
+    const first = pattern ? text.search(pattern) : -1;
+    start = Math.max(0, (first === -1 ? 0 : first) - Math.floor(length / 4));
+    end = Math.min(text.length, start + length);
+
+    // Don't cut words in half
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space === -1 || space > start + 20 ? start : space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      end = space > start ? space : end;
+    }
+  }
+
+  const snippet = text.slice(start, end);
+  const html = pattern ? markMatches(snippet, pattern) : escapeHtml(snippet);
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  parseSearchTerms,
+  highlight,
+};
@@ -0,0 +1,82 @@
+// Letters that don't decompose into an ASCII base letter plus accents
+const TRANSLITERATIONS = {
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  đ: 'd',
+  ð: 'd',
+  ł: 'l',
+  þ: 'th',
+  ı: 'i',
+  а: 'a',
+  б: 'b',
+  в: 'v',
+  г: 'g',
+  д: 'd',
+  е: 'e',
+  ё: 'e',
+  ж: 'zh',
+  з: 'z',
+  и: 'i',
+  й: 'y',
+  к: 'k',
+  л: 'l',
+  м: 'm',
+  н: 'n',
+  о: 'o',
+  п: 'p',
+  р: 'r',
+  с: 's',
+  т: 't',
+  у: 'u',
+  ф: 'f',
+  х: 'kh',
+  ц: 'ts',
+  ч: 'ch',
+  ш: 'sh',
+  щ: 'shch',
+  ъ: '',
+  ы: 'y',
+  ь: '',
+  э: 'e',
+  ю: 'yu',
+  я: 'ya',
+  є: 'ye',
+  і: 'i',
+  ї: 'yi',
+  ґ: 'g',
+};
+
+/**
+ * Convert text to ASCII, dropping accents and transliterating
+ * Latin and Cyrillic letters
+ * @param {String} text - Text to convert
+ * @returns {String} ASCII text; unsupported characters are removed
+ */
+const transliterate = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/[^\u0000-\u007f]/g, (char) => {
+      if (TRANSLITERATIONS[char] !== undefined) {
+        return TRANSLITERATIONS[char];
+      }
+      // é -> e + combining accent -> e
+      return char.normalize('NFKD').replace(/[^\u0000-\u007f]/g, '');
+    });
+};
+
+/**
+ * Turn a title or name into a URL slug
+ * @param {String} text - Text to slugify
+ * @returns {String} Lowercase slug of words joined by dashes
+ */
+const slugify = (text) => {
+  return transliterate(text)
+    .replace(/[^\w\s-]/g, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+};
+
+module.exports = slugify;
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Storage for uploaded files
+ * Drivers store buffers under keys like 'attachments/<post>/<file>' and
+ * share one interface: put(key, body, contentType), get(key) and delete(key).
+ */
+
+/**
+ * Create a driver that keeps files in memory (used in tests)
+ * @returns {Object} Driver; its files Map holds what was stored
+ */
+const createMemoryDriver = () => {
+  const files = new Map();
+
+  return {
+    name: 'memory',
+    files,
+    put: async (key, body) => {
+      files.set(key, Buffer.from(body));
+    },
+    get: async (key) => files.get(key) || null,
+    delete: async (key) => {
+      files.delete(key);
+    },
+  };
+};
+
+/**
+ * Create a driver that writes files under a directory
+ * @param {String} root - Upload directory
+ * @returns {Object} Driver
+ */
+const createLocalDriver = (root) => {
+  const base = path.resolve(root);
+
+  // Keys are generated by the app, but never let one point outside the directory
+  const resolve = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(`${base}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, body) => {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+    get: async (key) => {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as Signature Version 4 expects
+const encodeSegment = (segment) => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - { method, url, headers, body }
+ * @param {Object} credentials - { region, accessKeyId, secretAccessKey }
+ * @param {Date} [now] - Signing time
+ * @returns {Object} Headers to send, Authorization included
+ */
+const signRequest = ({ method, url, headers = {}, body = '' }, credentials, now = new Date()) => {
+  const { region, accessKeyId, secretAccessKey } = credentials;
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    host: url.host,
+    'x-amz-content-sha256': sha256(body),
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(signed).sort();
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.searchParams.toString(),
+    ...names.map((name) => `${name}:${signed[name].trim()}`),
+    '',
+    names.join(';'),
+    signed['x-amz-content-sha256'],
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  // fetch sets Host itself
+  delete signed.host;
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+};
+
+/**
+ * Create a driver for S3 or an S3-compatible service (MinIO, R2, ...)
+ * Objects are addressed path-style: <endpoint>/<bucket>/<key>.
+ * @param {Object} options - { endpoint, bucket, region, accessKeyId, secretAccessKey }
+ * @returns {Object} Driver
+ */
+const createS3Driver = ({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey }) => {
+  const objectUrl = (key) => new URL(
+    `${endpoint.replace(/\/+$/, '')}/${encodeSegment(bucket)}/${key.split('/').map(encodeSegment).join('/')}`
+  );
+
+  const send = async (method, key, { body, contentType } = {}) => {
+    const url = objectUrl(key);
+    const headers = signRequest(
+      { method, url, headers: contentType ? { 'content-type': contentType } : {}, body: body || '' },
+      { region, accessKeyId, secretAccessKey }
+    );
+    return fetch(url, { method, headers, body });
+  };
+
+  const fail = async (method, key, res) => new Error(
+    `S3 ${method} ${key} failed with ${res.status}: ${(await res.text()).slice(0, 200)}`
+  );
+
+  return {
+    name: 's3',
+    put: async (key, body, contentType) => {
+      const res = await send('PUT', key, { body, contentType });
+      if (!res.ok) {
+        throw await fail('PUT', key, res);
+      }
+    },
+    get: async (key) => {
+      const res = await send('GET', key);
+      if (res.status === 404) {
+        return null;
+      }
+      if (!res.ok) {
+        throw await fail('GET', key, res);
+      }
+      return Buffer.from(await res.arrayBuffer());
+    },
+    delete: async (key) => {
+      const res = await send('DELETE', key);
+      if (!res.ok && res.status !== 404) {
+        throw await fail('DELETE', key, res);
+      }
+    },
+  };
+};
+
+let driver = null;
+
+/**
+ * Get the configured driver
+ * STORAGE_DRIVER selects 'memory', 'local' or 's3'; tests default to memory
+ * @returns {Object} Driver
+ */
+const getStorage = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER
+      || (process.env.NODE_ENV === 'test' ? 'memory' : 'local');
+
+    if (name === 'memory') {
+      driver = createMemoryDriver();
+    } else if (name === 's3') {
+      driver = createS3Driver({
+        endpoint: process.env.S3_ENDPOINT,
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      });
+    } else {
+      driver = createLocalDriver(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'));
+    }
+  }
+  return driver;
+};
+
+/**
+ * Replace the driver
+ * @param {Object} customDriver - Object with async put, get and delete methods
+ */
+const setStorage = (customDriver) => {
+  driver = customDriver;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createMemoryDriver,
+  createLocalDriver,
+  createS3Driver,
+  signRequest,
+};
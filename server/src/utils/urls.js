@@ -0,0 +1,22 @@
+/**
+ * Public base URLs of the app, from configuration
+ * Links that leave the request (emails, feeds) are built from these rather
+ * than from the Host header, which the client controls.
+ */
+
+const trimSlashes = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Get the URL of the client app, e.g. https://blog.example.com
+ */
+const getClientUrl = () => trimSlashes(process.env.CLIENT_URL || 'http://localhost:3000');
+
+/**
+ * Get the URL this API is reached at, e.g. https://api.blog.example.com
+ */
+const getApiUrl = () => trimSlashes(process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`);
+
+module.exports = {
+  getClientUrl,
+  getApiUrl,
+};
@@ -0,0 +1,423 @@
+// admin.test.js - Integration tests for admin API endpoints
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Role = require('../../src/models/Role');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestUsers, createTestPost } = require('../utils/testHelpers');
+const { getOutbox, clearOutbox } = require('../../src/utils/mailer');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let admin;
+let adminToken;
+let userToken;
+let user;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user: admin, token: adminToken } = await createAuthenticatedUser(TEST_USERS.ADMIN_USER));
+  ({ user, token: userToken } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+  Role.clearCache();
+  clearOutbox();
+});
+
+// Log the valid test user in with their password
+const loginUser = () => request(app)
+  .post(API_ENDPOINTS.AUTH.LOGIN)
+  .send({ email: TEST_USERS.VALID_USER.email, password: TEST_USERS.VALID_USER.password });
+
+describe('GET /api/admin/users', () => {
+  it('should list users with pagination metadata', async () => {
+    await createTestUsers(3);
+
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.ADMIN.USERS}?page=1&limit=2`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users).toHaveLength(2);
+    expect(res.body.total).toBe(5);
+    expect(res.body.page).toBe(1);
+    expect(res.body.pages).toBe(3);
+  });
+
+  it('should search by username or email', async () => {
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.ADMIN.USERS}?q=testus`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users).toHaveLength(1);
+    expect(res.body.users[0].username).toBe(TEST_USERS.VALID_USER.username);
+  });
+
+  it('should treat search text literally', async () => {
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.ADMIN.USERS}?q=.*`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users).toHaveLength(0);
+  });
+
+  it('should filter by role', async () => {
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.ADMIN.USERS}?role=admin`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.body.users).toHaveLength(1);
+    expect(res.body.users[0].role).toBe('admin');
+  });
+
+  it('should reject an oversized limit', async () => {
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.ADMIN.USERS}?limit=1000`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 403 for non-admins', async () => {
+    const res = await request(app)
+      .get(API_ENDPOINTS.ADMIN.USERS)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/admin/users/:id', () => {
+  it('should return a user', async () => {
+    const res = await request(app)
+      .get(API_ENDPOINTS.ADMIN.USER(user._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe(TEST_USERS.VALID_USER.email);
+    expect(res.body.user.password).toBeUndefined();
+  });
+
+  it('should return 400 for an invalid id', async () => {
+    const res = await request(app)
+      .get(API_ENDPOINTS.ADMIN.USER('not-an-id'))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PATCH /api/admin/users/:id/role', () => {
+  it('should change a user role', async () => {
+    const res = await request(app)
+      .patch(API_ENDPOINTS.ADMIN.ROLE(user._id))
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('admin');
+  });
+
+  it('should reject unknown roles', async () => {
+    const res = await request(app)
+      .patch(API_ENDPOINTS.ADMIN.ROLE(user._id))
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'superuser' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should accept custom roles', async () => {
+    await Role.create({ name: 'reviewer', permissions: ['post:publish'] });
+
+    const res = await request(app)
+      .patch(API_ENDPOINTS.ADMIN.ROLE(user._id))
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'reviewer' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('reviewer');
+  });
+
+  it('should not let admins change their own role', async () => {
+    const res = await request(app)
+      .patch(API_ENDPOINTS.ADMIN.ROLE(admin._id))
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'user' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Suspension', () => {
+  it('should block a suspended user', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.ADMIN.SUSPEND(user._id))
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Spam' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.suspensionReason).toBe('Spam');
+
+    const me = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(me.status).toBe(403);
+
+    const login = await loginUser();
+    expect(login.status).toBe(403);
+  });
+
+  it('should restore access when unsuspended', async () => {
+    await request(app)
+      .post(API_ENDPOINTS.ADMIN.SUSPEND(user._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.ADMIN.UNSUSPEND(user._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+
+    const me = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(me.status).toBe(200);
+  });
+
+  it('should filter suspended users', async () => {
+    await request(app)
+      .post(API_ENDPOINTS.ADMIN.SUSPEND(user._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.ADMIN.USERS}?status=suspended`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.body.users).toHaveLength(1);
+    expect(res.body.users[0]._id).toBe(user._id.toString());
+  });
+});
+
+describe('POST /api/admin/users/:id/force-password-reset', () => {
+  it('should require a reset before the next login', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.ADMIN.FORCE_PASSWORD_RESET(user._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(getOutbox()).toHaveLength(1);
+
+    const blocked = await loginUser();
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.passwordResetRequired).toBe(true);
+
+    const resetToken = getOutbox()[0].text.match(/token=([a-f0-9]+)/)[1];
+    await request(app)
+      .post(API_ENDPOINTS.AUTH.RESET_PASSWORD)
+      .send({ token: resetToken, password: 'newpassword123' });
+
+    const login = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: TEST_USERS.VALID_USER.email, password: 'newpassword123' });
+    expect(login.status).toBe(200);
+  });
+});
+
+describe('DELETE /api/admin/users/:id', () => {
+  beforeEach(async () => {
+    await createTestPost({}, user._id);
+  });
+
+  it('should delete the user and their posts', async () => {
+    const res = await request(app)
+      .delete(API_ENDPOINTS.ADMIN.USER(user._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await User.findById(user._id)).toBeNull();
+    expect(await Post.countDocuments({ author: user._id })).toBe(0);
+  });
+
+  it('should reassign posts when requested', async () => {
+    const res = await request(app)
+      .delete(`${API_ENDPOINTS.ADMIN.USER(user._id)}?reassignTo=${admin._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Post.countDocuments({ author: admin._id })).toBe(1);
+  });
+
+  it('should reject reassigning to an unknown user', async () => {
+    const res = await request(app)
+      .delete(`${API_ENDPOINTS.ADMIN.USER(user._id)}?reassignTo=507f1f77bcf86cd799439011`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+    expect(await User.findById(user._id)).not.toBeNull();
+  });
+
+  it('should not let admins delete themselves', async () => {
+    const res = await request(app)
+      .delete(API_ENDPOINTS.ADMIN.USER(admin._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+describe('POST /api/admin/users/:id/unlock', () => {
+  beforeEach(async () => {
+    await User.updateOne(
+      { _id: user._id },
+      { lockUntil: new Date(Date.now() + 60 * 60 * 1000), lockCount: 2, failedLoginAttempts: 1 }
+    );
+  });
+
+  it('should unlock a locked account', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.ADMIN.UNLOCK_USER(user._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+
+    const login = await loginUser();
+    expect(login.status).toBe(200);
+  });
+
+  it('should return 403 for non-admins', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.ADMIN.UNLOCK_USER(user._id))
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for unknown users', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.ADMIN.UNLOCK_USER('507f1f77bcf86cd799439011'))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Role management', () => {
+  it('should list roles and the permission catalog', async () => {
+    await Role.ensureDefaults();
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.ADMIN.ROLES)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.roles.map((role) => role.name)).toContain('editor');
+    expect(res.body.permissions).toContain('post:publish');
+  });
+
+  it('should create a role and grant its permissions', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.ADMIN.ROLES)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'usermod', permissions: ['user:manage'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.role.builtIn).toBe(false);
+
+    await User.findByIdAndUpdate(user._id, { role: 'usermod' });
+
+    const list = await request(app)
+      .get(API_ENDPOINTS.ADMIN.USERS)
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(list.status).toBe(200);
+  });
+
+  it('should reject unknown permissions', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.ADMIN.ROLES)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'reviewer', permissions: ['post:approve'] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject duplicate role names', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.ADMIN.ROLES)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'editor', permissions: [] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should update role permissions immediately', async () => {
+    await Role.ensureDefaults();
+    const post = await createTestPost({}, admin._id);
+    await User.findByIdAndUpdate(user._id, { role: 'author' });
+
+    const res = await request(app)
+      .patch(API_ENDPOINTS.ADMIN.ROLE_BY_NAME('author'))
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: ['post:create', 'post:update:any'] });
+
+    expect(res.status).toBe(200);
+
+    const update = await request(app)
+      .put(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Edited by author', content: post.content });
+    expect(update.status).toBe(200);
+  });
+
+  it('should not let the admin role be changed', async () => {
+    const res = await request(app)
+      .patch(API_ENDPOINTS.ADMIN.ROLE_BY_NAME('admin'))
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: [] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should delete unused custom roles only', async () => {
+    await Role.ensureDefaults();
+    await Role.create({ name: 'reviewer', permissions: [] });
+    await Role.create({ name: 'helper', permissions: [] });
+    await User.findByIdAndUpdate(user._id, { role: 'helper' });
+
+    const builtIn = await request(app)
+      .delete(API_ENDPOINTS.ADMIN.ROLE_BY_NAME('editor'))
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(builtIn.status).toBe(400);
+
+    const inUse = await request(app)
+      .delete(API_ENDPOINTS.ADMIN.ROLE_BY_NAME('helper'))
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(inUse.status).toBe(400);
+
+    const res = await request(app)
+      .delete(API_ENDPOINTS.ADMIN.ROLE_BY_NAME('reviewer'))
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+    expect(await Role.exists({ name: 'reviewer' })).toBeNull();
+  });
+
+  it('should return 403 without role:manage', async () => {
+    const res = await request(app)
+      .get(API_ENDPOINTS.ADMIN.ROLES)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,141 @@
+// apiKeys.test.js - Integration tests for personal API keys
+
+const request = require('supertest');
+const app = require('../../src/app');
+const ApiKey = require('../../src/models/ApiKey');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, TEST_POSTS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let user;
+let token;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user, token } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Create a key for the test user through the API
+const createKey = (body = {}) => request(app)
+  .post(API_ENDPOINTS.USERS.API_KEYS)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ name: 'Publishing script', scopes: ['post:create'], ...body });
+
+describe('POST /api/users/me/api-keys', () => {
+  it('should create a key and return it once', async () => {
+    const res = await createKey();
+
+    expect(res.status).toBe(201);
+    expect(res.body.key).toMatch(/^mbk_/);
+    expect(res.body.apiKey.name).toBe('Publishing script');
+    expect(res.body.apiKey.scopes).toEqual(['post:create']);
+    expect(res.body.apiKey.keyHash).toBeUndefined();
+
+    const list = await request(app)
+      .get(API_ENDPOINTS.USERS.API_KEYS)
+      .set('Authorization', `Bearer ${token}`);
+    expect(list.body.apiKeys).toHaveLength(1);
+    expect(list.body.apiKeys[0].key).toBeUndefined();
+  });
+
+  it('should reject scopes the user does not have', async () => {
+    const res = await createKey({ scopes: ['user:manage'] });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject unknown scopes and past expiry dates', async () => {
+    const unknown = await createKey({ scopes: ['post:approve'] });
+    expect(unknown.status).toBe(400);
+
+    const expired = await createKey({ expiresAt: '2000-01-01T00:00:00Z' });
+    expect(expired.status).toBe(400);
+  });
+
+  it('should not let API keys create more keys', async () => {
+    const { body } = await createKey();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.USERS.API_KEYS)
+      .set('X-API-Key', body.key)
+      .send({ name: 'Another', scopes: ['post:create'] });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Authenticating with an API key', () => {
+  it('should create posts with the X-API-Key header', async () => {
+    const { body } = await createKey();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.POSTS.BASE)
+      .set('X-API-Key', body.key)
+      .send(TEST_POSTS.VALID_POST);
+
+    expect(res.status).toBe(201);
+
+    const stored = await ApiKey.findById(body.apiKey._id);
+    expect(stored.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('should accept the ApiKey authorization scheme', async () => {
+    const { body } = await createKey();
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `ApiKey ${body.key}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.permissions).toEqual(['post:create']);
+  });
+
+  it('should block routes outside the key scopes', async () => {
+    const { body } = await createKey();
+    const post = await createTestPost({}, user._id);
+
+    const res = await request(app)
+      .delete(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('X-API-Key', body.key);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject revoked keys', async () => {
+    const { body } = await createKey();
+
+    const revoke = await request(app)
+      .delete(API_ENDPOINTS.USERS.API_KEY(body.apiKey._id))
+      .set('Authorization', `Bearer ${token}`);
+    expect(revoke.status).toBe(200);
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.POSTS.BASE)
+      .set('X-API-Key', body.key)
+      .send(TEST_POSTS.VALID_POST);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should not revoke other users\' keys', async () => {
+    const { body } = await createKey();
+    const { token: otherToken } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER);
+
+    const res = await request(app)
+      .delete(API_ENDPOINTS.USERS.API_KEY(body.apiKey._id))
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
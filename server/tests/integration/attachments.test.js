@@ -0,0 +1,212 @@
+// attachments.test.js - Integration tests for post attachments
+
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../../src/app');
+const Attachment = require('../../src/models/Attachment');
+const Post = require('../../src/models/Post');
+const { getStorage } = require('../../src/utils/storage');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+const PDF = Buffer.from('%PDF-1.4\n%test document\n');
+
+let token;
+let post;
+let png;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+  png = await sharp({
+    create: { width: 800, height: 600, channels: 3, background: '#336699' },
+  }).png().toBuffer();
+});
+
+beforeEach(async () => {
+  let user;
+  ({ user, token } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+  post = await createTestPost({ status: 'published' }, user._id);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+  getStorage().files.clear();
+  delete process.env.ATTACHMENT_MAX_SIZE_MB;
+  delete process.env.ATTACHMENT_MAX_PIXELS;
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Upload a file to the post as its author
+const upload = (buffer, filename, contentType, authToken = token) => request(app)
+  .post(API_ENDPOINTS.POSTS.ATTACHMENTS(post._id))
+  .set('Authorization', `Bearer ${authToken}`)
+  .attach('file', buffer, { filename, contentType });
+
+describe('POST /api/posts/:id/attachments', () => {
+  it('should store an image with a thumbnail', async () => {
+    const res = await upload(png, 'photo.png', 'image/png');
+
+    expect(res.status).toBe(201);
+    expect(res.body.attachment).toMatchObject({
+      originalName: 'photo.png',
+      mimeType: 'image/png',
+      size: png.length,
+      width: 800,
+      height: 600,
+    });
+    expect(res.body.attachment.url).toBe(`/api/attachments/${res.body.attachment._id}`);
+    expect(getStorage().files.size).toBe(2);
+  });
+
+  it('should store a PDF without a thumbnail', async () => {
+    const res = await upload(PDF, 'notes.pdf', 'application/pdf');
+
+    expect(res.status).toBe(201);
+    expect(res.body.attachment.thumbnailUrl).toBeNull();
+    expect(getStorage().files.size).toBe(1);
+  });
+
+  it('should reject files whose contents do not match their type', async () => {
+    const res = await upload(Buffer.from('<script>alert(1)</script>'), 'photo.png', 'image/png');
+
+    expect(res.status).toBe(415);
+    expect(await Attachment.countDocuments()).toBe(0);
+  });
+
+  it('should store files under the type of their contents', async () => {
+    const generic = await upload(png, 'photo.png', 'application/octet-stream');
+    const misnamed = await upload(PDF, 'photo.png', 'image/png');
+
+    expect(generic.status).toBe(201);
+    expect(generic.body.attachment.mimeType).toBe('image/png');
+    expect(misnamed.status).toBe(201);
+    expect(misnamed.body.attachment.mimeType).toBe('application/pdf');
+    expect(misnamed.body.attachment.thumbnailUrl).toBeNull();
+  });
+
+  it('should reject broken images', async () => {
+    const broken = Buffer.concat([png.subarray(0, 16), Buffer.alloc(64)]);
+
+    const res = await upload(broken, 'photo.png', 'image/png');
+
+    expect(res.status).toBe(400);
+    expect(getStorage().files.size).toBe(0);
+  });
+
+  it('should reject images with more pixels than allowed', async () => {
+    process.env.ATTACHMENT_MAX_PIXELS = '100000';
+
+    const res = await upload(png, 'photo.png', 'image/png');
+
+    expect(res.status).toBe(413);
+    expect(res.body.error).toBe('Images cannot exceed 100000 pixels');
+    expect(getStorage().files.size).toBe(0);
+  });
+
+  it('should reject files over the size limit', async () => {
+    process.env.ATTACHMENT_MAX_SIZE_MB = '0.001';
+
+    const res = await upload(png, 'photo.png', 'image/png');
+
+    expect(res.status).toBe(413);
+  });
+
+  it('should require a file', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.POSTS.ATTACHMENTS(post._id))
+      .set('Authorization', `Bearer ${token}`)
+      .field('note', 'no file');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No file uploaded');
+  });
+
+  it('should only let users who can edit the post upload', async () => {
+    const { token: otherToken } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER);
+
+    const res = await upload(png, 'photo.png', 'image/png', otherToken);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/posts/:id/attachments', () => {
+  it('should list the post\'s attachments', async () => {
+    await upload(png, 'photo.png', 'image/png');
+    await upload(PDF, 'notes.pdf', 'application/pdf');
+
+    const res = await request(app).get(API_ENDPOINTS.POSTS.ATTACHMENTS(post._id));
+
+    expect(res.status).toBe(200);
+    expect(res.body.attachments.map((attachment) => attachment.originalName)).toEqual(['photo.png', 'notes.pdf']);
+  });
+});
+
+describe('GET /api/attachments/:id', () => {
+  it('should serve the file and its thumbnail', async () => {
+    const { body } = await upload(png, 'photo.png', 'image/png');
+
+    const file = await request(app).get(API_ENDPOINTS.ATTACHMENTS.FILE(body.attachment._id));
+    const thumbnail = await request(app).get(API_ENDPOINTS.ATTACHMENTS.THUMBNAIL(body.attachment._id));
+
+    expect(file.status).toBe(200);
+    expect(file.headers['content-type']).toBe('image/png');
+    expect(file.headers['x-content-type-options']).toBe('nosniff');
+    expect(file.body.equals(png)).toBe(true);
+
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    const { width, height } = await sharp(thumbnail.body).metadata();
+    expect([width, height]).toEqual([320, 240]);
+  });
+
+  it('should send documents as downloads', async () => {
+    const { body } = await upload(PDF, 'notes.pdf', 'application/pdf');
+
+    const res = await request(app).get(API_ENDPOINTS.ATTACHMENTS.FILE(body.attachment._id));
+
+    expect(res.headers['content-disposition']).toBe("attachment; filename*=UTF-8''notes.pdf");
+  });
+
+  it('should hide attachments of posts the reader cannot see', async () => {
+    const { body } = await upload(png, 'photo.png', 'image/png');
+    await Post.updateOne({ _id: post._id }, { status: 'draft' });
+
+    const res = await request(app).get(API_ENDPOINTS.ATTACHMENTS.FILE(body.attachment._id));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/posts/:id/attachments/:attachmentId', () => {
+  it('should delete the attachment and its files', async () => {
+    const { body } = await upload(png, 'photo.png', 'image/png');
+
+    const res = await request(app)
+      .delete(`${API_ENDPOINTS.POSTS.ATTACHMENTS(post._id)}/${body.attachment._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(await Attachment.countDocuments()).toBe(0);
+    expect(getStorage().files.size).toBe(0);
+  });
+});
+
+describe('Deleting posts', () => {
+  it('should keep attachments while the post is in the trash and remove them when purged', async () => {
+    await upload(png, 'photo.png', 'image/png');
+
+    await request(app)
+      .delete(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`);
+    expect(getStorage().files.size).toBe(2);
+
+    await Post.purge({ _id: post._id });
+    expect(await Attachment.countDocuments()).toBe(0);
+    expect(getStorage().files.size).toBe(0);
+  });
+});
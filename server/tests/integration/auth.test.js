@@ -0,0 +1,758 @@
+// auth.test.js - Integration tests for auth API endpoints
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const ApiKey = require('../../src/models/ApiKey');
+const dbHandler = require('../utils/dbHandler');
+const { getOutbox, clearOutbox } = require('../../src/utils/mailer');
+const loginThrottle = require('../../src/utils/loginThrottle');
+const totp = require('../../src/utils/totp');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+const { VALID_USER } = TEST_USERS;
+
+// Log the valid test user in and return the response body
+const login = async () => {
+  const res = await request(app)
+    .post(API_ENDPOINTS.AUTH.LOGIN)
+    .send({ email: VALID_USER.email, password: VALID_USER.password });
+  return res.body;
+};
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  await User.create(VALID_USER);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+  clearOutbox();
+  loginThrottle.clear();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+describe('POST /api/auth/register', () => {
+  it('should return an access token and a refresh token', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.REGISTER)
+      .send(TEST_USERS.ANOTHER_USER);
+
+    expect(res.status).toBe(201);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+  });
+
+  it('should create an unverified user and mail a verification link', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.REGISTER)
+      .send(TEST_USERS.ANOTHER_USER);
+
+    expect(res.body.user.emailVerified).toBe(false);
+    expect(getOutbox()).toHaveLength(1);
+    expect(getOutbox()[0].to).toBe(TEST_USERS.ANOTHER_USER.email);
+    expect(getOutbox()[0].text).toMatch(/verify-email\/[a-f0-9]+/);
+  });
+
+  it('should not build the verification link from the Host header', async () => {
+    await request(app)
+      .post(API_ENDPOINTS.AUTH.REGISTER)
+      .set('Host', 'attacker.example')
+      .send(TEST_USERS.ANOTHER_USER);
+
+    expect(getOutbox()[0].text).not.toContain('attacker.example');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('should store only the hash of the refresh token', async () => {
+    const { refreshToken } = await login();
+
+    const stored = await RefreshToken.findOne({});
+    expect(stored).not.toBeNull();
+    expect(stored.tokenHash).not.toBe(refreshToken);
+  });
+
+  it('should reject invalid credentials', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: VALID_USER.email, password: 'wrongpassword' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('should rotate the refresh token', async () => {
+    const { refreshToken } = await login();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+
+    const me = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  it('should revoke the whole session when a rotated token is reused', async () => {
+    const { refreshToken } = await login();
+
+    const first = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken });
+
+    const reuse = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken });
+
+    expect(reuse.status).toBe(401);
+
+    // The token issued by the legitimate rotation is now dead too
+    const second = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken: first.body.refreshToken });
+    expect(second.status).toBe(401);
+
+    const me = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${first.body.token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('should reject an unknown refresh token', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken: 'not-a-real-token' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject an expired refresh token', async () => {
+    const { refreshToken } = await login();
+    await RefreshToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 when refresh token is missing', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('should revoke the session', async () => {
+    const { token, refreshToken } = await login();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGOUT)
+      .send({ refreshToken });
+
+    expect(res.status).toBe(200);
+
+    const me = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${token}`);
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it('should not affect other sessions', async () => {
+    const first = await login();
+    const second = await login();
+
+    await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGOUT)
+      .send({ refreshToken: first.refreshToken });
+
+    const me = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${second.token}`);
+    expect(me.status).toBe(200);
+  });
+});
+
+describe('Sessions', () => {
+  // Log in from a named device
+  const loginFrom = async (userAgent) => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .set('User-Agent', userAgent)
+      .send({ email: VALID_USER.email, password: VALID_USER.password });
+    return res.body;
+  };
+
+  it('should list active sessions with device details', async () => {
+    await loginFrom('Laptop');
+    const phone = await loginFrom('Phone');
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.AUTH.SESSIONS)
+      .set('Authorization', `Bearer ${phone.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions).toHaveLength(2);
+
+    const current = res.body.sessions.find((session) => session.current);
+    expect(current.userAgent).toBe('Phone');
+    expect(current.ip).toBeDefined();
+    expect(current.lastSeenAt).toBeDefined();
+  });
+
+  it('should sign out a single session remotely', async () => {
+    const laptop = await loginFrom('Laptop');
+    const phone = await loginFrom('Phone');
+
+    const list = await request(app)
+      .get(API_ENDPOINTS.AUTH.SESSIONS)
+      .set('Authorization', `Bearer ${phone.token}`);
+    const other = list.body.sessions.find((session) => !session.current);
+
+    const res = await request(app)
+      .delete(API_ENDPOINTS.AUTH.SESSION(other.id))
+      .set('Authorization', `Bearer ${phone.token}`);
+    expect(res.status).toBe(200);
+
+    const me = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${laptop.token}`);
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken: laptop.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it('should sign out everywhere else', async () => {
+    const laptop = await loginFrom('Laptop');
+    await loginFrom('Tablet');
+    const phone = await loginFrom('Phone');
+
+    const res = await request(app)
+      .delete(API_ENDPOINTS.AUTH.SESSIONS)
+      .set('Authorization', `Bearer ${phone.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+
+    const laptopMe = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${laptop.token}`);
+    expect(laptopMe.status).toBe(401);
+
+    const phoneMe = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${phone.token}`);
+    expect(phoneMe.status).toBe(200);
+  });
+
+  it('should keep the session when refreshing', async () => {
+    const { refreshToken } = await loginFrom('Laptop');
+
+    const refresh = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken });
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.AUTH.SESSIONS)
+      .set('Authorization', `Bearer ${refresh.body.token}`);
+
+    expect(res.body.sessions).toHaveLength(1);
+    expect(res.body.sessions[0].current).toBe(true);
+  });
+
+  it('should not sign out other users\' sessions', async () => {
+    const mine = await loginFrom('Laptop');
+    const other = await User.create(TEST_USERS.ANOTHER_USER);
+    const otherLogin = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: other.email, password: TEST_USERS.ANOTHER_USER.password });
+
+    const list = await request(app)
+      .get(API_ENDPOINTS.AUTH.SESSIONS)
+      .set('Authorization', `Bearer ${otherLogin.body.token}`);
+
+    const res = await request(app)
+      .delete(API_ENDPOINTS.AUTH.SESSION(list.body.sessions[0].id))
+      .set('Authorization', `Bearer ${mine.token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Password reset', () => {
+  // Request a reset and pull the token out of the mailed link
+  const requestResetToken = async () => {
+    await request(app)
+      .post(API_ENDPOINTS.AUTH.FORGOT_PASSWORD)
+      .send({ email: VALID_USER.email });
+
+    const [mail] = getOutbox();
+    return mail.text.match(/token=([a-f0-9]+)/)[1];
+  };
+
+  it('should mail a reset link to a registered user', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.FORGOT_PASSWORD)
+      .send({ email: VALID_USER.email });
+
+    expect(res.status).toBe(200);
+    expect(getOutbox()).toHaveLength(1);
+    expect(getOutbox()[0].to).toBe(VALID_USER.email);
+    expect(getOutbox()[0].text).toMatch(/reset-password\?token=/);
+  });
+
+  it('should give the same response for unknown emails', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.FORGOT_PASSWORD)
+      .send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(getOutbox()).toHaveLength(0);
+  });
+
+  it('should reset the password with a valid token', async () => {
+    const resetToken = await requestResetToken();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.RESET_PASSWORD)
+      .send({ token: resetToken, password: 'newpassword123' });
+
+    expect(res.status).toBe(200);
+
+    const oldLogin = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: VALID_USER.email, password: VALID_USER.password });
+    expect(oldLogin.status).toBe(401);
+
+    const newLogin = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: VALID_USER.email, password: 'newpassword123' });
+    expect(newLogin.status).toBe(200);
+  });
+
+  it('should revoke the user\'s API keys', async () => {
+    const user = await User.findOne({ email: VALID_USER.email });
+    const { doc } = await ApiKey.issue(user, { name: 'CI', scopes: ['post:create'] });
+    const resetToken = await requestResetToken();
+
+    await request(app)
+      .post(API_ENDPOINTS.AUTH.RESET_PASSWORD)
+      .send({ token: resetToken, password: 'newpassword123' });
+
+    expect((await ApiKey.findById(doc._id)).revokedAt).not.toBeNull();
+  });
+
+  it('should only accept a reset token once', async () => {
+    const resetToken = await requestResetToken();
+
+    await request(app)
+      .post(API_ENDPOINTS.AUTH.RESET_PASSWORD)
+      .send({ token: resetToken, password: 'newpassword123' });
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.RESET_PASSWORD)
+      .send({ token: resetToken, password: 'anotherpassword123' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject an expired reset token', async () => {
+    const resetToken = await requestResetToken();
+    await User.updateMany({}, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.RESET_PASSWORD)
+      .send({ token: resetToken, password: 'newpassword123' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should invalidate existing tokens for the user', async () => {
+    const { token, refreshToken } = await login();
+    const resetToken = await requestResetToken();
+
+    await request(app)
+      .post(API_ENDPOINTS.AUTH.RESET_PASSWORD)
+      .send({ token: resetToken, password: 'newpassword123' });
+
+    const me = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${token}`);
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app)
+      .post(API_ENDPOINTS.AUTH.REFRESH)
+      .send({ refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+});
+
+describe('Email verification', () => {
+  // Register a new user and return the response body with the mailed token
+  const register = async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.REGISTER)
+      .send(TEST_USERS.ANOTHER_USER);
+
+    const [mail] = getOutbox();
+    const verificationToken = mail.text.match(/verify-email\/([a-f0-9]+)/)[1];
+    return { ...res.body, verificationToken };
+  };
+
+  it('should verify the email with a valid token', async () => {
+    const { verificationToken } = await register();
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.AUTH.VERIFY_EMAIL(verificationToken));
+
+    expect(res.status).toBe(200);
+
+    const user = await User.findOne({ email: TEST_USERS.ANOTHER_USER.email });
+    expect(user.emailVerified).toBe(true);
+  });
+
+  it('should reject an invalid token', async () => {
+    const res = await request(app)
+      .get(API_ENDPOINTS.AUTH.VERIFY_EMAIL('invalid'));
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should block post creation until verified', async () => {
+    const { token, verificationToken } = await register();
+    const post = {
+      title: 'Verified Post',
+      content: 'This post needs a verified author',
+    };
+
+    const blocked = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send(post);
+    expect(blocked.status).toBe(403);
+
+    await request(app).get(API_ENDPOINTS.AUTH.VERIFY_EMAIL(verificationToken));
+
+    const allowed = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send(post);
+    expect(allowed.status).toBe(201);
+  });
+
+  it('should throttle resend requests', async () => {
+    const { token } = await register();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.RESEND_VERIFICATION)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('should resend once the throttle window has passed', async () => {
+    const { token } = await register();
+    await User.updateMany({}, { emailVerificationSentAt: new Date(Date.now() - 5 * 60 * 1000) });
+    clearOutbox();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.RESEND_VERIFICATION)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(getOutbox()).toHaveLength(1);
+  });
+
+  it('should refuse to resend for a verified user', async () => {
+    const { token, verificationToken } = await register();
+    await request(app).get(API_ENDPOINTS.AUTH.VERIFY_EMAIL(verificationToken));
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.RESEND_VERIFICATION)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Login lockout', () => {
+  const failLogin = () => request(app)
+    .post(API_ENDPOINTS.AUTH.LOGIN)
+    .send({ email: VALID_USER.email, password: 'wrongpassword' });
+
+  beforeEach(() => {
+    process.env.LOGIN_MAX_ATTEMPTS = '3';
+    process.env.LOGIN_MAX_IP_ATTEMPTS = '5';
+  });
+
+  afterEach(() => {
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+    delete process.env.LOGIN_MAX_IP_ATTEMPTS;
+  });
+
+  it('should lock the account after repeated failures', async () => {
+    await failLogin();
+    await failLogin();
+    const res = await failLogin();
+
+    expect(res.status).toBe(423);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('should refuse the correct password while locked', async () => {
+    await failLogin();
+    await failLogin();
+    await failLogin();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: VALID_USER.email, password: VALID_USER.password });
+
+    expect(res.status).toBe(423);
+  });
+
+  it('should reset the counters on successful login', async () => {
+    await failLogin();
+    await failLogin();
+    await login();
+
+    const res = await failLogin();
+
+    expect(res.status).toBe(401);
+    const user = await User.findOne({ email: VALID_USER.email });
+    expect(user.failedLoginAttempts).toBe(1);
+  });
+
+  it('should throttle an IP failing across many accounts', async () => {
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+        .post(API_ENDPOINTS.AUTH.LOGIN)
+        .send({ email: `nobody${i}@example.com`, password: 'wrongpassword' });
+    }
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: VALID_USER.email, password: VALID_USER.password });
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('should keep counting IP failures across successful logins', async () => {
+    const failOther = (i) => request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: `nobody${i}@example.com`, password: 'wrongpassword' });
+
+    for (let i = 0; i < 4; i++) {
+      await failOther(i);
+    }
+    const own = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: VALID_USER.email, password: VALID_USER.password });
+    expect(own.status).toBe(200);
+    await failOther(4);
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: VALID_USER.email, password: VALID_USER.password });
+
+    expect(res.status).toBe(429);
+  });
+});
+
+describe('Two-factor authentication', () => {
+  // Enroll the valid test user and return the secret and recovery codes
+  const enroll = async () => {
+    const { token } = await login();
+
+    const setup = await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_SETUP)
+      .set('Authorization', `Bearer ${token}`);
+
+    const confirm = await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_CONFIRM)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totp.generateCode(setup.body.secret) });
+
+    return { token, secret: setup.body.secret, recoveryCodes: confirm.body.recoveryCodes };
+  };
+
+  // A code for the next time step, so it isn't rejected as a replay
+  const nextCode = (secret) => totp.generateCode(secret, totp.getStep() + 1);
+
+  it('should return a secret and otpauth URI on setup', async () => {
+    const { token } = await login();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_SETUP)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.secret).toMatch(/^[A-Z2-7]+$/);
+    expect(res.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+  });
+
+  it('should enable MFA after confirming a code', async () => {
+    const { recoveryCodes } = await enroll();
+
+    expect(recoveryCodes).toHaveLength(10);
+    const user = await User.findOne({ email: VALID_USER.email });
+    expect(user.mfaEnabled).toBe(true);
+  });
+
+  it('should reject a wrong confirmation code', async () => {
+    const { token } = await login();
+    await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_SETUP)
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_CONFIRM)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '000000' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return a challenge instead of tokens on login', async () => {
+    await enroll();
+
+    const body = await login();
+
+    expect(body.mfaRequired).toBe(true);
+    expect(body.mfaToken).toBeDefined();
+    expect(body.token).toBeUndefined();
+    expect(body.refreshToken).toBeUndefined();
+  });
+
+  it('should not accept the challenge as an access token', async () => {
+    await enroll();
+    const { mfaToken } = await login();
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.AUTH.ME)
+      .set('Authorization', `Bearer ${mfaToken}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should issue tokens after a valid code', async () => {
+    const { secret } = await enroll();
+    const { mfaToken } = await login();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_VERIFY)
+      .send({ mfaToken, code: nextCode(secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+  });
+
+  it('should reject an invalid code', async () => {
+    await enroll();
+    const { mfaToken } = await login();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_VERIFY)
+      .send({ mfaToken, code: '000000' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should accept a recovery code only once', async () => {
+    const { recoveryCodes } = await enroll();
+
+    const first = await login();
+    const used = await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_VERIFY)
+      .send({ mfaToken: first.mfaToken, code: recoveryCodes[0] });
+    expect(used.status).toBe(200);
+
+    const second = await login();
+    const reused = await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_VERIFY)
+      .send({ mfaToken: second.mfaToken, code: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+  });
+
+  it('should disable MFA with password and code', async () => {
+    const { token, secret } = await enroll();
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.AUTH.MFA_DISABLE)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: VALID_USER.password, code: nextCode(secret) });
+
+    expect(res.status).toBe(200);
+
+    const body = await login();
+    expect(body.token).toBeDefined();
+  });
+
+  describe('when mandatory for admins', () => {
+    beforeEach(async () => {
+      process.env.MFA_REQUIRED_ROLES = 'admin';
+      await User.create(TEST_USERS.ADMIN_USER);
+    });
+
+    afterEach(() => {
+      delete process.env.MFA_REQUIRED_ROLES;
+    });
+
+    it('should restrict admins to enrollment until MFA is enabled', async () => {
+      const { body } = await request(app)
+        .post(API_ENDPOINTS.AUTH.LOGIN)
+        .send({ email: TEST_USERS.ADMIN_USER.email, password: TEST_USERS.ADMIN_USER.password });
+
+      const blocked = await request(app)
+        .post(API_ENDPOINTS.ADMIN.UNLOCK_USER('507f1f77bcf86cd799439011'))
+        .set('Authorization', `Bearer ${body.token}`);
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.mfaEnrollmentRequired).toBe(true);
+
+      const setup = await request(app)
+        .post(API_ENDPOINTS.AUTH.MFA_SETUP)
+        .set('Authorization', `Bearer ${body.token}`);
+      expect(setup.status).toBe(200);
+    });
+
+    it('should not affect regular users', async () => {
+      const { token } = await login();
+
+      const res = await request(app)
+        .post(API_ENDPOINTS.AUTH.MFA_SETUP)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+// categories.test.js - Integration tests for category endpoints
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let admin;
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user: admin, token: adminToken } = await createAuthenticatedUser(TEST_USERS.ADMIN_USER));
+  ({ token: userToken } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+describe('GET /api/categories', () => {
+  it('should list categories with published post counts', async () => {
+    const news = await Category.create({ name: 'News' });
+    await Category.create({ name: 'Empty' });
+    await createTestPost({ category: news._id, status: 'published' }, admin._id);
+    await createTestPost({ category: news._id, status: 'draft' }, admin._id);
+
+    const res = await request(app).get(API_ENDPOINTS.CATEGORIES.BASE);
+
+    expect(res.status).toBe(200);
+    expect(res.body.categories.map((category) => [category.name, category.postCount]))
+      .toEqual([['Empty', 0], ['News', 1]]);
+  });
+});
+
+describe('GET /api/categories/:id', () => {
+  it('should return the category with its parent and children', async () => {
+    const parent = await Category.create({ name: 'Programming' });
+    const category = await Category.create({ name: 'JavaScript', parent: parent._id });
+    await Category.create({ name: 'React', parent: category._id });
+
+    const res = await request(app).get(API_ENDPOINTS.CATEGORIES.BY_ID(category._id));
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.parent.name).toBe('Programming');
+    expect(res.body.category.children.map((child) => child.name)).toEqual(['React']);
+    expect(res.body.category.postCount).toBe(0);
+  });
+
+  it('should return 404 for unknown categories', async () => {
+    const res = await request(app).get(API_ENDPOINTS.CATEGORIES.BY_ID('507f1f77bcf86cd799439011'));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/categories', () => {
+  it('should let admins create categories', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.CATEGORIES.BASE)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Web Development', description: 'All things web' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category.slug).toBe('web-development');
+  });
+
+  it('should give names that slugify the same distinct slugs', async () => {
+    await Category.create({ name: 'C' });
+
+    const res = await request(app)
+      .post(API_ENDPOINTS.CATEGORIES.BASE)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'C++' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category.slug).toBe('c-2');
+  });
+
+  it('should return 403 for other users', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.CATEGORIES.BASE)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Web Development' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject duplicate names and unknown parents', async () => {
+    await Category.create({ name: 'News' });
+
+    const duplicate = await request(app)
+      .post(API_ENDPOINTS.CATEGORIES.BASE)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'News' });
+    expect(duplicate.status).toBe(400);
+
+    const orphan = await request(app)
+      .post(API_ENDPOINTS.CATEGORIES.BASE)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Orphan', parent: '507f1f77bcf86cd799439011' });
+    expect(orphan.status).toBe(400);
+  });
+});
+
+describe('PUT /api/categories/:id', () => {
+  it('should rename a category', async () => {
+    const category = await Category.create({ name: 'News' });
+
+    const res = await request(app)
+      .put(API_ENDPOINTS.CATEGORIES.BY_ID(category._id))
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Announcements' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.slug).toBe('announcements');
+  });
+
+  it('should refuse to create a cycle', async () => {
+    const parent = await Category.create({ name: 'Programming' });
+    const child = await Category.create({ name: 'JavaScript', parent: parent._id });
+
+    const res = await request(app)
+      .put(API_ENDPOINTS.CATEGORIES.BY_ID(parent._id))
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ parent: child._id });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/categories/:id', () => {
+  it('should delete an unused category', async () => {
+    const category = await Category.create({ name: 'News' });
+
+    const res = await request(app)
+      .delete(API_ENDPOINTS.CATEGORIES.BY_ID(category._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Category.exists({ _id: category._id })).toBeNull();
+  });
+
+  it('should refuse categories with posts or subcategories', async () => {
+    const parent = await Category.create({ name: 'Programming' });
+    await Category.create({ name: 'JavaScript', parent: parent._id });
+    const used = await Category.create({ name: 'News' });
+    await createTestPost({ category: used._id }, admin._id);
+
+    const withChildren = await request(app)
+      .delete(API_ENDPOINTS.CATEGORIES.BY_ID(parent._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(withChildren.status).toBe(400);
+
+    const withPosts = await request(app)
+      .delete(API_ENDPOINTS.CATEGORIES.BY_ID(used._id))
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(withPosts.status).toBe(400);
+  });
+});
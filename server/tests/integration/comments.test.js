@@ -0,0 +1,306 @@
+// comments.test.js - Integration tests for post comments
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Comment = require('../../src/models/Comment');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let postAuthor;
+let postAuthorToken;
+let commenter;
+let commenterToken;
+let otherToken;
+let moderatorToken;
+let post;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user: postAuthor, token: postAuthorToken } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+  ({ user: commenter, token: commenterToken } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER));
+  ({ token: otherToken } = await createAuthenticatedUser());
+  ({ token: moderatorToken } = await createAuthenticatedUser({ role: 'moderator' }));
+
+  post = await createTestPost({ status: 'published' }, postAuthor._id);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+  delete process.env.COMMENTS_REQUIRE_APPROVAL;
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+const commentsUrl = () => API_ENDPOINTS.POSTS.COMMENTS(post._id);
+
+// Comment on the post
+const addComment = (token, body) => request(app)
+  .post(commentsUrl())
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+// List the post's comments, anonymously unless a token is given
+const listComments = (queryString = '', token) => {
+  const req = request(app).get(`${commentsUrl()}?${queryString}`);
+  if (token) {
+    req.set('Authorization', `Bearer ${token}`);
+  }
+  return req;
+};
+
+describe('POST /api/posts/:id/comments', () => {
+  it('should add a comment', async () => {
+    const res = await addComment(commenterToken, { content: 'Great post!' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.content).toBe('Great post!');
+    expect(res.body.comment.author.username).toBe(commenter.username);
+    expect(res.body.comment.status).toBe('approved');
+  });
+
+  it('should add a reply', async () => {
+    const { body: { comment: parent } } = await addComment(commenterToken, { content: 'First' });
+
+    const res = await addComment(postAuthorToken, { content: 'Thanks', parent: parent._id });
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.parent).toBe(parent._id);
+    expect(res.body.comment.ancestors).toEqual([parent._id]);
+  });
+
+  it('should reject a parent from another post', async () => {
+    const otherPost = await createTestPost({ status: 'published' }, postAuthor._id);
+    const parent = await Comment.create({ post: otherPost._id, author: commenter._id, content: 'Elsewhere' });
+
+    const res = await addComment(commenterToken, { content: 'Reply', parent: parent._id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Parent comment not found');
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).post(commentsUrl()).send({ content: 'Anonymous' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject empty comments', async () => {
+    const res = await addComment(commenterToken, { content: '   ' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should refuse comments when they are disabled', async () => {
+    post.commentsEnabled = false;
+    await post.save();
+
+    const res = await addComment(commenterToken, { content: 'Hello' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Comments are disabled for this post');
+  });
+
+  it('should refuse comments on drafts', async () => {
+    post.status = 'draft';
+    await post.save();
+
+    const res = await addComment(postAuthorToken, { content: 'Note to self' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should hold comments for approval when required', async () => {
+    process.env.COMMENTS_REQUIRE_APPROVAL = 'true';
+
+    const res = await addComment(commenterToken, { content: 'Please approve' });
+    const own = await addComment(postAuthorToken, { content: 'My own post' });
+
+    expect(res.body.comment.status).toBe('pending');
+    expect(own.body.comment.status).toBe('approved');
+  });
+});
+
+describe('GET /api/posts/:id/comments', () => {
+  let first;
+  let reply;
+
+  beforeEach(async () => {
+    first = (await addComment(commenterToken, { content: 'First' })).body.comment;
+    reply = (await addComment(postAuthorToken, { content: 'Reply', parent: first._id })).body.comment;
+    await addComment(commenterToken, { content: 'Nested', parent: reply._id });
+    await addComment(commenterToken, { content: 'Second' });
+  });
+
+  it('should nest replies in tree mode', async () => {
+    const res = await listComments();
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.comments.map((comment) => comment.content)).toEqual(['First', 'Second']);
+    expect(res.body.comments[0].replies[0].content).toBe('Reply');
+    expect(res.body.comments[0].replies[0].replies[0].content).toBe('Nested');
+  });
+
+  it('should page through threads', async () => {
+    const res = await listComments('limit=1&page=2');
+
+    expect(res.body.comments.map((comment) => comment.content)).toEqual(['Second']);
+    expect(res.body.pages).toBe(2);
+    expect(res.headers.link).toContain('rel="prev"');
+  });
+
+  it('should list every comment in flat mode', async () => {
+    const res = await listComments('mode=flat');
+
+    expect(res.body.total).toBe(4);
+    expect(res.body.comments.map((comment) => comment.content))
+      .toEqual(['First', 'Reply', 'Nested', 'Second']);
+  });
+
+  it('should hide a hidden comment and its replies from other users', async () => {
+    await request(app)
+      .post(`${commentsUrl()}/${reply._id}/hide`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    const anonymous = await listComments('mode=flat');
+    const moderator = await listComments('mode=flat', moderatorToken);
+
+    expect(anonymous.body.comments.map((comment) => comment.content)).toEqual(['First', 'Second']);
+    expect(moderator.body.total).toBe(4);
+  });
+
+  it('should keep a deleted comment with replies as a placeholder', async () => {
+    await request(app)
+      .delete(`${commentsUrl()}/${first._id}`)
+      .set('Authorization', `Bearer ${commenterToken}`);
+
+    const res = await listComments();
+
+    expect(res.body.comments[0].deletedAt).toBeDefined();
+    expect(res.body.comments[0].content).toBeUndefined();
+    expect(res.body.comments[0].author).toBeUndefined();
+    expect(res.body.comments[0].replies[0].content).toBe('Reply');
+  });
+
+  it('should return 404 for posts the user cannot see', async () => {
+    post.status = 'draft';
+    await post.save();
+
+    const res = await listComments();
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PATCH /api/posts/:id/comments/:commentId', () => {
+  let comment;
+
+  beforeEach(async () => {
+    comment = (await addComment(commenterToken, { content: 'Tpyo' })).body.comment;
+  });
+
+  it('should let the author edit the comment', async () => {
+    const res = await request(app)
+      .patch(`${commentsUrl()}/${comment._id}`)
+      .set('Authorization', `Bearer ${commenterToken}`)
+      .send({ content: 'Typo' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.content).toBe('Typo');
+    expect(res.body.comment.editedAt).toBeDefined();
+  });
+
+  it('should not let others edit the comment', async () => {
+    const res = await request(app)
+      .patch(`${commentsUrl()}/${comment._id}`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ content: 'Changed' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should refuse edits after the edit window', async () => {
+    await Comment.updateOne(
+      { _id: comment._id },
+      { createdAt: new Date(Date.now() - 60 * 60 * 1000) },
+      { timestamps: false }
+    );
+
+    const res = await request(app)
+      .patch(`${commentsUrl()}/${comment._id}`)
+      .set('Authorization', `Bearer ${commenterToken}`)
+      .send({ content: 'Too late' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('This comment can no longer be edited');
+  });
+});
+
+describe('DELETE /api/posts/:id/comments/:commentId', () => {
+  let comment;
+
+  beforeEach(async () => {
+    comment = (await addComment(commenterToken, { content: 'Delete me' })).body.comment;
+  });
+
+  it('should let the post author delete comments', async () => {
+    const res = await request(app)
+      .delete(`${commentsUrl()}/${comment._id}`)
+      .set('Authorization', `Bearer ${postAuthorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Comment.findById(comment._id)).toBeNull();
+  });
+
+  it('should not let other users delete comments', async () => {
+    const res = await request(app)
+      .delete(`${commentsUrl()}/${comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Comment moderation', () => {
+  let comment;
+
+  beforeEach(async () => {
+    process.env.COMMENTS_REQUIRE_APPROVAL = 'true';
+    comment = (await addComment(commenterToken, { content: 'Pending comment' })).body.comment;
+  });
+
+  it('should show pending comments only to their author and moderators', async () => {
+    const anonymous = await listComments();
+    const own = await listComments('', commenterToken);
+    const postOwner = await listComments('', postAuthorToken);
+
+    expect(anonymous.body.total).toBe(0);
+    expect(own.body.total).toBe(1);
+    expect(postOwner.body.total).toBe(1);
+  });
+
+  it('should let the post author approve comments', async () => {
+    const res = await request(app)
+      .post(`${commentsUrl()}/${comment._id}/approve`)
+      .set('Authorization', `Bearer ${postAuthorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.status).toBe('approved');
+    expect((await listComments()).body.total).toBe(1);
+  });
+
+  it('should not let other users moderate', async () => {
+    const res = await request(app)
+      .post(`${commentsUrl()}/${comment._id}/approve`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe("Not authorized: requires 'comment:moderate' permission");
+  });
+});
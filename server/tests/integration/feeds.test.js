@@ -0,0 +1,265 @@
+// feeds.test.js - Integration tests for RSS, Atom and JSON feeds
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let user;
+let token;
+let other;
+let category;
+let post;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  process.env.API_URL = 'http://api.blog.test';
+  ({ user, token } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+  ({ user: other } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER));
+  category = await Category.create({ name: 'News' });
+  post = await createTestPost({
+    title: 'Tom & Jerry <3',
+    content: 'Some **bold** text',
+    category: category._id,
+    status: 'published',
+  }, user._id);
+  await createTestPost({ title: 'Unfinished draft', status: 'draft' }, user._id);
+  await createTestPost({ title: 'Another author', status: 'published' }, other._id);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+  delete process.env.API_URL;
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Links come from API_URL, whatever Host the request names
+const getFeed = (path) => request(app).get(path).set('Host', 'evil.test');
+
+describe('GET /feeds/posts.:format', () => {
+  it('should list published posts as RSS', async () => {
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(res.text).toContain('<title>Tom &amp; Jerry &lt;3</title>');
+    expect(res.text).toContain('&lt;strong&gt;bold&lt;/strong&gt;');
+    expect(res.text).toContain(`<dc:creator>${TEST_USERS.VALID_USER.username}</dc:creator>`);
+    expect(res.text).toContain('<category>News</category>');
+    expect(res.text).toContain('Another author');
+    expect(res.text).not.toContain('Unfinished draft');
+  });
+
+  it('should list published posts as Atom', async () => {
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('atom'));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    expect(res.text).toContain('<link rel="self" type="application/atom+xml" href="http://api.blog.test/feeds/posts.atom"/>');
+    expect(res.text).toContain(`/posts/${post.slug}`);
+  });
+
+  it('should list published posts as JSON Feed', async () => {
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('json'));
+    const feed = JSON.parse(res.text);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/feed+json; charset=utf-8');
+    expect(feed.items).toHaveLength(2);
+    expect(feed.items.map((item) => item.title)).toContain('Tom & Jerry <3');
+  });
+
+  it('should leave out trashed posts', async () => {
+    await post.trash(user._id);
+
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'));
+
+    expect(res.text).not.toContain('Tom &amp; Jerry');
+  });
+
+  it('should make attachment links absolute', async () => {
+    post.content = '![photo](/api/attachments/abc)';
+    await post.save();
+
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('json'));
+    const item = JSON.parse(res.text).items.find((entry) => entry.title === post.title);
+
+    expect(item.content_html).toContain('src="http://api.blog.test/api/attachments/abc"');
+  });
+
+  it('should keep item ids when a post is renamed', async () => {
+    const id = `http://api.blog.test/api/posts/${post._id}`;
+    const before = JSON.parse((await getFeed(API_ENDPOINTS.FEEDS.POSTS('json'))).text);
+
+    post.title = 'A brand new title';
+    await post.save();
+    const after = JSON.parse((await getFeed(API_ENDPOINTS.FEEDS.POSTS('json'))).text);
+
+    expect(before.items.map((item) => item.id)).toContain(id);
+    expect(after.items.find((item) => item.id === id).url).toContain('/posts/a-brand-new-title');
+  });
+
+  it('should not build links from the Host header', async () => {
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('atom'));
+
+    expect(res.text).toContain(`<id>http://api.blog.test/api/posts/${post._id}</id>`);
+    expect(res.text).not.toContain('evil.test');
+  });
+
+  it('should return 404 for unknown formats', async () => {
+    const res = await getFeed('/feeds/posts.xml');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Feed caching', () => {
+  it('should send a content ETag and the last change as Last-Modified', async () => {
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'));
+    const newest = await Post.findOne({ status: 'published' }).sort({ updatedAt: -1 });
+
+    expect(res.headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(res.headers['last-modified']).toBe(newest.updatedAt.toUTCString());
+  });
+
+  it('should answer a matching If-None-Match with 304', async () => {
+    const first = await getFeed(API_ENDPOINTS.FEEDS.POSTS('atom'));
+
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('atom'))
+      .set('If-None-Match', first.headers.etag);
+
+    expect(res.status).toBe(304);
+  });
+
+  it('should keep the ETag of an empty feed', async () => {
+    await Post.deleteMany({});
+    const empty = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'));
+    const again = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'))
+      .set('If-None-Match', empty.headers.etag);
+
+    expect(again.status).toBe(304);
+    expect(new Date(empty.headers['last-modified']).getFullYear()).toBeGreaterThan(1970);
+  });
+
+  it('should send the feed again once a post is trashed', async () => {
+    const first = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'));
+    await post.trash(user._id);
+
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'))
+      .set('If-None-Match', first.headers.etag);
+
+    expect(res.status).toBe(200);
+    expect(res.text).not.toContain('Tom &amp; Jerry');
+  });
+
+  it('should answer If-Modified-Since alone with 304', async () => {
+    const first = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'));
+
+    const res = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'))
+      .set('If-Modified-Since', first.headers['last-modified']);
+
+    expect(res.status).toBe(304);
+  });
+
+  describe('when the newest post leaves the feed', () => {
+    // The other posts were last changed long before the newest one
+    beforeEach(async () => {
+      const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      await Post.updateMany({}, { updatedAt: hourAgo }, { timestamps: false });
+      await Post.updateOne({ _id: post._id }, { updatedAt: new Date(Date.now() - 60 * 1000) }, { timestamps: false });
+    });
+
+    // Send the feed again to a reader that has it
+    const refetch = (first) => getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'))
+      .set('If-Modified-Since', first.headers['last-modified']);
+
+    it('should send it again once the post is unpublished', async () => {
+      const first = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'));
+      await Post.updateOne({ _id: post._id }, { status: 'draft' });
+
+      const res = await refetch(first);
+
+      expect(res.status).toBe(200);
+      expect(res.text).not.toContain('Tom &amp; Jerry');
+    });
+
+    it('should send it again once the post is trashed', async () => {
+      const first = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'));
+      await Post.updateOne({ _id: post._id }, { deletedAt: new Date() });
+
+      const res = await refetch(first);
+
+      expect(res.status).toBe(200);
+      expect(res.text).not.toContain('Tom &amp; Jerry');
+    });
+
+    it('should send it again once the post is deleted', async () => {
+      const first = await getFeed(API_ENDPOINTS.FEEDS.POSTS('rss'));
+      await Post.purge({ _id: post._id });
+
+      const res = await refetch(first);
+
+      expect(res.status).toBe(200);
+      expect(res.text).not.toContain('Tom &amp; Jerry');
+    });
+  });
+});
+
+describe('Category and author feeds', () => {
+  it('should list a category\'s posts', async () => {
+    const res = await getFeed(API_ENDPOINTS.FEEDS.CATEGORY(category.slug, 'json'));
+    const feed = JSON.parse(res.text);
+
+    expect(res.status).toBe(200);
+    expect(feed.title).toContain('News');
+    expect(feed.items.map((item) => item.title)).toEqual(['Tom & Jerry <3']);
+  });
+
+  it('should send a category feed again once its post moves to another category', async () => {
+    const sports = await Category.create({ name: 'Sports' });
+    await Post.updateMany({}, { updatedAt: new Date(Date.now() - 60 * 60 * 1000) }, { timestamps: false });
+    const first = await getFeed(API_ENDPOINTS.FEEDS.CATEGORY(category.slug, 'rss'));
+
+    await request(app)
+      .put(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: post.title, content: post.content, category: sports._id });
+
+    const res = await getFeed(API_ENDPOINTS.FEEDS.CATEGORY(category.slug, 'rss'))
+      .set('If-Modified-Since', first.headers['last-modified']);
+
+    expect(res.status).toBe(200);
+    expect(res.text).not.toContain('Tom &amp; Jerry');
+  });
+
+  it('should list an author\'s posts', async () => {
+    const res = await getFeed(API_ENDPOINTS.FEEDS.AUTHOR(other.username, 'json'));
+    const feed = JSON.parse(res.text);
+
+    expect(res.status).toBe(200);
+    expect(feed.items.map((item) => item.title)).toEqual(['Another author']);
+  });
+
+  it('should return 404 for an unknown category', async () => {
+    const res = await getFeed(API_ENDPOINTS.FEEDS.CATEGORY('missing', 'rss'));
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Category not found');
+  });
+
+  it('should return 404 for an unknown author', async () => {
+    const res = await getFeed(API_ENDPOINTS.FEEDS.AUTHOR('nobody', 'rss'));
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Author not found');
+  });
+});
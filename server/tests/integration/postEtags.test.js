@@ -0,0 +1,190 @@
+// postEtags.test.js - Integration tests for post ETags and conditional requests
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let token;
+let post;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  let user;
+  ({ user, token } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+  post = await createTestPost({ status: 'published' }, user._id);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+  delete process.env.POSTS_REQUIRE_IF_MATCH;
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Edit the post as its author
+const edit = (headers = {}) => request(app)
+  .patch(API_ENDPOINTS.POSTS.BY_ID(post._id))
+  .set('Authorization', `Bearer ${token}`)
+  .set(headers)
+  .send({ title: 'Edited title' });
+
+describe('GET /api/posts/:id', () => {
+  it('should return an ETag starting with the post version', async () => {
+    const res = await request(app).get(API_ENDPOINTS.POSTS.BY_ID(post._id));
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toMatch(/^"0-[\w-]+"$/);
+  });
+
+  it('should return 304 when the client has the current version', async () => {
+    const { headers } = await request(app).get(API_ENDPOINTS.POSTS.BY_ID(post._id));
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('If-None-Match', headers.etag);
+
+    expect(res.status).toBe(304);
+    expect(res.body).toEqual({});
+  });
+
+  it('should return 304 to signed-in callers whose reactions are unchanged', async () => {
+    const { headers } = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`)
+      .set('If-None-Match', headers.etag);
+
+    expect(res.status).toBe(304);
+  });
+
+  it('should return the post when the client has an old version', async () => {
+    const { headers } = await request(app).get(API_ENDPOINTS.POSTS.BY_ID(post._id));
+    await edit();
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('If-None-Match', headers.etag);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toMatch(/^"1-/);
+  });
+
+  it('should return the post when its counters have changed', async () => {
+    const { headers } = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`);
+    await request(app)
+      .put(API_ENDPOINTS.POSTS.LIKE(post._id))
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`)
+      .set('If-None-Match', headers.etag);
+
+    expect(res.status).toBe(200);
+    expect(res.body.likeCount).toBe(1);
+    expect(res.body.likedByMe).toBe(true);
+  });
+
+  it('should give callers with different reactions different ETags', async () => {
+    const { token: otherToken } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER);
+    await request(app)
+      .put(API_ENDPOINTS.POSTS.LIKE(post._id))
+      .set('Authorization', `Bearer ${token}`);
+
+    const liker = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`);
+    const other = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(liker.body.likedByMe).toBe(true);
+    expect(other.body.likedByMe).toBe(false);
+    expect(liker.headers.etag).not.toBe(other.headers.etag);
+  });
+
+  it('should return the ETag by slug too', async () => {
+    const { headers } = await request(app).get(API_ENDPOINTS.POSTS.BY_SLUG(post.slug));
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_SLUG(post.slug))
+      .set('If-None-Match', headers.etag);
+
+    expect(headers.etag).toMatch(/^"0-[\w-]+"$/);
+    expect(res.status).toBe(304);
+  });
+});
+
+describe('Writes with If-Match', () => {
+  it('should save when If-Match names the current version', async () => {
+    const res = await edit({ 'If-Match': '"0"' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"1"');
+    expect(res.body.version).toBe(1);
+  });
+
+  it('should accept the ETag a read returned', async () => {
+    const { headers } = await request(app).get(API_ENDPOINTS.POSTS.BY_ID(post._id));
+
+    const res = await edit({ 'If-Match': headers.etag });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 412 when the post has changed', async () => {
+    await edit({ 'If-Match': '"0"' });
+
+    const res = await edit({ 'If-Match': '"0"' });
+
+    expect(res.status).toBe(412);
+    expect((await Post.findById(post._id)).version).toBe(1);
+  });
+
+  it('should check PUT requests', async () => {
+    const res = await request(app)
+      .put(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`)
+      .set('If-Match', '"5"')
+      .send({ title: 'Replaced title', content: 'Replaced content for the post' });
+
+    expect(res.status).toBe(412);
+  });
+
+  it('should check DELETE requests', async () => {
+    const res = await request(app)
+      .delete(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`)
+      .set('If-Match', '"5"');
+
+    expect(res.status).toBe(412);
+    expect(await Post.findById(post._id)).not.toBeNull();
+  });
+
+  it('should accept writes without If-Match by default', async () => {
+    const res = await edit();
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 428 without If-Match when it is required', async () => {
+    process.env.POSTS_REQUIRE_IF_MATCH = 'true';
+
+    const res = await edit();
+
+    expect(res.status).toBe(428);
+  });
+});
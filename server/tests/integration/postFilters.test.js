@@ -0,0 +1,152 @@
+// postFilters.test.js - Integration tests for post listing filters and sorting
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const dbHandler = require('../utils/dbHandler');
+const { createTestUser, generateAuthToken } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let author;
+let otherAuthor;
+let editorToken;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  author = await createTestUser(TEST_USERS.VALID_USER);
+  otherAuthor = await createTestUser(TEST_USERS.ANOTHER_USER);
+  // Editors see drafts too, so every post is listed
+  editorToken = await generateAuthToken(await createTestUser({ role: 'editor' }));
+
+  await Post.create([
+    {
+      title: 'Alpha post',
+      content: 'Content of the alpha post',
+      author: author._id,
+      tags: ['node', 'react'],
+      status: 'published',
+      views: 5,
+      createdAt: new Date('2024-01-01'),
+    },
+    {
+      title: 'Beta post',
+      content: 'Content of the beta post',
+      author: author._id,
+      tags: ['node'],
+      status: 'draft',
+      views: 50,
+      createdAt: new Date('2024-02-01'),
+    },
+    {
+      title: 'Gamma post',
+      content: 'Content of the gamma post',
+      author: otherAuthor._id,
+      tags: ['react'],
+      status: 'published',
+      views: 10,
+      createdAt: new Date('2024-03-01'),
+    },
+  ]);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Get the titles of a listing
+const titles = async (queryString) => {
+  const res = await request(app)
+    .get(`${API_ENDPOINTS.POSTS.BASE}?${queryString}`)
+    .set('Authorization', `Bearer ${editorToken}`);
+  expect(res.status).toBe(200);
+  return res.body.posts.map((post) => post.title);
+};
+
+describe('GET /api/posts filters', () => {
+  it('should filter by author id or username', async () => {
+    expect(await titles(`author=${otherAuthor._id}`)).toEqual(['Gamma post']);
+    expect(await titles(`author=${author.username}`)).toEqual(['Beta post', 'Alpha post']);
+    expect(await titles('author=nobody')).toEqual([]);
+  });
+
+  it('should filter by any or all tags', async () => {
+    expect(await titles('tags=node,react')).toHaveLength(3);
+    expect(await titles('tags=node,react&tagMode=all')).toEqual(['Alpha post']);
+  });
+
+  it('should filter by status', async () => {
+    expect(await titles('status=draft')).toEqual(['Beta post']);
+  });
+
+  it('should filter by date range', async () => {
+    expect(await titles('createdFrom=2024-01-15&createdTo=2024-02-15')).toEqual(['Beta post']);
+  });
+
+  it('should reject query operators', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.BASE}?author[$ne]=x&status[$ne]=published`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/posts sorting', () => {
+  it('should sort by title', async () => {
+    expect(await titles('sort=title')).toEqual(['Alpha post', 'Beta post', 'Gamma post']);
+    expect(await titles('sort=-title')).toEqual(['Gamma post', 'Beta post', 'Alpha post']);
+  });
+
+  it('should sort by popularity', async () => {
+    expect(await titles('sort=-popularity')).toEqual(['Beta post', 'Gamma post', 'Alpha post']);
+  });
+
+  it('should reject unknown sort fields', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.BASE}?sort=password`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should only allow cursors with the default sort', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.BASE}?sort=title&after=abc`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/posts sparse fieldsets', () => {
+  it('should return only the requested fields', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.BASE}?fields=title,slug`);
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.posts[0]).sort()).toEqual(['_id', 'slug', 'title']);
+  });
+
+  it('should populate the author when requested', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.BASE}?fields=title,author`);
+
+    expect(res.body.posts[0].author.username).toBeDefined();
+  });
+
+  it('should reject unknown fields', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.BASE}?fields=title,__v`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/posts/:id', () => {
+  it('should count views without changing updatedAt', async () => {
+    const post = await Post.findOne({ title: 'Alpha post' });
+
+    const res = await request(app).get(API_ENDPOINTS.POSTS.BY_ID(post._id));
+
+    expect(res.body.views).toBe(6);
+    expect(res.body.updatedAt).toBe(post.updatedAt.toISOString());
+  });
+});
@@ -0,0 +1,102 @@
+// postFormats.test.js - Integration tests for Markdown post content
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+const MARKDOWN = '# Heading\n\nSome **bold** text and a [link](javascript:alert(1)).\n\n<script>alert(1)</script>';
+
+let user;
+let post;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+  post = await createTestPost({ content: MARKDOWN, status: 'published' }, user._id);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Fetch the post in a format
+const getPost = (format) => request(app)
+  .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+  .query(format ? { format } : {});
+
+describe('GET /api/posts/:id?format=', () => {
+  it('should return the Markdown source by default', async () => {
+    const res = await getPost();
+
+    expect(res.status).toBe(200);
+    expect(res.body.content).toBe(MARKDOWN);
+    expect(res.body.format).toBe('markdown');
+    expect(res.body.contentHtml).toBeUndefined();
+  });
+
+  it('should return sanitized HTML', async () => {
+    const res = await getPost('html');
+
+    expect(res.status).toBe(200);
+    expect(res.body.format).toBe('html');
+    expect(res.body.content).toContain('<h1>Heading</h1>');
+    expect(res.body.content).toContain('<strong>bold</strong>');
+    expect(res.body.content).not.toMatch(/script|javascript/);
+  });
+
+  it('should return plain text', async () => {
+    const res = await getPost('text');
+
+    expect(res.body.content).toBe('Heading Some bold text and a link.');
+  });
+
+  it('should render posts saved before rendering existed', async () => {
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $unset: { contentHtml: 1, excerpt: 1, readingTime: 1 } }
+    );
+
+    const res = await getPost('html');
+
+    expect(res.body.content).toContain('<h1>Heading</h1>');
+  });
+
+  it('should reject unknown formats', async () => {
+    const res = await getPost('pdf');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should take the format by slug too', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.BY_SLUG(post.slug)}?format=text`);
+
+    expect(res.body.content).toBe('Heading Some bold text and a link.');
+  });
+});
+
+describe('Listing excerpts', () => {
+  it('should include the excerpt and reading time but not the HTML', async () => {
+    const res = await request(app).get(API_ENDPOINTS.POSTS.BASE);
+
+    expect(res.body.posts[0].excerpt).toBe('Heading Some bold text and a link.');
+    expect(res.body.posts[0].readingTime).toBe(1);
+    expect(res.body.posts[0].contentHtml).toBeUndefined();
+  });
+
+  it('should return excerpts as a sparse field', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.BASE}?fields=title,excerpt,readingTime`);
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.posts[0]).sort()).toEqual(['_id', 'excerpt', 'readingTime', 'title']);
+  });
+});
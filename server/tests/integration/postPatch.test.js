@@ -0,0 +1,178 @@
+// postPatch.test.js - Integration tests for partial post updates
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const PostRevision = require('../../src/models/PostRevision');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let token;
+let category;
+let postId;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ token } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+  category = await Category.create({ name: 'Tech' });
+
+  const res = await request(app)
+    .post(API_ENDPOINTS.POSTS.BASE)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      title: 'Original title',
+      content: 'Original content for the post',
+      category: category._id,
+      tags: ['node'],
+    });
+  postId = res.body._id;
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Send a patch as the post's author
+const patch = (body, type = 'application/merge-patch+json') => request(app)
+  .patch(API_ENDPOINTS.POSTS.BY_ID(postId))
+  .set('Authorization', `Bearer ${token}`)
+  .set('Content-Type', type)
+  .send(JSON.stringify(body));
+
+describe('PATCH /api/posts/:id with a merge patch', () => {
+  it('should only change the fields supplied', async () => {
+    const res = await patch({ tags: ['node', 'express'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags).toEqual(['node', 'express']);
+    expect(res.body.title).toBe('Original title');
+    expect(res.body.content).toBe('Original content for the post');
+    expect(res.body.category.name).toBe('Tech');
+  });
+
+  it('should accept plain JSON bodies', async () => {
+    const res = await patch({ title: 'Patched title' }, 'application/json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Patched title');
+  });
+
+  it('should reset fields set to null', async () => {
+    const res = await patch({ category: null, tags: null, commentsEnabled: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.category).toBeUndefined();
+    expect(res.body.tags).toEqual([]);
+    expect(res.body.commentsEnabled).toBe(true);
+  });
+
+  it('should not clear required fields', async () => {
+    const res = await patch({ title: null });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('title');
+  });
+
+  it('should only validate the fields supplied', async () => {
+    const res = await patch({ content: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toHaveLength(1);
+    expect(res.body.details[0].msg).toBe('Content must be at least 10 characters');
+  });
+
+  it('should not change the status', async () => {
+    const res = await patch({ status: 'published' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('Use the post status endpoints to change the status');
+  });
+
+  it('should reject bodies that are not objects', async () => {
+    const res = await patch(['title']);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('A merge patch must be a JSON object');
+  });
+
+  it('should record a revision only when the text changes', async () => {
+    await patch({ commentsEnabled: false });
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(1);
+
+    await patch({ content: 'Patched content for the post' });
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(2);
+  });
+
+  it('should return 403 if not the author', async () => {
+    const { token: otherToken } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER);
+
+    const res = await request(app)
+      .patch(API_ENDPOINTS.POSTS.BY_ID(postId))
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ title: 'Not my post' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PATCH /api/posts/:id with a JSON Patch', () => {
+  const JSON_PATCH = 'application/json-patch+json';
+
+  it('should apply the operations', async () => {
+    const res = await patch([
+      { op: 'test', path: '/title', value: 'Original title' },
+      { op: 'add', path: '/tags/-', value: 'mongo' },
+      { op: 'replace', path: '/title', value: 'Patched title' },
+    ], JSON_PATCH);
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Patched title');
+    expect(res.body.tags).toEqual(['node', 'mongo']);
+  });
+
+  it('should reset removed fields', async () => {
+    const res = await patch([{ op: 'remove', path: '/category' }], JSON_PATCH);
+
+    expect(res.status).toBe(200);
+    expect(res.body.category).toBeUndefined();
+  });
+
+  it('should validate the patched fields', async () => {
+    const res = await patch([{ op: 'remove', path: '/content' }], JSON_PATCH);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('content');
+  });
+
+  it('should return 409 when a test fails', async () => {
+    const res = await patch([
+      { op: 'test', path: '/title', value: 'Another title' },
+      { op: 'replace', path: '/title', value: 'Patched title' },
+    ], JSON_PATCH);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Test failed: /title');
+  });
+
+  it('should reject fields that cannot be patched', async () => {
+    const res = await patch([{ op: 'replace', path: '/views', value: 1000 }], JSON_PATCH);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot patch views');
+  });
+
+  it('should reject invalid operations', async () => {
+    const res = await patch([{ op: 'remove', path: '/tags/3' }], JSON_PATCH);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Path not found: /tags/3');
+  });
+});
@@ -0,0 +1,129 @@
+// postSlugs.test.js - Integration tests for slug lookups and redirects
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let user;
+let token;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user, token } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Create a post through the API
+const createPost = (title) => request(app)
+  .post(API_ENDPOINTS.POSTS.BASE)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ title, content: 'Content that is long enough to pass validation.' });
+
+// New posts are drafts, so read them as their author
+const getBySlug = (slug) => request(app)
+  .get(API_ENDPOINTS.POSTS.BY_SLUG(slug))
+  .set('Authorization', `Bearer ${token}`);
+
+describe('Slug generation through the API', () => {
+  it('should give posts with the same title different slugs', async () => {
+    const first = await createPost('Hello World');
+    const second = await createPost('Hello World');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(first.body.slug).toBe('hello-world');
+    expect(second.body.slug).toBe('hello-world-2');
+  });
+
+  it('should give posts created at the same time different slugs', async () => {
+    const responses = await Promise.all(Array.from({ length: 5 }, () => createPost('Hello World')));
+
+    expect(responses.map((res) => res.status)).toEqual([201, 201, 201, 201, 201]);
+    expect(responses.map((res) => res.body.slug).sort()).toEqual([
+      'hello-world',
+      'hello-world-2',
+      'hello-world-3',
+      'hello-world-4',
+      'hello-world-5',
+    ]);
+  });
+
+  it('should regenerate the slug when the title is updated', async () => {
+    const { body: post } = await createPost('Hello World');
+
+    const res = await request(app)
+      .put(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Goodbye World', content: post.content });
+
+    expect(res.status).toBe(200);
+    expect(res.body.slug).toBe('goodbye-world');
+    expect(res.body.slugHistory).toEqual(['hello-world']);
+  });
+
+  it('should transliterate non-ASCII titles', async () => {
+    const res = await createPost('Über café');
+
+    expect(res.body.slug).toBe('uber-cafe');
+  });
+});
+
+describe('GET /api/posts/slug/:slug', () => {
+  it('should return the post', async () => {
+    await createPost('Hello World');
+
+    const res = await getBySlug('hello-world');
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Hello World');
+    expect(res.body.author.username).toBe(user.username);
+  });
+
+  it('should redirect old slugs to the current one', async () => {
+    const { body: post } = await createPost('Hello World');
+    await request(app)
+      .put(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Goodbye World', content: post.content });
+
+    const res = await getBySlug('hello-world');
+
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe(API_ENDPOINTS.POSTS.BY_SLUG('goodbye-world'));
+  });
+
+  it('should return 404 for unknown slugs', async () => {
+    const res = await getBySlug('no-such-post');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 400 for malformed slugs', async () => {
+    const res = await request(app).get(API_ENDPOINTS.POSTS.BY_SLUG('Not%20A%20Slug'));
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should count views', async () => {
+    await createPost('Hello World');
+
+    await getBySlug('hello-world');
+    const res = await getBySlug('hello-world');
+
+    expect(res.body.views).toBe(2);
+    expect(await Post.countDocuments()).toBe(1);
+  });
+});
@@ -0,0 +1,154 @@
+// postStatus.test.js - Integration tests for the post status workflow and visibility
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let author;
+let authorToken;
+let editorToken;
+let otherToken;
+let draft;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user: author, token: authorToken } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+  ({ token: otherToken } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER));
+  ({ token: editorToken } = await createAuthenticatedUser({ role: 'editor' }));
+
+  draft = await createTestPost({ title: 'Draft post' }, author._id);
+  await createTestPost({ title: 'Published post', status: 'published' }, author._id);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Move the draft through the workflow
+const transition = (action, token, body = {}) => request(app)
+  .post(API_ENDPOINTS.POSTS.TRANSITION(draft._id, action))
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+// Get the titles listed for a token, or for anonymous visitors
+const listedTitles = async (token) => {
+  const req = request(app).get(API_ENDPOINTS.POSTS.BASE);
+  if (token) {
+    req.set('Authorization', `Bearer ${token}`);
+  }
+  const res = await req;
+  return res.body.posts.map((post) => post.title).sort();
+};
+
+describe('Post visibility', () => {
+  it('should only list published posts to anonymous visitors', async () => {
+    expect(await listedTitles()).toEqual(['Published post']);
+  });
+
+  it('should list drafts to their author', async () => {
+    expect(await listedTitles(authorToken)).toEqual(['Draft post', 'Published post']);
+  });
+
+  it('should not list drafts to other users', async () => {
+    expect(await listedTitles(otherToken)).toEqual(['Published post']);
+  });
+
+  it('should list every draft to editors', async () => {
+    expect(await listedTitles(editorToken)).toEqual(['Draft post', 'Published post']);
+  });
+
+  it('should hide a draft from anonymous visitors by id and slug', async () => {
+    const byId = await request(app).get(API_ENDPOINTS.POSTS.BY_ID(draft._id));
+    const bySlug = await request(app).get(API_ENDPOINTS.POSTS.BY_SLUG(draft.slug));
+
+    expect(byId.status).toBe(404);
+    expect(bySlug.status).toBe(404);
+  });
+
+  it('should show a draft to its author by id', async () => {
+    const res = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(draft._id))
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('draft');
+  });
+});
+
+describe('Post status transitions', () => {
+  it('should let the author submit a draft for review', async () => {
+    const res = await transition('submit', authorToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('review');
+  });
+
+  it('should not let the author publish without permission', async () => {
+    const res = await transition('publish', authorToken);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe("Not authorized: requires 'post:publish' permission");
+  });
+
+  it('should not let other users change the status', async () => {
+    const res = await transition('submit', otherToken);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should let an editor publish a post in review', async () => {
+    await transition('submit', authorToken);
+
+    const res = await transition('publish', editorToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('published');
+    expect(res.body.publishedAt).toBeDefined();
+    expect(await listedTitles()).toEqual(['Draft post', 'Published post']);
+  });
+
+  it('should reject transitions from the wrong status', async () => {
+    const res = await transition('archive', editorToken);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Cannot archive a post that is draft');
+  });
+
+  it('should schedule a post for later', async () => {
+    const scheduledFor = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const res = await transition('schedule', editorToken, { scheduledFor });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('scheduled');
+    expect(res.body.scheduledFor).toBe(scheduledFor);
+    expect(await listedTitles()).toEqual(['Published post']);
+  });
+
+  it('should reject schedules in the past', async () => {
+    const res = await transition('schedule', editorToken, {
+      scheduledFor: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    expect(res.status).toBe(400);
+    expect((await Post.findById(draft._id)).status).toBe('draft');
+  });
+
+  it('should return 404 for a missing post', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.POSTS.TRANSITION('507f1f77bcf86cd799439011', 'submit'))
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -6,7 +6,8 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const Post = require('../../src/models/Post');
 const User = require('../../src/models/User');
-const { generateToken } = require('../../src/utils/auth');
+const Category = require('../../src/models/Category');
+const { generateAuthToken } = require('../utils/testHelpers');
 
 let mongoServer;
 let token;
@@ -24,9 +25,10 @@ beforeAll(async () => {
     username: 'testuser',
     email: 'test@example.com',
     password: 'password123',
+    emailVerified: true,
   });
   userId = user._id;
-  token = generateToken(user);
+  token = await generateAuthToken(user);
 
   // Create a test post
   const post = await Post.create({
@@ -35,6 +37,7 @@ beforeAll(async () => {
     author: userId,
     category: mongoose.Types.ObjectId(),
     slug: 'test-post',
+    status: 'published',
   });
   postId = post._id;
 });
@@ -47,11 +50,12 @@ afterAll(async () => {
 
 // Clean up database between tests
 afterEach(async () => {
-  // Keep the test user and post, but clean up any other created data
+  // Keep the test user, their session and post, but clean up any other created data
+  const kept = ['users', 'sessions', 'posts'];
   const collections = mongoose.connection.collections;
   for (const key in collections) {
     const collection = collections[key];
-    if (collection.collectionName !== 'users' && collection.collectionName !== 'posts') {
+    if (!kept.includes(collection.collectionName)) {
       await collection.deleteMany({});
     }
   }
@@ -59,10 +63,11 @@ afterEach(async () => {
 
 describe('POST /api/posts', () => {
   it('should create a new post when authenticated', async () => {
+    const category = await Category.create({ name: 'New Posts' });
     const newPost = {
       title: 'New Test Post',
       content: 'This is a new test post content',
-      category: mongoose.Types.ObjectId().toString(),
+      category: category._id.toString(),
     };
 
     const res = await request(app)
@@ -91,6 +96,38 @@ describe('POST /api/posts', () => {
     expect(res.status).toBe(401);
   });
 
+  it('should return 403 if email is not verified', async () => {
+    const unverifiedUser = await User.create({
+      username: 'unverified',
+      email: 'unverified@example.com',
+      password: 'password123',
+    });
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${await generateAuthToken(unverifiedUser)}`)
+      .send({
+        title: 'Unverified Post',
+        content: 'This should not be created yet',
+      });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for an unknown category', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Uncategorised Post',
+        content: 'This post points at a category that does not exist',
+        category: new mongoose.Types.ObjectId().toString(),
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('Category not found');
+  });
+
   it('should return 400 if validation fails', async () => {
     const invalidPost = {
       // Missing title
@@ -113,13 +150,18 @@ describe('GET /api/posts', () => {
     const res = await request(app).get('/api/posts');
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBeTruthy();
-    expect(res.body.length).toBeGreaterThan(0);
+    expect(Array.isArray(res.body.posts)).toBeTruthy();
+    expect(res.body.posts.length).toBeGreaterThan(0);
+    expect(res.body.total).toBe(res.body.posts.length);
+    expect(res.body.page).toBe(1);
+    expect(res.body.pages).toBe(1);
+    expect(res.body.hasNext).toBe(false);
   });
 
   it('should filter posts by category', async () => {
-    const categoryId = mongoose.Types.ObjectId().toString();
-    
+    const category = await Category.create({ name: 'Filtering' });
+    const categoryId = category._id.toString();
+
     // Create a post with specific category
     await Post.create({
       title: 'Filtered Post',
@@ -127,15 +169,17 @@ describe('GET /api/posts', () => {
       author: userId,
       category: categoryId,
       slug: 'filtered-post',
+      status: 'published',
     });
 
     const res = await request(app)
       .get(`/api/posts?category=${categoryId}`);
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBeTruthy();
-    expect(res.body.length).toBeGreaterThan(0);
-    expect(res.body[0].category).toBe(categoryId);
+    expect(Array.isArray(res.body.posts)).toBeTruthy();
+    expect(res.body.posts.length).toBeGreaterThan(0);
+    expect(res.body.posts[0].category._id).toBe(categoryId);
+    expect(res.body.posts[0].category.name).toBe('Filtering');
   });
 
   it('should paginate results', async () => {
@@ -148,6 +192,7 @@ describe('GET /api/posts', () => {
         author: userId,
         category: mongoose.Types.ObjectId(),
         slug: `pagination-post-${i}`,
+        status: 'published',
       });
     }
     await Post.insertMany(posts);
@@ -160,9 +205,66 @@ describe('GET /api/posts', () => {
 
     expect(page1.status).toBe(200);
     expect(page2.status).toBe(200);
-    expect(page1.body.length).toBe(10);
-    expect(page2.body.length).toBeGreaterThan(0);
-    expect(page1.body[0]._id).not.toBe(page2.body[0]._id);
+    expect(page1.body.posts.length).toBe(10);
+    expect(page2.body.posts.length).toBeGreaterThan(0);
+    expect(page1.body.posts[0]._id).not.toBe(page2.body.posts[0]._id);
+    expect(page1.body.hasNext).toBe(true);
+    expect(page1.body.pages).toBe(Math.ceil(page1.body.total / 10));
+  });
+
+  it('should send Link headers', async () => {
+    const res = await request(app)
+      .get('/api/posts?page=2&limit=5');
+
+    expect(res.headers.link).toContain('page=1&limit=5>; rel="first"');
+    expect(res.headers.link).toContain('page=1&limit=5>; rel="prev"');
+    expect(res.headers.link).toContain('page=3&limit=5>; rel="next"');
+    expect(res.headers.link).toContain('rel="last"');
+  });
+
+  it('should clamp the limit', async () => {
+    const res = await request(app)
+      .get('/api/posts?limit=100000');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.length).toBeLessThanOrEqual(100);
+    expect(res.body.pages).toBe(Math.ceil(res.body.total / 100));
+  });
+
+  it('should page with a cursor without skipping or repeating posts', async () => {
+    const first = await request(app)
+      .get('/api/posts?limit=5');
+
+    // A post published between requests must not shift the next page
+    await Post.create({
+      title: 'Brand New Post',
+      content: 'This post arrives while the feed is being read',
+      author: userId,
+      slug: 'brand-new-post',
+      status: 'published',
+    });
+
+    const second = await request(app)
+      .get(`/api/posts?limit=5&after=${first.body.nextCursor}`);
+
+    expect(second.status).toBe(200);
+    expect(second.body.posts).toHaveLength(5);
+
+    const all = await Post.find({ status: 'published' }).sort({ createdAt: -1, _id: -1 });
+    const expected = all
+      .filter((post) => post.slug !== 'brand-new-post')
+      .slice(5, 10)
+      .map((post) => post._id.toString());
+    expect(second.body.posts.map((post) => post._id)).toEqual(expected);
+    expect(second.headers.link).toContain('rel="next"');
+  });
+
+  it('should reject a malformed cursor', async () => {
+    const res = await request(app)
+      .get('/api/posts?after=not-a-cursor');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid cursor');
   });
 });
 
@@ -221,7 +323,7 @@ describe('PUT /api/posts/:id', () => {
       email: 'another@example.com',
       password: 'password123',
     });
-    const anotherToken = generateToken(anotherUser);
+    const anotherToken = await generateAuthToken(anotherUser);
 
     const updates = {
       title: 'Forbidden Update',
@@ -234,6 +336,59 @@ describe('PUT /api/posts/:id', () => {
 
     expect(res.status).toBe(403);
   });
+
+  it('should let editors update any post', async () => {
+    const editor = await User.create({
+      username: 'editoruser',
+      email: 'editor@example.com',
+      password: 'password123',
+      role: 'editor',
+    });
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${await generateAuthToken(editor)}`)
+      .send({ title: 'Edited Test Post', content: 'This content was edited by an editor' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Edited Test Post');
+  });
+
+  it('should reset the fields left out', async () => {
+    await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Tagged Test Post', content: 'This content has tags', tags: ['node'], commentsEnabled: false });
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Replaced Test Post', content: 'This content replaced everything' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags).toEqual([]);
+    expect(res.body.commentsEnabled).toBe(true);
+  });
+
+  it('should require the title and content', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ tags: ['node'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map((detail) => detail.path)).toEqual(['title', 'content']);
+  });
+
+  it('should not change the status', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Published Test Post', content: 'This content is ready', status: 'draft' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('Use the post status endpoints to change the status');
+  });
 });
 
 describe('DELETE /api/posts/:id', () => {
@@ -0,0 +1,164 @@
+// reactions.test.js - Integration tests for likes and bookmarks
+
+const request = require('supertest');
+const app = require('../../src/app');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let token;
+let post;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ token } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+  const { user: author } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER);
+  post = await createTestPost({ title: 'Liked post', status: 'published' }, author._id);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+describe('Likes', () => {
+  it('should like a post once however often it is sent', async () => {
+    await request(app).put(API_ENDPOINTS.POSTS.LIKE(post._id)).set('Authorization', `Bearer ${token}`);
+    const res = await request(app)
+      .put(API_ENDPOINTS.POSTS.LIKE(post._id))
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.liked).toBe(true);
+    expect(res.body.likeCount).toBe(1);
+  });
+
+  it('should unlike a post', async () => {
+    await request(app).put(API_ENDPOINTS.POSTS.LIKE(post._id)).set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .delete(API_ENDPOINTS.POSTS.LIKE(post._id))
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.liked).toBe(false);
+    expect(res.body.likeCount).toBe(0);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).put(API_ENDPOINTS.POSTS.LIKE(post._id));
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should not like posts the user cannot see', async () => {
+    const draft = await createTestPost({ status: 'draft' });
+
+    const res = await request(app)
+      .put(API_ENDPOINTS.POSTS.LIKE(draft._id))
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should include likeCount and likedByMe in listings', async () => {
+    await request(app).put(API_ENDPOINTS.POSTS.LIKE(post._id)).set('Authorization', `Bearer ${token}`);
+
+    const authenticated = await request(app)
+      .get(API_ENDPOINTS.POSTS.BASE)
+      .set('Authorization', `Bearer ${token}`);
+    const anonymous = await request(app).get(API_ENDPOINTS.POSTS.BASE);
+
+    expect(authenticated.body.posts[0].likeCount).toBe(1);
+    expect(authenticated.body.posts[0].likedByMe).toBe(true);
+    expect(anonymous.body.posts[0].likeCount).toBe(1);
+    expect(anonymous.body.posts[0].likedByMe).toBeUndefined();
+  });
+
+  it('should include likedByMe for a single post', async () => {
+    const res = await request(app)
+      .get(API_ENDPOINTS.POSTS.BY_ID(post._id))
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.likedByMe).toBe(false);
+  });
+});
+
+describe('Bookmarks', () => {
+  it('should bookmark a post and list it', async () => {
+    const res = await request(app)
+      .put(API_ENDPOINTS.POSTS.BOOKMARK(post._id))
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bookmarked).toBe(true);
+    expect(res.body.bookmarkCount).toBe(1);
+
+    const list = await request(app)
+      .get(API_ENDPOINTS.USERS.BOOKMARKS)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(list.status).toBe(200);
+    expect(list.body.total).toBe(1);
+    expect(list.body.posts[0].title).toBe('Liked post');
+    expect(list.body.posts[0].author.username).toBe(TEST_USERS.ANOTHER_USER.username);
+    expect(list.body.posts[0].bookmarkedAt).toBeDefined();
+  });
+
+  it('should remove a bookmark', async () => {
+    await request(app).put(API_ENDPOINTS.POSTS.BOOKMARK(post._id)).set('Authorization', `Bearer ${token}`);
+    await request(app).delete(API_ENDPOINTS.POSTS.BOOKMARK(post._id)).set('Authorization', `Bearer ${token}`);
+
+    const list = await request(app)
+      .get(API_ENDPOINTS.USERS.BOOKMARKS)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(list.body.posts).toHaveLength(0);
+  });
+
+  it('should leave out bookmarked posts that were unpublished', async () => {
+    await request(app).put(API_ENDPOINTS.POSTS.BOOKMARK(post._id)).set('Authorization', `Bearer ${token}`);
+    post.status = 'draft';
+    await post.save();
+
+    const list = await request(app)
+      .get(API_ENDPOINTS.USERS.BOOKMARKS)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(list.body.posts).toHaveLength(0);
+    expect(list.body.total).toBe(0);
+  });
+
+  it('should not count bookmarked posts that were trashed', async () => {
+    const other = await createTestPost({ title: 'Kept post', status: 'published' }, post.author);
+    await request(app).put(API_ENDPOINTS.POSTS.BOOKMARK(post._id)).set('Authorization', `Bearer ${token}`);
+    await request(app).put(API_ENDPOINTS.POSTS.BOOKMARK(other._id)).set('Authorization', `Bearer ${token}`);
+    await post.trash(post.author);
+
+    const list = await request(app)
+      .get(API_ENDPOINTS.USERS.BOOKMARKS)
+      .query({ limit: 1 })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(list.body.total).toBe(1);
+    expect(list.body.pages).toBe(1);
+    expect(list.body.posts.map((bookmarked) => bookmarked.title)).toEqual(['Kept post']);
+  });
+
+  it('should only list the current user\'s bookmarks', async () => {
+    const { token: otherToken } = await createAuthenticatedUser();
+    await request(app).put(API_ENDPOINTS.POSTS.BOOKMARK(post._id)).set('Authorization', `Bearer ${otherToken}`);
+
+    const list = await request(app)
+      .get(API_ENDPOINTS.USERS.BOOKMARKS)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(list.body.total).toBe(0);
+  });
+});
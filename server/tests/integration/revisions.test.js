@@ -0,0 +1,179 @@
+// revisions.test.js - Integration tests for post revision history
+
+const request = require('supertest');
+const app = require('../../src/app');
+const PostRevision = require('../../src/models/PostRevision');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let author;
+let token;
+let postId;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user: author, token } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+
+  const res = await request(app)
+    .post(API_ENDPOINTS.POSTS.BASE)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'First title', content: 'Line one\nLine two\nLine three', tags: ['node'] });
+  postId = res.body._id;
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Edit the post as its author
+const edit = (changes) => request(app)
+  .put(API_ENDPOINTS.POSTS.BY_ID(postId))
+  .set('Authorization', `Bearer ${token}`)
+  .send({ title: 'First title', content: 'Line one\nLine two\nLine three', tags: ['node'], ...changes });
+
+describe('Recording revisions', () => {
+  it('should record a revision when the post is created', async () => {
+    const revisions = await PostRevision.find({ post: postId });
+
+    expect(revisions).toHaveLength(1);
+    expect(revisions[0].number).toBe(1);
+  });
+
+  it('should record a revision on every update', async () => {
+    await edit({ title: 'Second title' });
+    await edit({ title: 'Third title' });
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.POSTS.REVISIONS(postId))
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revisions.map((revision) => revision.number)).toEqual([3, 2, 1]);
+    expect(res.body.revisions[0].title).toBe('Third title');
+    expect(res.body.revisions[0].editor.username).toBe(author.username);
+    expect(res.body.revisions[0].content).toBeUndefined();
+  });
+
+  it('should not record a revision when nothing changed', async () => {
+    await edit({});
+
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(1);
+  });
+
+  it('should keep the original version of posts written before revisions', async () => {
+    const legacy = await createTestPost({ title: 'Legacy post' }, author._id);
+
+    await request(app)
+      .put(API_ENDPOINTS.POSTS.BY_ID(legacy._id))
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Legacy post updated', content: legacy.content });
+
+    const revisions = await PostRevision.find({ post: legacy._id }).sort({ number: 1 });
+    expect(revisions.map((revision) => revision.title)).toEqual(['Legacy post', 'Legacy post updated']);
+  });
+
+  it('should only show revisions to users who can edit the post', async () => {
+    const { token: otherToken } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER);
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.POSTS.REVISIONS(postId))
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/posts/:id/revisions/:rev', () => {
+  it('should return a revision with its content', async () => {
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.POSTS.REVISIONS(postId)}/1`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revision.content).toBe('Line one\nLine two\nLine three');
+  });
+
+  it('should return 404 for an unknown revision', async () => {
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.POSTS.REVISIONS(postId)}/9`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/posts/:id/revisions/diff', () => {
+  beforeEach(async () => {
+    await edit({ title: 'Second title', content: 'Line one\nLine 2\nLine three', tags: ['react'] });
+  });
+
+  it('should compare the latest revision with the one before by default', async () => {
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.POSTS.REVISIONS(postId)}/diff`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.from).toBe(1);
+    expect(res.body.to).toBe(2);
+    expect(res.body.changes.title).toEqual({ from: 'First title', to: 'Second title' });
+    expect(res.body.changes.tags).toEqual({ added: ['react'], removed: ['node'] });
+    expect(res.body.changes.content).toEqual([
+      { type: 'equal', lines: ['Line one'] },
+      { type: 'removed', lines: ['Line two'] },
+      { type: 'added', lines: ['Line 2'] },
+      { type: 'equal', lines: ['Line three'] },
+    ]);
+  });
+
+  it('should compare the requested revisions', async () => {
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.POSTS.REVISIONS(postId)}/diff?from=2&to=1`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.changes.title).toEqual({ from: 'Second title', to: 'First title' });
+  });
+
+  it('should reject invalid revision numbers', async () => {
+    const res = await request(app)
+      .get(`${API_ENDPOINTS.POSTS.REVISIONS(postId)}/diff?from=abc`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/posts/:id/revisions/:rev/restore', () => {
+  it('should restore the post and record it as a new revision', async () => {
+    await edit({ title: 'Second title', content: 'Rewritten content entirely' });
+
+    const res = await request(app)
+      .post(`${API_ENDPOINTS.POSTS.REVISIONS(postId)}/1/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('First title');
+    expect(res.body.content).toBe('Line one\nLine two\nLine three');
+    expect(res.body.slug).toBe('first-title');
+
+    const latest = await PostRevision.findOne({ post: postId }).sort({ number: -1 });
+    expect(latest.number).toBe(3);
+    expect(latest.restoredFrom).toBe(1);
+  });
+
+  it('should return 404 for an unknown revision', async () => {
+    const res = await request(app)
+      .post(`${API_ENDPOINTS.POSTS.REVISIONS(postId)}/9/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,125 @@
+// search.test.js - Integration tests for post search
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const dbHandler = require('../utils/dbHandler');
+const { createTestUser } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let author;
+let otherAuthor;
+const categoryId = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  await dbHandler.connect();
+  // $text queries fail until the text index exists
+  await Post.createIndexes();
+});
+
+beforeEach(async () => {
+  author = await createTestUser(TEST_USERS.VALID_USER);
+  otherAuthor = await createTestUser(TEST_USERS.ANOTHER_USER);
+
+  await Post.create([
+    {
+      title: 'Indexing strategies in MongoDB',
+      content: 'Compound indexes make sorted queries fast.',
+      author: author._id,
+      status: 'published',
+      tags: ['database'],
+      category: categoryId,
+      createdAt: new Date('2024-01-10'),
+    },
+    {
+      title: 'A week of gardening',
+      content: 'Nothing about databases here, except one mention of MongoDB in passing.',
+      author: otherAuthor._id,
+      status: 'published',
+      tags: ['garden'],
+      createdAt: new Date('2024-03-10'),
+    },
+    {
+      title: 'Testing Express apps',
+      content: 'Use supertest and an in-memory MongoDB server for integration tests.',
+      author: author._id,
+      status: 'published',
+      tags: ['testing', 'mongodb'],
+      createdAt: new Date('2024-02-10'),
+    },
+  ]);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+describe('GET /api/posts/search', () => {
+  it('should rank title matches above content matches', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.SEARCH}?q=mongodb`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(3);
+    expect(res.body.posts[0].title).toBe('Indexing strategies in MongoDB');
+    expect(res.body.posts[0].score).toBeGreaterThan(res.body.posts[2].score);
+    expect(res.body.posts[2].title).toBe('A week of gardening');
+  });
+
+  it('should return highlighted snippets', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.SEARCH}?q=supertest`);
+
+    expect(res.body.posts).toHaveLength(1);
+    expect(res.body.posts[0].highlights.content).toContain('<mark>supertest</mark>');
+    expect(res.body.posts[0].highlights.title).toBe('Testing Express apps');
+  });
+
+  it('should match stemmed words', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.SEARCH}?q=index`);
+
+    expect(res.body.posts.map((post) => post.title)).toContain('Indexing strategies in MongoDB');
+  });
+
+  it('should combine search with filters', async () => {
+    const byAuthor = await request(app)
+      .get(`${API_ENDPOINTS.POSTS.SEARCH}?q=mongodb&author=${author._id}`);
+    expect(byAuthor.body.total).toBe(2);
+
+    const byTag = await request(app)
+      .get(`${API_ENDPOINTS.POSTS.SEARCH}?q=mongodb&tag=testing`);
+    expect(byTag.body.posts.map((post) => post.title)).toEqual(['Testing Express apps']);
+
+    const byCategory = await request(app)
+      .get(`${API_ENDPOINTS.POSTS.SEARCH}?q=mongodb&category=${categoryId}`);
+    expect(byCategory.body.total).toBe(1);
+
+    const byDate = await request(app)
+      .get(`${API_ENDPOINTS.POSTS.SEARCH}?q=mongodb&from=2024-02-01&to=2024-04-01`);
+    expect(byDate.body.total).toBe(2);
+  });
+
+  it('should paginate results', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.SEARCH}?q=mongodb&limit=2`);
+
+    expect(res.body.posts).toHaveLength(2);
+    expect(res.body.pages).toBe(2);
+    expect(res.body.hasNext).toBe(true);
+    expect(res.headers.link).toContain('rel="next"');
+  });
+
+  it('should require a search term', async () => {
+    const res = await request(app).get(API_ENDPOINTS.POSTS.SEARCH);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject invalid filters', async () => {
+    const res = await request(app).get(`${API_ENDPOINTS.POSTS.SEARCH}?q=mongodb&from=yesterday`);
+
+    expect(res.status).toBe(400);
+  });
+});
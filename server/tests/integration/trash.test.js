@@ -0,0 +1,158 @@
+// trash.test.js - Integration tests for trashing and restoring posts
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+
+let author;
+let authorToken;
+let otherToken;
+let moderator;
+let moderatorToken;
+let post;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user: author, token: authorToken } = await createAuthenticatedUser(TEST_USERS.VALID_USER));
+  ({ token: otherToken } = await createAuthenticatedUser(TEST_USERS.ANOTHER_USER));
+  ({ user: moderator, token: moderatorToken } = await createAuthenticatedUser({ role: 'moderator' }));
+
+  post = await createTestPost({ title: 'Trash me', status: 'published' }, author._id);
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+// Delete the post
+const trash = (token) => request(app)
+  .delete(API_ENDPOINTS.POSTS.BY_ID(post._id))
+  .set('Authorization', `Bearer ${token}`);
+
+// List the trash
+const listTrash = (token) => request(app)
+  .get(API_ENDPOINTS.POSTS.TRASH)
+  .set('Authorization', `Bearer ${token}`);
+
+// Restore the post
+const restore = (token) => request(app)
+  .post(API_ENDPOINTS.POSTS.RESTORE(post._id))
+  .set('Authorization', `Bearer ${token}`);
+
+describe('DELETE /api/posts/:id', () => {
+  it('should move the post to the trash', async () => {
+    const res = await trash(authorToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Post moved to trash');
+
+    const trashed = await Post.findById(post._id).setOptions({ withDeleted: true });
+    expect(trashed.deletedAt).toBeDefined();
+    expect(trashed.deletedBy.toString()).toBe(author._id.toString());
+  });
+
+  it('should hide the post everywhere', async () => {
+    await trash(authorToken);
+
+    const single = await request(app).get(API_ENDPOINTS.POSTS.BY_ID(post._id));
+    const listing = await request(app).get(API_ENDPOINTS.POSTS.BASE);
+    const bySlug = await request(app).get(API_ENDPOINTS.POSTS.BY_SLUG(post.slug));
+
+    expect(single.status).toBe(404);
+    expect(listing.body.total).toBe(0);
+    expect(bySlug.status).toBe(404);
+  });
+
+  it('should return 404 for a post already in the trash', async () => {
+    await trash(authorToken);
+
+    const res = await trash(authorToken);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/posts/trash', () => {
+  beforeEach(async () => {
+    await trash(authorToken);
+  });
+
+  it('should list the user\'s trashed posts', async () => {
+    const res = await listTrash(authorToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.posts[0].title).toBe('Trash me');
+    expect(res.body.posts[0].deletedBy.username).toBe(author.username);
+  });
+
+  it('should not list other users\' trashed posts', async () => {
+    const res = await listTrash(otherToken);
+
+    expect(res.body.total).toBe(0);
+  });
+
+  it('should list every trashed post to users who can delete any post', async () => {
+    const res = await listTrash(moderatorToken);
+
+    expect(res.body.total).toBe(1);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).get(API_ENDPOINTS.POSTS.TRASH);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/posts/:id/restore', () => {
+  it('should let the author restore a post they deleted', async () => {
+    await trash(authorToken);
+
+    const res = await restore(authorToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedAt).toBeNull();
+    expect((await request(app).get(API_ENDPOINTS.POSTS.BY_ID(post._id))).status).toBe(200);
+  });
+
+  it('should not let the author undo a moderator\'s deletion', async () => {
+    await trash(moderatorToken);
+
+    const res = await restore(authorToken);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should let moderators restore any post', async () => {
+    await trash(moderatorToken);
+
+    const res = await restore(moderatorToken);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should not let other users restore the post', async () => {
+    await trash(authorToken);
+
+    const res = await restore(otherToken);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for a post that is not in the trash', async () => {
+    const res = await restore(authorToken);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,263 @@
+// users.test.js - Integration tests for user profile endpoints
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const dbHandler = require('../utils/dbHandler');
+const { createAuthenticatedUser, createTestPost } = require('../utils/testHelpers');
+const { TEST_USERS, API_ENDPOINTS } = require('../utils/testConstants');
+const { getOutbox, clearOutbox } = require('../../src/utils/mailer');
+
+const { VALID_USER } = TEST_USERS;
+
+let user;
+let token;
+
+beforeAll(async () => {
+  await dbHandler.connect();
+});
+
+beforeEach(async () => {
+  ({ user, token } = await createAuthenticatedUser(VALID_USER));
+});
+
+afterEach(async () => {
+  await dbHandler.clearDatabase();
+  clearOutbox();
+});
+
+afterAll(async () => {
+  await dbHandler.closeDatabase();
+});
+
+describe('PATCH /api/users/me', () => {
+  it('should update username, bio and avatar URL', async () => {
+    const res = await request(app)
+      .patch(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        username: 'renameduser',
+        bio: 'Writing about testing',
+        avatarUrl: 'https://example.com/avatar.png',
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe('renameduser');
+    expect(res.body.user.bio).toBe('Writing about testing');
+    expect(res.body.user.avatarUrl).toBe('https://example.com/avatar.png');
+  });
+
+  it('should ignore fields that are not editable', async () => {
+    const res = await request(app)
+      .patch(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'admin', emailVerified: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('user');
+    expect(res.body.user.emailVerified).toBe(true);
+  });
+
+  it('should require re-verification when the email changes', async () => {
+    const res = await request(app)
+      .patch(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'new@example.com', currentPassword: VALID_USER.password });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe('new@example.com');
+    expect(res.body.user.emailVerified).toBe(false);
+    expect(getOutbox()).toHaveLength(1);
+    expect(getOutbox()[0].to).toBe('new@example.com');
+  });
+
+  it('should reject an email used by another account', async () => {
+    await createAuthenticatedUser(TEST_USERS.ANOTHER_USER);
+
+    const res = await request(app)
+      .patch(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: TEST_USERS.ANOTHER_USER.email, currentPassword: VALID_USER.password });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should require the current password to change the email', async () => {
+    const missing = await request(app)
+      .patch(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'new@example.com' });
+    expect(missing.status).toBe(400);
+
+    const wrong = await request(app)
+      .patch(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'new@example.com', currentPassword: 'wrongpassword' });
+    expect(wrong.status).toBe(401);
+
+    const stored = await User.findById(user._id);
+    expect(stored.email).toBe(VALID_USER.email);
+    expect(getOutbox()).toHaveLength(0);
+  });
+
+  it('should validate supplied fields', async () => {
+    const res = await request(app)
+      .patch(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: 'ab', avatarUrl: 'javascript:alert(1)' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toHaveLength(2);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app)
+      .patch(API_ENDPOINTS.USERS.ME)
+      .send({ bio: 'Anonymous' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/users/me/password', () => {
+  it('should change the password with the current password', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.USERS.PASSWORD)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: VALID_USER.password, newPassword: 'newpassword123' });
+
+    expect(res.status).toBe(200);
+
+    const login = await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: VALID_USER.email, password: 'newpassword123' });
+    expect(login.status).toBe(200);
+  });
+
+  it('should reject a wrong current password', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.USERS.PASSWORD)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword123' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject a short new password', async () => {
+    const res = await request(app)
+      .post(API_ENDPOINTS.USERS.PASSWORD)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: VALID_USER.password, newPassword: '123' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/users/me', () => {
+  it('should schedule the account for deletion', async () => {
+    const res = await request(app)
+      .delete(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: VALID_USER.password });
+
+    expect(res.status).toBe(200);
+    expect(new Date(res.body.deletionScheduledFor).getTime()).toBeGreaterThan(Date.now());
+
+    const stored = await User.findById(user._id);
+    expect(stored).not.toBeNull();
+    expect(stored.deletionScheduledFor).toBeInstanceOf(Date);
+  });
+
+  it('should hide the profile during the grace period', async () => {
+    await request(app)
+      .delete(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: VALID_USER.password });
+
+    const res = await request(app).get(API_ENDPOINTS.USERS.PROFILE(VALID_USER.username));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should cancel deletion when the user logs in again', async () => {
+    await request(app)
+      .delete(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: VALID_USER.password });
+
+    await request(app)
+      .post(API_ENDPOINTS.AUTH.LOGIN)
+      .send({ email: VALID_USER.email, password: VALID_USER.password });
+
+    const stored = await User.findById(user._id);
+    expect(stored.deletionScheduledFor).toBeUndefined();
+  });
+
+  it('should require the password', async () => {
+    const res = await request(app)
+      .delete(API_ENDPOINTS.USERS.ME)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'wrongpassword' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/users/:username', () => {
+  it('should return the public profile with published posts only', async () => {
+    await createTestPost({ title: 'Published Post', status: 'published' }, user._id);
+    await createTestPost({ title: 'Draft Post', status: 'draft' }, user._id);
+
+    const res = await request(app).get(API_ENDPOINTS.USERS.PROFILE(VALID_USER.username));
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe(VALID_USER.username);
+    expect(res.body.user.email).toBeUndefined();
+    expect(res.body.posts).toHaveLength(1);
+    expect(res.body.posts[0].title).toBe('Published Post');
+  });
+
+  it('should clamp the page size', async () => {
+    await createTestPost({ status: 'published' }, user._id);
+    await createTestPost({ status: 'published' }, user._id);
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.USERS.PROFILE(VALID_USER.username))
+      .query({ limit: 100000 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toHaveLength(2);
+  });
+
+  it('should page the posts like other listings', async () => {
+    for (let i = 0; i < 3; i++) {
+      await createTestPost({ status: 'published' }, user._id);
+    }
+
+    const res = await request(app)
+      .get(API_ENDPOINTS.USERS.PROFILE(VALID_USER.username))
+      .query({ page: 2, limit: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, total: 3, page: 2, pages: 2, hasNext: false });
+    expect(res.body.posts).toHaveLength(1);
+    expect(res.headers.link).toContain('rel="first"');
+  });
+
+  it('should reject invalid pagination', async () => {
+    for (const query of [{ page: 0 }, { page: -1 }, { page: 'abc' }, { limit: 0 }]) {
+      const res = await request(app)
+        .get(API_ENDPOINTS.USERS.PROFILE(VALID_USER.username))
+        .query(query);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+    }
+  });
+
+  it('should return 404 for unknown users', async () => {
+    const res = await request(app).get(API_ENDPOINTS.USERS.PROFILE('nobody'));
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,76 @@
+const publishScheduledPosts = require('../../../src/jobs/publishScheduledPosts');
+const Post = require('../../../src/models/Post');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('publishScheduledPosts job', () => {
+  let user;
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    user = await createTestUser();
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  it('should publish posts whose date has passed', async () => {
+    const scheduledFor = new Date(Date.now() - 1000);
+    const post = await createTestPost({ status: 'scheduled', scheduledFor }, user._id);
+
+    const count = await publishScheduledPosts();
+    const published = await Post.findById(post._id);
+
+    expect(count).toBe(1);
+    expect(published.status).toBe('published');
+    expect(published.publishedAt).toEqual(scheduledFor);
+    expect(published.scheduledFor).toBeNull();
+  });
+
+  it('should keep the date of posts that were published before', async () => {
+    const publishedAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const post = await createTestPost({
+      status: 'scheduled',
+      scheduledFor: new Date(Date.now() - 1000),
+      publishedAt,
+    }, user._id);
+
+    const count = await publishScheduledPosts();
+    const published = await Post.findById(post._id);
+
+    expect(count).toBe(1);
+    expect(published.status).toBe('published');
+    expect(published.publishedAt).toEqual(publishedAt);
+  });
+
+  it('should keep posts scheduled for the future', async () => {
+    const post = await createTestPost({
+      status: 'scheduled',
+      scheduledFor: new Date(Date.now() + 60 * 60 * 1000),
+    }, user._id);
+
+    const count = await publishScheduledPosts();
+
+    expect(count).toBe(0);
+    expect((await Post.findById(post._id)).status).toBe('scheduled');
+  });
+
+  it('should leave drafts alone', async () => {
+    const post = await createTestPost({ status: 'draft' }, user._id);
+
+    await publishScheduledPosts();
+
+    expect((await Post.findById(post._id)).status).toBe('draft');
+  });
+});
@@ -0,0 +1,54 @@
+const purgeDeletedAccounts = require('../../../src/jobs/purgeDeletedAccounts');
+const User = require('../../../src/models/User');
+const Post = require('../../../src/models/Post');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('purgeDeletedAccounts job', () => {
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  it('should remove accounts past their grace period with their posts', async () => {
+    const user = await createTestUser({ deletionScheduledFor: new Date(Date.now() - 1000) });
+    await createTestPost({}, user._id);
+
+    const count = await purgeDeletedAccounts();
+
+    expect(count).toBe(1);
+    expect(await User.findById(user._id)).toBeNull();
+    expect(await Post.countDocuments({ author: user._id })).toBe(0);
+  });
+
+  it('should keep accounts still in their grace period', async () => {
+    const user = await createTestUser({
+      deletionScheduledFor: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    });
+
+    const count = await purgeDeletedAccounts();
+
+    expect(count).toBe(0);
+    expect(await User.findById(user._id)).not.toBeNull();
+  });
+
+  it('should keep accounts not scheduled for deletion', async () => {
+    const user = await createTestUser();
+    await createTestPost({}, user._id);
+
+    await purgeDeletedAccounts();
+
+    expect(await User.findById(user._id)).not.toBeNull();
+    expect(await Post.countDocuments({ author: user._id })).toBe(1);
+  });
+});
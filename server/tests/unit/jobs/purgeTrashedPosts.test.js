@@ -0,0 +1,75 @@
+const purgeTrashedPosts = require('../../../src/jobs/purgeTrashedPosts');
+const Post = require('../../../src/models/Post');
+const Comment = require('../../../src/models/Comment');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('purgeTrashedPosts job', () => {
+  let user;
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    user = await createTestUser();
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+    delete process.env.POST_TRASH_RETENTION_DAYS;
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  // Find a post whether or not it is in the trash
+  const findAny = (id) => Post.findById(id).setOptions({ withDeleted: true });
+
+  it('should remove posts trashed longer than the retention period', async () => {
+    const post = await createTestPost({
+      deletedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000),
+      deletedBy: user._id,
+    }, user._id);
+    await Comment.create({ post: post._id, author: user._id, content: 'Gone too' });
+
+    const count = await purgeTrashedPosts();
+
+    expect(count).toBe(1);
+    expect(await findAny(post._id)).toBeNull();
+    expect(await Comment.countDocuments({ post: post._id })).toBe(0);
+  });
+
+  it('should keep recently trashed posts', async () => {
+    const post = await createTestPost({ deletedAt: new Date(), deletedBy: user._id }, user._id);
+
+    const count = await purgeTrashedPosts();
+
+    expect(count).toBe(0);
+    expect(await findAny(post._id)).not.toBeNull();
+  });
+
+  it('should use the configured retention period', async () => {
+    process.env.POST_TRASH_RETENTION_DAYS = '1';
+    const post = await createTestPost({
+      deletedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+      deletedBy: user._id,
+    }, user._id);
+
+    await purgeTrashedPosts();
+
+    expect(await findAny(post._id)).toBeNull();
+  });
+
+  it('should leave posts that are not trashed alone', async () => {
+    const post = await createTestPost({}, user._id);
+
+    await purgeTrashedPosts();
+
+    expect(await findAny(post._id)).not.toBeNull();
+  });
+});
@@ -1,9 +1,23 @@
-const { protect, authorize } = require('../../../src/middleware/auth');
-const { generateToken } = require('../../../src/utils/auth');
+const {
+  protect,
+  optionalAuth,
+  loadPermissions,
+  allowMfaEnrollment,
+  allowApiKey,
+  can,
+  requireVerified,
+} = require('../../../src/middleware/auth');
+const { generateToken, generateMfaToken } = require('../../../src/utils/auth');
 const User = require('../../../src/models/User');
+const Session = require('../../../src/models/Session');
+const ApiKey = require('../../../src/models/ApiKey');
+const Role = require('../../../src/models/Role');
 
-// Mock User model
+// Mock the models
 jest.mock('../../../src/models/User');
+jest.mock('../../../src/models/Session');
+jest.mock('../../../src/models/ApiKey');
+jest.mock('../../../src/models/Role');
 
 describe('Auth Middleware', () => {
   let req, res, next;
@@ -21,6 +35,9 @@ describe('Auth Middleware', () => {
     next = jest.fn();
     
     User.findById = jest.fn();
+    Session.touch = jest.fn().mockResolvedValue({ _id: 'session-123' });
+    ApiKey.authenticate = jest.fn();
+    Role.getPermissions = jest.fn();
   });
 
   afterEach(() => {
@@ -36,7 +53,7 @@ describe('Auth Middleware', () => {
     };
 
     it('should authenticate user with valid token', async () => {
-      const token = generateToken(mockUser);
+      const token = generateToken(mockUser, 'session-123');
       req.headers.authorization = `Bearer ${token}`;
       
       User.findById.mockReturnValue({
@@ -86,7 +103,7 @@ describe('Auth Middleware', () => {
     });
 
     it('should reject request when user not found', async () => {
-      const token = generateToken(mockUser);
+      const token = generateToken(mockUser, 'session-123');
       req.headers.authorization = `Bearer ${token}`;
       
       User.findById.mockReturnValue({
@@ -103,7 +120,7 @@ describe('Auth Middleware', () => {
     });
 
     it('should handle database errors', async () => {
-      const token = generateToken(mockUser);
+      const token = generateToken(mockUser, 'session-123');
       req.headers.authorization = `Bearer ${token}`;
       
       User.findById.mockReturnValue({
@@ -119,8 +136,219 @@ describe('Auth Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it('should accept token whose session is active', async () => {
+      const token = generateToken(mockUser, 'session-123');
+      req.headers.authorization = `Bearer ${token}`;
+
+      Session.touch.mockResolvedValue({ _id: 'session-123' });
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(mockUser),
+      });
+
+      await protect(req, res, next);
+
+      expect(Session.touch).toHaveBeenCalledWith('session-123', { ip: undefined });
+      expect(req.sessionId).toBe('session-123');
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject token without a session', async () => {
+      req.headers.authorization = `Bearer ${generateToken(mockUser)}`;
+
+      await protect(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Not authorized to access this route',
+      });
+      expect(Session.touch).not.toHaveBeenCalled();
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject token whose session has been revoked', async () => {
+      const token = generateToken(mockUser, 'session-123');
+      req.headers.authorization = `Bearer ${token}`;
+
+      Session.touch.mockResolvedValue(null);
+
+      await protect(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Session has been revoked',
+      });
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject token issued before the password was changed', async () => {
+      const token = generateToken(mockUser, 'session-123');
+      req.headers.authorization = `Bearer ${token}`;
+
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          ...mockUser,
+          passwordChangedAt: new Date(Date.now() + 60 * 1000),
+        }),
+      });
+
+      await protect(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Password changed, please log in again',
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should accept token issued after the password was changed', async () => {
+      const token = generateToken(mockUser, 'session-123');
+      req.headers.authorization = `Bearer ${token}`;
+
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          ...mockUser,
+          passwordChangedAt: new Date(Date.now() - 60 * 1000),
+        }),
+      });
+
+      await protect(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject suspended users', async () => {
+      req.headers.authorization = `Bearer ${generateToken(mockUser, 'session-123')}`;
+
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ ...mockUser, suspendedAt: new Date() }),
+      });
+
+      await protect(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Account suspended' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject MFA challenge tokens', async () => {
+      req.headers.authorization = `Bearer ${generateMfaToken(mockUser)}`;
+
+      await protect(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    describe('with mandatory MFA', () => {
+      const mockAdmin = { ...mockUser, role: 'admin', mfaEnabled: false };
+
+      beforeEach(() => {
+        process.env.MFA_REQUIRED_ROLES = 'admin';
+        req.headers.authorization = `Bearer ${generateToken(mockAdmin, 'session-123')}`;
+      });
+
+      afterEach(() => {
+        delete process.env.MFA_REQUIRED_ROLES;
+      });
+
+      it('should reject users who have not enrolled', async () => {
+        User.findById.mockReturnValue({
+          select: jest.fn().mockResolvedValue(mockAdmin),
+        });
+
+        await protect(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Two-factor authentication must be enabled for this account',
+          mfaEnrollmentRequired: true,
+        });
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      it('should allow enrollment routes', async () => {
+        User.findById.mockReturnValue({
+          select: jest.fn().mockResolvedValue(mockAdmin),
+        });
+
+        allowMfaEnrollment(req, res, jest.fn());
+        await protect(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+      });
+
+      it('should allow users who have enrolled', async () => {
+        User.findById.mockReturnValue({
+          select: jest.fn().mockResolvedValue({ ...mockAdmin, mfaEnabled: true }),
+        });
+
+        await protect(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+      });
+    });
+
+    describe('with an API key', () => {
+      const mockKey = { user: mockUser._id, scopes: ['post:create'] };
+
+      beforeEach(() => {
+        User.findById.mockReturnValue({
+          select: jest.fn().mockResolvedValue(mockUser),
+        });
+      });
+
+      it('should accept a key from the X-API-Key header', async () => {
+        req.headers['x-api-key'] = 'mbk_abc';
+        ApiKey.authenticate.mockResolvedValue(mockKey);
+
+        allowApiKey(req, res, jest.fn());
+        await protect(req, res, next);
+
+        expect(ApiKey.authenticate).toHaveBeenCalledWith('mbk_abc');
+        expect(User.findById).toHaveBeenCalledWith(mockUser._id);
+        expect(req.apiKey).toBe(mockKey);
+        expect(next).toHaveBeenCalled();
+      });
+
+      it('should accept a key from the ApiKey authorization scheme', async () => {
+        req.headers.authorization = 'ApiKey mbk_abc';
+        ApiKey.authenticate.mockResolvedValue(mockKey);
+
+        allowApiKey(req, res, jest.fn());
+        await protect(req, res, next);
+
+        expect(ApiKey.authenticate).toHaveBeenCalledWith('mbk_abc');
+        expect(next).toHaveBeenCalled();
+      });
+
+      it('should reject unknown, revoked or expired keys', async () => {
+        req.headers['x-api-key'] = 'mbk_abc';
+        ApiKey.authenticate.mockResolvedValue(null);
+
+        allowApiKey(req, res, jest.fn());
+        await protect(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired API key' });
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      it('should reject keys on routes that do not allow them', async () => {
+        req.headers['x-api-key'] = 'mbk_abc';
+
+        await protect(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(ApiKey.authenticate).not.toHaveBeenCalled();
+        expect(next).not.toHaveBeenCalled();
+      });
+    });
+
     it('should extract token from Bearer scheme', async () => {
-      const token = generateToken(mockUser);
+      const token = generateToken(mockUser, 'session-123');
       req.headers.authorization = `Bearer ${token}`;
       
       User.findById.mockReturnValue({
@@ -134,62 +362,196 @@ describe('Auth Middleware', () => {
     });
   });
 
-  describe('authorize middleware', () => {
+  describe('optionalAuth middleware', () => {
+    const mockUser = {
+      _id: '507f1f77bcf86cd799439011',
+      username: 'testuser',
+      role: 'user',
+    };
+
+    it('should continue anonymously without credentials', async () => {
+      await optionalAuth(req, res, next);
+
+      expect(req.user).toBeNull();
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should load the user and permissions with a valid token', async () => {
+      req.headers.authorization = `Bearer ${generateToken(mockUser, 'session-123')}`;
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(mockUser),
+      });
+      Role.getPermissions.mockResolvedValue(['post:create']);
+
+      await optionalAuth(req, res, next);
+      await new Promise(setImmediate);
+
+      expect(req.user).toEqual(mockUser);
+      expect(req.permissions).toEqual(['post:create']);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject invalid credentials rather than ignore them', async () => {
+      req.headers.authorization = 'Bearer invalid.token.here';
+
+      await optionalAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('loadPermissions middleware', () => {
+    it('should load the role permissions limited to API key scopes', async () => {
+      req.user = { role: 'editor' };
+      req.apiKey = { scopes: ['post:create', 'user:manage'] };
+      Role.getPermissions.mockResolvedValue(['post:create', 'post:publish']);
+
+      await loadPermissions(req, res, next);
+
+      expect(Role.getPermissions).toHaveBeenCalledWith('editor');
+      expect(req.permissions).toEqual(['post:create']);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should pass errors to next', async () => {
+      const error = new Error('Database error');
+      req.user = { role: 'user' };
+      Role.getPermissions.mockRejectedValue(error);
+
+      await loadPermissions(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('can middleware', () => {
+    const userId = '507f1f77bcf86cd799439011';
+    const otherId = '507f1f77bcf86cd799439012';
+
     beforeEach(() => {
-      req.user = {
-        _id: '507f1f77bcf86cd799439011',
-        email: 'test@example.com',
-        username: 'testuser',
-        role: 'user',
-      };
+      req.user = { _id: userId, role: 'user' };
+      Role.getPermissions.mockResolvedValue(['post:create', 'post:update:own']);
     });
 
-    it('should allow access for authorized role', () => {
-      const middleware = authorize('user', 'admin');
-      
-      middleware(req, res, next);
+    it('should allow a directly granted permission', async () => {
+      await can('post:create')(req, res, next);
 
-      expect(next).toHaveBeenCalled();
-      expect(res.status).not.toHaveBeenCalled();
+      expect(Role.getPermissions).toHaveBeenCalledWith('user');
+      expect(req.permissions).toEqual(['post:create', 'post:update:own']);
+      expect(next).toHaveBeenCalledWith();
     });
 
-    it('should deny access for unauthorized role', () => {
-      const middleware = authorize('admin');
-      
-      middleware(req, res, next);
+    it('should deny a missing permission', async () => {
+      await can('user:manage')(req, res, next);
 
       expect(res.status).toHaveBeenCalledWith(403);
       expect(res.json).toHaveBeenCalledWith({
-        error: "User role 'user' is not authorized to access this route",
+        error: "Not authorized: requires 'user:manage' permission",
       });
       expect(next).not.toHaveBeenCalled();
     });
 
-    it('should allow admin role', () => {
-      req.user.role = 'admin';
-      const middleware = authorize('admin');
-      
-      middleware(req, res, next);
+    it('should allow everything for the wildcard permission', async () => {
+      Role.getPermissions.mockResolvedValue(['*']);
 
-      expect(next).toHaveBeenCalled();
-      expect(res.status).not.toHaveBeenCalled();
+      await can('role:manage')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
     });
 
-    it('should handle multiple allowed roles', () => {
-      const middleware = authorize('user', 'admin', 'moderator');
-      
-      middleware(req, res, next);
+    it('should allow :any without checking ownership', async () => {
+      Role.getPermissions.mockResolvedValue(['post:update:any']);
+      const ownerCheck = jest.fn();
+
+      await can('post:update', ownerCheck)(req, res, next);
+
+      expect(ownerCheck).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should allow :own for the owner', async () => {
+      const ownerCheck = jest.fn().mockResolvedValue(userId);
+
+      await can('post:update', ownerCheck)(req, res, next);
+
+      expect(ownerCheck).toHaveBeenCalledWith(req);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should deny :own for someone else', async () => {
+      const ownerCheck = jest.fn().mockResolvedValue(otherId);
+
+      await can('post:update', ownerCheck)(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should let the controller handle a missing resource', async () => {
+      const ownerCheck = jest.fn().mockResolvedValue(null);
+
+      await can('post:update', ownerCheck)(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should not check ownership without an :own permission', async () => {
+      const ownerCheck = jest.fn().mockResolvedValue(userId);
+
+      await can('post:delete', ownerCheck)(req, res, next);
+
+      expect(ownerCheck).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should limit API keys to their scopes', async () => {
+      req.apiKey = { scopes: ['post:update:own'] };
+
+      await can('post:create')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(req.permissions).toEqual(['post:update:own']);
+    });
+
+    it('should allow API keys within their scopes', async () => {
+      req.apiKey = { scopes: ['post:create'] };
+
+      await can('post:create')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should pass errors to next', async () => {
+      const error = new Error('Database error');
+      Role.getPermissions.mockRejectedValue(error);
+
+      await can('post:create')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('requireVerified middleware', () => {
+    it('should allow verified users', () => {
+      req.user = { role: 'user', emailVerified: true };
+
+      requireVerified(req, res, next);
 
       expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
     });
 
-    it('should deny access when role not in allowed list', () => {
-      req.user.role = 'guest';
-      const middleware = authorize('user', 'admin');
-      
-      middleware(req, res, next);
+    it('should reject unverified users', () => {
+      req.user = { role: 'user', emailVerified: false };
+
+      requireVerified(req, res, next);
 
       expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Please verify your email address first',
+      });
       expect(next).not.toHaveBeenCalled();
     });
   });
@@ -202,7 +564,7 @@ describe('Auth Middleware', () => {
         role: 'user',
       };
       
-      const token = generateToken(mockUser);
+      const token = generateToken(mockUser, 'session-123');
       req.headers.authorization = `Bearer ${token}`;
       
       User.findById.mockReturnValue({
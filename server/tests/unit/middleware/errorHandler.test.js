@@ -76,6 +76,20 @@ describe('Error Handler Middleware', () => {
         details: ['Email is required', 'Password is required'],
       });
     });
+
+    it('should handle VersionError as a conflict', () => {
+      const err = {
+        name: 'VersionError',
+        message: 'No matching document found for id "1" version 2',
+      };
+
+      errorHandler(err, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'The resource was changed by another request, fetch it and try again',
+      });
+    });
   });
 
   describe('JWT errors', () => {
@@ -0,0 +1,86 @@
+const ApiKey = require('../../../src/models/ApiKey');
+const User = require('../../../src/models/User');
+const { hashToken } = require('../../../src/utils/auth');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('ApiKey Model', () => {
+  let testUser;
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Create a test user before each test
+  beforeEach(async () => {
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    });
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  describe('issue', () => {
+    it('should store only the hash of the key', async () => {
+      const { key, doc } = await ApiKey.issue(testUser, { name: 'CI', scopes: ['post:create'] });
+
+      expect(key).toMatch(/^mbk_[a-f0-9]{48}$/);
+      expect(doc.prefix).toBe(key.slice(0, 10));
+
+      const stored = await ApiKey.findById(doc._id).select('+keyHash');
+      expect(stored.keyHash).toBe(hashToken(key));
+    });
+
+    it('should not expose the hash in JSON', async () => {
+      const { doc } = await ApiKey.issue(testUser, { name: 'CI', scopes: ['post:create'] });
+      const found = await ApiKey.findById(doc._id);
+
+      expect(found.toJSON().keyHash).toBeUndefined();
+    });
+
+    it('should require at least one known scope', async () => {
+      await expect(ApiKey.issue(testUser, { name: 'CI', scopes: [] })).rejects.toThrow();
+      await expect(ApiKey.issue(testUser, { name: 'CI', scopes: ['post:approve'] })).rejects.toThrow();
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should find the key and record its use', async () => {
+      const { key, doc } = await ApiKey.issue(testUser, { name: 'CI', scopes: ['post:create'] });
+
+      const found = await ApiKey.authenticate(key);
+
+      expect(found._id.toString()).toBe(doc._id.toString());
+      expect(found.lastUsedAt).toBeInstanceOf(Date);
+    });
+
+    it('should reject unknown keys', async () => {
+      expect(await ApiKey.authenticate('mbk_unknown')).toBeNull();
+      expect(await ApiKey.authenticate('not-a-key')).toBeNull();
+    });
+
+    it('should reject revoked keys', async () => {
+      const { key } = await ApiKey.issue(testUser, { name: 'CI', scopes: ['post:create'] });
+      await ApiKey.revokeAllForUser(testUser._id);
+
+      expect(await ApiKey.authenticate(key)).toBeNull();
+    });
+
+    it('should reject expired keys', async () => {
+      const { key, doc } = await ApiKey.issue(testUser, { name: 'CI', scopes: ['post:create'] });
+      await ApiKey.updateOne({ _id: doc._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await ApiKey.authenticate(key)).toBeNull();
+    });
+  });
+});
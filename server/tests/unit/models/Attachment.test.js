@@ -0,0 +1,113 @@
+const Attachment = require('../../../src/models/Attachment');
+const Post = require('../../../src/models/Post');
+const User = require('../../../src/models/User');
+const { getStorage } = require('../../../src/utils/storage');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('Attachment Model', () => {
+  let testUser;
+  let post;
+
+  // Store an attachment's files and save it
+  const createAttachment = async (postId, { image = true } = {}) => {
+    const attachment = new Attachment({
+      post: postId,
+      uploader: testUser._id,
+      originalName: image ? 'photo.png' : 'notes.pdf',
+      mimeType: image ? 'image/png' : 'application/pdf',
+      size: 4,
+    });
+    attachment.key = `attachments/${postId}/${attachment._id}.${image ? 'png' : 'pdf'}`;
+    attachment.thumbnailKey = image ? `attachments/${postId}/${attachment._id}-thumb.webp` : null;
+
+    await Promise.all(attachment.storageKeys().map((key) => getStorage().put(key, Buffer.from('data'))));
+    return attachment.save();
+  };
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Create a test user and post before each test
+  beforeEach(async () => {
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    });
+    post = await Post.create({
+      title: 'Test Post',
+      content: 'This is test post content.',
+      author: testUser._id,
+    });
+  });
+
+  // Clear database and stored files after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+    getStorage().files.clear();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  describe('toJSON', () => {
+    it('should expose URLs instead of storage keys', async () => {
+      const attachment = await createAttachment(post._id);
+
+      const json = attachment.toJSON();
+
+      expect(json.url).toBe(`/api/attachments/${attachment._id}`);
+      expect(json.thumbnailUrl).toBe(`/api/attachments/${attachment._id}/thumbnail`);
+      expect(json.key).toBeUndefined();
+      expect(json.thumbnailKey).toBeUndefined();
+    });
+
+    it('should have no thumbnail URL for documents', async () => {
+      const attachment = await createAttachment(post._id, { image: false });
+
+      expect(attachment.toJSON().thumbnailUrl).toBeNull();
+    });
+  });
+
+  describe('removeWithFiles', () => {
+    it('should delete the attachment and its files', async () => {
+      const attachment = await createAttachment(post._id);
+
+      await attachment.removeWithFiles();
+
+      expect(await Attachment.countDocuments()).toBe(0);
+      expect(getStorage().files.size).toBe(0);
+    });
+  });
+
+  describe('removeForPosts', () => {
+    it('should delete the posts\' attachments and files only', async () => {
+      const otherPost = await Post.create({
+        title: 'Other Post',
+        content: 'This is other post content.',
+        author: testUser._id,
+      });
+      await createAttachment(post._id);
+      await createAttachment(post._id, { image: false });
+      const kept = await createAttachment(otherPost._id);
+
+      await Attachment.removeForPosts([post._id]);
+
+      expect(await Attachment.find()).toHaveLength(1);
+      expect([...getStorage().files.keys()].sort()).toEqual(kept.storageKeys().sort());
+    });
+
+    it('should run when posts are purged', async () => {
+      await createAttachment(post._id);
+
+      await Post.purge({ _id: post._id });
+
+      expect(await Attachment.countDocuments()).toBe(0);
+      expect(getStorage().files.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const Category = require('../../../src/models/Category');
+const Post = require('../../../src/models/Post');
+const User = require('../../../src/models/User');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('Category Model', () => {
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  it('should generate a slug from the name', async () => {
+    const category = await Category.create({ name: 'Web Development' });
+
+    expect(category.slug).toBe('web-development');
+    expect(category.parent).toBeNull();
+  });
+
+  it('should update the slug when the name changes', async () => {
+    const category = await Category.create({ name: 'Web Development' });
+
+    category.name = 'Frontend';
+    await category.save();
+
+    expect(category.slug).toBe('frontend');
+  });
+
+  it('should add a suffix when names slugify the same', async () => {
+    const c = await Category.create({ name: 'C' });
+    const cpp = await Category.create({ name: 'C++' });
+    const cSharp = await Category.create({ name: 'C#' });
+
+    expect(c.slug).toBe('c');
+    expect(cpp.slug).toBe('c-2');
+    expect(cSharp.slug).toBe('c-3');
+  });
+
+  it('should pick the next slug when a concurrent save takes it', async () => {
+    const categories = ['C', 'C++', 'C#'].map((name) => new Category({ name }));
+
+    await Promise.all(categories.map((category) => category.saveWithUniqueSlug()));
+
+    expect(categories.map((category) => category.slug).sort()).toEqual(['c', 'c-2', 'c-3']);
+  });
+
+  it('should keep its own slug when renamed to a similar name', async () => {
+    const category = await Category.create({ name: 'C' });
+
+    category.name = 'C++';
+    await category.save();
+
+    expect(category.slug).toBe('c');
+  });
+
+  it('should require a unique name', async () => {
+    await Category.create({ name: 'News' });
+
+    await expect(Category.create({ name: 'News' })).rejects.toThrow();
+  });
+
+  describe('canHaveParent', () => {
+    it('should allow an existing unrelated category', async () => {
+      const parent = await Category.create({ name: 'Programming' });
+      const child = await Category.create({ name: 'JavaScript' });
+
+      expect(await child.canHaveParent(parent._id)).toBe(true);
+    });
+
+    it('should reject itself and its descendants', async () => {
+      const root = await Category.create({ name: 'Programming' });
+      const child = await Category.create({ name: 'JavaScript', parent: root._id });
+      const grandchild = await Category.create({ name: 'React', parent: child._id });
+
+      expect(await root.canHaveParent(root._id)).toBe(false);
+      expect(await root.canHaveParent(grandchild._id)).toBe(false);
+    });
+
+    it('should reject unknown parents', async () => {
+      const category = await Category.create({ name: 'Programming' });
+
+      expect(await category.canHaveParent('507f1f77bcf86cd799439011')).toBe(false);
+    });
+  });
+
+  describe('countPosts', () => {
+    it('should count published posts per category', async () => {
+      const author = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+      });
+      const news = await Category.create({ name: 'News' });
+      const empty = await Category.create({ name: 'Empty' });
+      await Post.create([
+        { title: 'First news', content: 'Some news content here', author: author._id, category: news._id, status: 'published' },
+        { title: 'Second news', content: 'More news content here', author: author._id, category: news._id, status: 'published' },
+        { title: 'Draft news', content: 'Unfinished news content', author: author._id, category: news._id, status: 'draft' },
+        { title: 'Archived news', content: 'Old news content here', author: author._id, category: empty._id, status: 'archived' },
+      ]);
+
+      const counts = await Category.countPosts([news._id, empty._id]);
+
+      expect(counts.get(news._id.toString())).toBe(2);
+      expect(counts.has(empty._id.toString())).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const Comment = require('../../../src/models/Comment');
+const Post = require('../../../src/models/Post');
+const User = require('../../../src/models/User');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('Comment Model', () => {
+  let testUser;
+  let post;
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Create a test user and post before each test
+  beforeEach(async () => {
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    });
+    post = await Post.create({
+      title: 'Test Post',
+      content: 'This is test post content.',
+      author: testUser._id,
+    });
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+    delete process.env.COMMENT_EDIT_WINDOW_MINUTES;
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const createComment = (data = {}) => Comment.create({
+    post: post._id,
+    author: testUser._id,
+    content: 'A comment',
+    ...data,
+  });
+
+  describe('Comment creation', () => {
+    it('should create an approved top-level comment by default', async () => {
+      const comment = await createComment();
+
+      expect(comment.status).toBe('approved');
+      expect(comment.parent).toBeNull();
+      expect(comment.ancestors).toHaveLength(0);
+    });
+
+    it('should require content', async () => {
+      await expect(createComment({ content: '' })).rejects.toThrow('Comment is required');
+    });
+
+    it('should reject overly long content', async () => {
+      await expect(createComment({ content: 'a'.repeat(5001) })).rejects.toThrow();
+    });
+  });
+
+  describe('isEditable', () => {
+    it('should allow edits within the window', async () => {
+      const comment = await createComment();
+
+      expect(comment.isEditable()).toBe(true);
+    });
+
+    it('should refuse edits after the window', async () => {
+      process.env.COMMENT_EDIT_WINDOW_MINUTES = '5';
+      const comment = await createComment();
+      comment.createdAt = new Date(Date.now() - 6 * 60 * 1000);
+
+      expect(comment.isEditable()).toBe(false);
+    });
+  });
+
+  describe('removeFromThread', () => {
+    it('should delete a comment without replies', async () => {
+      const comment = await createComment();
+
+      await comment.removeFromThread();
+
+      expect(await Comment.findById(comment._id)).toBeNull();
+    });
+
+    it('should keep a placeholder for a comment with replies', async () => {
+      const comment = await createComment();
+      await createComment({ parent: comment._id, ancestors: [comment._id] });
+
+      await comment.removeFromThread();
+
+      const placeholder = await Comment.findById(comment._id);
+      expect(placeholder.deletedAt).toBeInstanceOf(Date);
+      expect(placeholder.content).toBeUndefined();
+      expect(placeholder.toJSON().author).toBeUndefined();
+    });
+  });
+
+  it('should be deleted with its post', async () => {
+    await createComment();
+
+    await Post.purge({ _id: post._id });
+
+    expect(await Comment.countDocuments()).toBe(0);
+  });
+});
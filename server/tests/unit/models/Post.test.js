@@ -44,7 +44,7 @@ describe('Post Model', () => {
       expect(post.title).toBe(postData.title);
       expect(post.content).toBe(postData.content);
       expect(post.author.toString()).toBe(testUser._id.toString());
-      expect(post.published).toBe(false); // Default value
+      expect(post.status).toBe('draft'); // Default value
       expect(post.createdAt).toBeDefined();
       expect(post.updatedAt).toBeDefined();
     });
@@ -210,6 +210,35 @@ describe('Post Model', () => {
   });
 
   describe('Post slug generation', () => {
+    it('should pick the next slug when a concurrent save takes it', async () => {
+      const posts = Array.from({ length: 3 }, () => new Post({
+        title: 'Same Title',
+        content: 'This is test post content.',
+        author: testUser._id,
+      }));
+
+      await Promise.all(posts.map((post) => post.saveWithUniqueSlug()));
+
+      expect(posts.map((post) => post.slug).sort()).toEqual(['same-title', 'same-title-2', 'same-title-3']);
+    });
+
+    it('should not retry a chosen slug that is taken', async () => {
+      await Post.create({
+        title: 'First',
+        content: 'This is test post content.',
+        author: testUser._id,
+        slug: 'taken',
+      });
+      const post = new Post({
+        title: 'Second',
+        content: 'This is test post content.',
+        author: testUser._id,
+        slug: 'taken',
+      });
+
+      await expect(post.saveWithUniqueSlug()).rejects.toMatchObject({ code: 11000 });
+    });
+
     it('should not regenerate slug if already set', async () => {
       const postData = {
         title: 'Test Post',
@@ -240,6 +269,79 @@ describe('Post Model', () => {
       expect(post.slug).toBe('updated-title');
     });
 
+    it('should suffix slugs that are already taken', async () => {
+      const postData = {
+        title: 'Same Title',
+        content: 'This is test post content.',
+        author: testUser._id,
+      };
+
+      const first = await Post.create(postData);
+      const second = await Post.create(postData);
+      const third = await Post.create(postData);
+
+      expect(first.slug).toBe('same-title');
+      expect(second.slug).toBe('same-title-2');
+      expect(third.slug).toBe('same-title-3');
+    });
+
+    it('should keep old slugs in the history', async () => {
+      const post = await Post.create({
+        title: 'Original Title',
+        content: 'This is test post content.',
+        author: testUser._id,
+      });
+
+      post.title = 'Updated Title';
+      await post.save();
+
+      expect(post.slugHistory).toEqual(['original-title']);
+    });
+
+    it('should not reuse slugs from another post\'s history', async () => {
+      const renamed = await Post.create({
+        title: 'Original Title',
+        content: 'This is test post content.',
+        author: testUser._id,
+      });
+      renamed.title = 'Updated Title';
+      await renamed.save();
+
+      const post = await Post.create({
+        title: 'Original Title',
+        content: 'This is another post content.',
+        author: testUser._id,
+      });
+
+      expect(post.slug).toBe('original-title-2');
+    });
+
+    it('should reuse its own old slug when renamed back', async () => {
+      const post = await Post.create({
+        title: 'Original Title',
+        content: 'This is test post content.',
+        author: testUser._id,
+      });
+
+      post.title = 'Updated Title';
+      await post.save();
+      post.title = 'Original Title';
+      await post.save();
+
+      expect(post.slug).toBe('original-title');
+      expect(post.slugHistory).toEqual(['updated-title']);
+    });
+
+    it('should fall back to a generic slug for untransliterable titles', async () => {
+      const post = await Post.create({
+        title: '日本語のタイトル',
+        content: 'This is test post content.',
+        author: testUser._id,
+      });
+
+      expect(post.slug).toBe('post');
+    });
+
     it('should convert slug to lowercase', async () => {
       const postData = {
         title: 'Test POST Title',
@@ -254,30 +356,221 @@ describe('Post Model', () => {
     });
   });
 
-  describe('Post published status', () => {
-    it('should default to unpublished', async () => {
-      const postData = {
-        title: 'Test Post',
+  describe('Post status', () => {
+    const postData = () => ({
+      title: 'Test Post',
+      content: 'This is test post content.',
+      author: testUser._id,
+    });
+
+    it('should default to a draft', async () => {
+      const post = await Post.create(postData());
+
+      expect(post.status).toBe('draft');
+      expect(post.publishedAt).toBeNull();
+      expect(post.scheduledFor).toBeNull();
+    });
+
+    it('should reject unknown statuses', async () => {
+      await expect(Post.create({ ...postData(), status: 'hidden' })).rejects.toThrow();
+    });
+
+    it('should set publishedAt when published', async () => {
+      const post = await Post.create({ ...postData(), status: 'published' });
+
+      expect(post.publishedAt).toBeInstanceOf(Date);
+    });
+
+    it('should keep the first publishedAt when republished', async () => {
+      const post = await Post.create({ ...postData(), status: 'published' });
+      const { publishedAt } = post;
+
+      post.transition('archive');
+      await post.save();
+      post.transition('publish');
+      await post.save();
+
+      expect(post.publishedAt).toEqual(publishedAt);
+    });
+
+    it('should require a date for scheduled posts', async () => {
+      await expect(Post.create({ ...postData(), status: 'scheduled' })).rejects.toThrow(
+        'Scheduled posts need a publication date'
+      );
+    });
+
+    it('should follow allowed transitions', async () => {
+      const post = await Post.create(postData());
+      const scheduledFor = new Date(Date.now() + 60 * 60 * 1000);
+
+      expect(post.transition('submit')).toBe(true);
+      expect(post.status).toBe('review');
+      expect(post.transition('schedule', { scheduledFor })).toBe(true);
+      expect(post.status).toBe('scheduled');
+      expect(post.scheduledFor).toEqual(scheduledFor);
+    });
+
+    it('should refuse transitions from the wrong status', async () => {
+      const post = await Post.create(postData());
+
+      expect(post.transition('archive')).toBe(false);
+      expect(post.transition('unknown')).toBe(false);
+      expect(post.status).toBe('draft');
+    });
+
+    it('should clear the schedule when unpublished', async () => {
+      const post = await Post.create({
+        ...postData(),
+        status: 'scheduled',
+        scheduledFor: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      post.transition('unpublish');
+      await post.save();
+
+      expect(post.status).toBe('draft');
+      expect(post.scheduledFor).toBeNull();
+    });
+  });
+
+  describe('Post rendering', () => {
+    it('should render the content and derive an excerpt and reading time', async () => {
+      const post = await Post.create({
+        title: 'Markdown Post',
+        content: '# Heading\n\nSome **bold** text <script>alert(1)</script>',
+        author: testUser._id,
+      });
+
+      expect(post.contentHtml).toBe('<h1>Heading</h1>\n<p>Some <strong>bold</strong> text </p>\n');
+      expect(post.excerpt).toBe('Heading Some bold text');
+      expect(post.readingTime).toBe(1);
+    });
+
+    it('should render again when the content changes', async () => {
+      const post = await Post.create({
+        title: 'Markdown Post',
+        content: 'First version of the post',
+        author: testUser._id,
+      });
+
+      post.content = 'Second _version_ of the post';
+      await post.save();
+
+      expect(post.contentHtml).toBe('<p>Second <em>version</em> of the post</p>\n');
+      expect(post.excerpt).toBe('Second version of the post');
+    });
+
+    it('should leave the rendered HTML out of queries and JSON', async () => {
+      const post = await Post.create({
+        title: 'Markdown Post',
+        content: 'Some **bold** text',
+        author: testUser._id,
+      });
+
+      expect(post.toJSON().contentHtml).toBeUndefined();
+      expect((await Post.findById(post._id)).contentHtml).toBeUndefined();
+      expect((await Post.findById(post._id).select('+contentHtml')).contentHtml).toContain('<strong>');
+    });
+  });
+
+  describe('Post version', () => {
+    let post;
+
+    beforeEach(async () => {
+      post = await Post.create({
+        title: 'Versioned Post',
         content: 'This is test post content.',
         author: testUser._id,
-      };
+      });
+    });
 
-      const post = await Post.create(postData);
+    it('should start at version 0', () => {
+      expect(post.version).toBe(0);
+    });
 
-      expect(post.published).toBe(false);
+    it('should bump the version on every save', async () => {
+      post.title = 'Versioned Post Renamed';
+      await post.save();
+
+      post.commentsEnabled = false;
+      await post.save();
+
+      expect(post.version).toBe(2);
     });
 
-    it('should allow setting published status', async () => {
-      const postData = {
-        title: 'Test Post',
+    it('should refuse to save over a newer version', async () => {
+      const stale = await Post.findById(post._id);
+
+      post.title = 'Saved First';
+      await post.save();
+
+      stale.title = 'Saved Second';
+      await expect(stale.save()).rejects.toThrow(mongoose.Error.VersionError);
+    });
+  });
+
+  describe('Post trash', () => {
+    let post;
+
+    beforeEach(async () => {
+      post = await Post.create({
+        title: 'Trashed Post',
         content: 'This is test post content.',
         author: testUser._id,
-        published: true,
-      };
+      });
+    });
 
-      const post = await Post.create(postData);
+    it('should record who trashed the post and when', async () => {
+      await post.trash(testUser._id);
+
+      expect(post.deletedAt).toBeInstanceOf(Date);
+      expect(post.deletedBy.toString()).toBe(testUser._id.toString());
+    });
+
+    it('should leave trashed posts out of queries', async () => {
+      await post.trash(testUser._id);
+
+      expect(await Post.findById(post._id)).toBeNull();
+      expect(await Post.find()).toHaveLength(0);
+      expect(await Post.countDocuments()).toBe(0);
+      expect(await Post.aggregate([{ $match: {} }])).toHaveLength(0);
+    });
+
+    it('should find trashed posts when asked to', async () => {
+      await post.trash(testUser._id);
+
+      expect(await Post.findOne({ _id: post._id, deletedAt: { $ne: null } })).not.toBeNull();
+      expect(await Post.find().setOptions({ withDeleted: true })).toHaveLength(1);
+    });
+
+    it('should restore a trashed post', async () => {
+      await post.trash(testUser._id);
+
+      await post.restore();
+
+      expect(post.deletedAt).toBeNull();
+      expect(post.deletedBy).toBeNull();
+      expect(await Post.findById(post._id)).not.toBeNull();
+    });
+
+    it('should keep the slug of a trashed post reserved', async () => {
+      await post.trash(testUser._id);
+
+      const another = await Post.create({
+        title: 'Trashed Post',
+        content: 'This is another post content.',
+        author: testUser._id,
+      });
+
+      expect(another.slug).toBe('trashed-post-2');
+    });
+
+    it('should purge trashed posts', async () => {
+      await post.trash(testUser._id);
+
+      await Post.purge({ author: testUser._id });
 
-      expect(post.published).toBe(true);
+      expect(await Post.find().setOptions({ withDeleted: true })).toHaveLength(0);
     });
   });
 
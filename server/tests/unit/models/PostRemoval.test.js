@@ -0,0 +1,74 @@
+const PostRemoval = require('../../../src/models/PostRemoval');
+const Post = require('../../../src/models/Post');
+const Category = require('../../../src/models/Category');
+const User = require('../../../src/models/User');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('PostRemoval Model', () => {
+  let testUser;
+  let category;
+  let post;
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Create a test user and post before each test
+  beforeEach(async () => {
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    });
+    category = await Category.create({ name: 'News' });
+    post = await Post.create({
+      title: 'Test Post',
+      content: 'This is test post content.',
+      author: testUser._id,
+      category: category._id,
+      status: 'published',
+    });
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  describe('lastRemovedAt', () => {
+    it('should return null when nothing was removed', async () => {
+      expect(await PostRemoval.lastRemovedAt({})).toBeNull();
+    });
+
+    it('should find removals by author and category', async () => {
+      await PostRemoval.record([post]);
+
+      expect(await PostRemoval.lastRemovedAt({})).toBeInstanceOf(Date);
+      expect(await PostRemoval.lastRemovedAt({ author: testUser._id })).toBeInstanceOf(Date);
+      expect(await PostRemoval.lastRemovedAt({ category: category._id })).toBeInstanceOf(Date);
+      expect(await PostRemoval.lastRemovedAt({ category: null })).toBeNull();
+    });
+  });
+
+  it('should be recorded when posts are purged', async () => {
+    await Post.purge({ _id: post._id });
+
+    const removal = await PostRemoval.findOne({ post: post._id });
+
+    expect(removal.author.toString()).toBe(testUser._id.toString());
+    expect(removal.category.toString()).toBe(category._id.toString());
+    expect(removal.removedAt).toBeInstanceOf(Date);
+  });
+
+  it('should record nothing for an empty list', async () => {
+    await PostRemoval.record([]);
+
+    expect(await PostRemoval.countDocuments()).toBe(0);
+  });
+});
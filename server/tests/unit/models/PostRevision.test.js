@@ -0,0 +1,108 @@
+const PostRevision = require('../../../src/models/PostRevision');
+const Post = require('../../../src/models/Post');
+const User = require('../../../src/models/User');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('PostRevision Model', () => {
+  let testUser;
+  let post;
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Create a test user and post before each test
+  beforeEach(async () => {
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    });
+    post = await Post.create({
+      title: 'Test Post',
+      content: 'This is test post content.',
+      author: testUser._id,
+      tags: ['node'],
+    });
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+    delete process.env.POST_REVISION_LIMIT;
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  describe('record', () => {
+    it('should snapshot the post', async () => {
+      const revision = await PostRevision.record(post, testUser._id);
+
+      expect(revision.number).toBe(1);
+      expect(revision.title).toBe('Test Post');
+      expect(revision.content).toBe('This is test post content.');
+      expect([...revision.tags]).toEqual(['node']);
+      expect(revision.editor.toString()).toBe(testUser._id.toString());
+      expect(revision.createdAt).toBeDefined();
+    });
+
+    it('should number revisions per post', async () => {
+      await PostRevision.record(post, testUser._id);
+      const second = await PostRevision.record(post, testUser._id);
+      const other = await Post.create({
+        title: 'Other Post',
+        content: 'This is other post content.',
+        author: testUser._id,
+      });
+      const otherFirst = await PostRevision.record(other, testUser._id);
+
+      expect(second.number).toBe(2);
+      expect(otherFirst.number).toBe(1);
+    });
+
+    it('should drop the oldest revisions beyond the limit', async () => {
+      process.env.POST_REVISION_LIMIT = '2';
+
+      await PostRevision.record(post, testUser._id);
+      await PostRevision.record(post, testUser._id);
+      await PostRevision.record(post, testUser._id);
+
+      const numbers = (await PostRevision.find({ post: post._id }).sort({ number: 1 }))
+        .map((revision) => revision.number);
+      expect(numbers).toEqual([2, 3]);
+    });
+  });
+
+  describe('ensureHistory', () => {
+    it('should record the current version of a post without revisions', async () => {
+      await PostRevision.ensureHistory(post);
+
+      const revisions = await PostRevision.find({ post: post._id });
+      expect(revisions).toHaveLength(1);
+      expect(revisions[0].editor.toString()).toBe(testUser._id.toString());
+    });
+
+    it('should do nothing once a post has revisions', async () => {
+      await PostRevision.record(post, testUser._id);
+
+      await PostRevision.ensureHistory(post);
+
+      expect(await PostRevision.countDocuments({ post: post._id })).toBe(1);
+    });
+  });
+
+  describe('Post.purge', () => {
+    it('should delete revisions with their post', async () => {
+      await PostRevision.record(post, testUser._id);
+
+      await Post.purge({ _id: post._id });
+
+      expect(await Post.findById(post._id)).toBeNull();
+      expect(await PostRevision.countDocuments({ post: post._id })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const Reaction = require('../../../src/models/Reaction');
+const Post = require('../../../src/models/Post');
+const User = require('../../../src/models/User');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('Reaction Model', () => {
+  let testUser;
+  let otherUser;
+  let post;
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+    // Concurrency relies on the unique index existing
+    await Reaction.createIndexes();
+  });
+
+  // Create test users and a post before each test
+  beforeEach(async () => {
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    });
+    otherUser = await User.create({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'password123',
+    });
+    post = await Post.create({
+      title: 'Test Post',
+      content: 'This is test post content.',
+      author: testUser._id,
+    });
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const counts = async () => {
+    const { likeCount, bookmarkCount } = await Post.findById(post._id);
+    return { likeCount, bookmarkCount };
+  };
+
+  describe('add', () => {
+    it('should add a reaction and count it', async () => {
+      expect(await Reaction.add(testUser._id, post._id, 'like')).toBe(true);
+
+      expect(await counts()).toEqual({ likeCount: 1, bookmarkCount: 0 });
+    });
+
+    it('should count a reaction only once', async () => {
+      await Reaction.add(testUser._id, post._id, 'like');
+
+      expect(await Reaction.add(testUser._id, post._id, 'like')).toBe(false);
+      expect(await counts()).toEqual({ likeCount: 1, bookmarkCount: 0 });
+    });
+
+    it('should stay consistent under concurrent requests', async () => {
+      await Promise.all([
+        ...Array.from({ length: 5 }, () => Reaction.add(testUser._id, post._id, 'like')),
+        ...Array.from({ length: 5 }, () => Reaction.add(otherUser._id, post._id, 'like')),
+      ]);
+
+      expect((await counts()).likeCount).toBe(2);
+      expect(await Reaction.countDocuments({ post: post._id })).toBe(2);
+    });
+
+    it('should not touch the post updatedAt', async () => {
+      await Reaction.add(testUser._id, post._id, 'bookmark');
+
+      expect((await Post.findById(post._id)).updatedAt).toEqual(post.updatedAt);
+    });
+  });
+
+  describe('remove', () => {
+    it('should remove a reaction and uncount it', async () => {
+      await Reaction.add(testUser._id, post._id, 'like');
+
+      expect(await Reaction.remove(testUser._id, post._id, 'like')).toBe(true);
+      expect(await counts()).toEqual({ likeCount: 0, bookmarkCount: 0 });
+    });
+
+    it('should do nothing without the reaction', async () => {
+      expect(await Reaction.remove(testUser._id, post._id, 'like')).toBe(false);
+      expect((await counts()).likeCount).toBe(0);
+    });
+  });
+
+  describe('removeForUsers', () => {
+    it('should remove the users reactions and uncount them', async () => {
+      await Reaction.add(testUser._id, post._id, 'like');
+      await Reaction.add(testUser._id, post._id, 'bookmark');
+      await Reaction.add(otherUser._id, post._id, 'like');
+
+      await Reaction.removeForUsers([testUser._id]);
+
+      expect(await counts()).toEqual({ likeCount: 1, bookmarkCount: 0 });
+      expect(await Reaction.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('findReacted', () => {
+    it('should return the posts the user reacted to', async () => {
+      const other = await Post.create({
+        title: 'Other Post',
+        content: 'This is other post content.',
+        author: testUser._id,
+      });
+      await Reaction.add(testUser._id, post._id, 'like');
+
+      const liked = await Reaction.findReacted(testUser._id, [post._id, other._id], 'like');
+
+      expect(liked).toEqual(new Set([post._id.toString()]));
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const RefreshToken = require('../../../src/models/RefreshToken');
+const User = require('../../../src/models/User');
+const { hashToken } = require('../../../src/utils/auth');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('RefreshToken Model', () => {
+  let testUser;
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Create a test user before each test
+  beforeEach(async () => {
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    });
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  describe('issue', () => {
+    it('should store the hash of the issued token', async () => {
+      const { token, doc } = await RefreshToken.issue(testUser, { family: 'session-1' });
+
+      expect(doc.tokenHash).toBe(hashToken(token));
+      expect(doc.user.toString()).toBe(testUser._id.toString());
+      expect(doc.family).toBe('session-1');
+      expect(doc.revokedAt).toBeNull();
+      expect(doc.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should require a session family', async () => {
+      await expect(RefreshToken.issue(testUser)).rejects.toThrow('Token family is required');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const Role = require('../../../src/models/Role');
+const User = require('../../../src/models/User');
+const { DEFAULT_ROLES } = require('../../../src/config/permissions');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('Role Model', () => {
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Clear database and permission cache after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+    Role.clearCache();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  describe('ensureDefaults', () => {
+    it('should create the built-in roles', async () => {
+      await Role.ensureDefaults();
+
+      const roles = await Role.find();
+      expect(roles.map((role) => role.name).sort()).toEqual(Object.keys(DEFAULT_ROLES).sort());
+      expect(roles.every((role) => role.builtIn)).toBe(true);
+    });
+
+    it('should not overwrite edited built-in roles', async () => {
+      await Role.ensureDefaults();
+      await Role.updateOne({ name: 'author' }, { permissions: ['post:create'] });
+
+      await Role.ensureDefaults();
+
+      const author = await Role.findOne({ name: 'author' });
+      expect(author.permissions).toEqual(['post:create']);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject unknown permissions', async () => {
+      await expect(
+        Role.create({ name: 'reviewer', permissions: ['post:approve'] })
+      ).rejects.toThrow('Unknown permission');
+    });
+
+    it('should reject invalid names', async () => {
+      await expect(Role.create({ name: '1 bad name' })).rejects.toThrow();
+    });
+  });
+
+  describe('getPermissions', () => {
+    it('should return stored permissions', async () => {
+      await Role.create({ name: 'reviewer', permissions: ['post:publish'] });
+
+      expect(await Role.getPermissions('reviewer')).toEqual(['post:publish']);
+    });
+
+    it('should fall back to built-in roles', async () => {
+      expect(await Role.getPermissions('editor')).toEqual(DEFAULT_ROLES.editor.permissions);
+    });
+
+    it('should return no permissions for unknown roles', async () => {
+      expect(await Role.getPermissions('nobody')).toEqual([]);
+    });
+
+    it('should cache until cleared', async () => {
+      const role = await Role.create({ name: 'reviewer', permissions: ['post:publish'] });
+      await Role.getPermissions('reviewer');
+
+      role.permissions = ['post:create'];
+      await role.save();
+      expect(await Role.getPermissions('reviewer')).toEqual(['post:publish']);
+
+      Role.clearCache();
+      expect(await Role.getPermissions('reviewer')).toEqual(['post:create']);
+    });
+  });
+
+  describe('user roles', () => {
+    it('should accept custom roles on users', async () => {
+      await Role.create({ name: 'reviewer', permissions: [] });
+
+      const user = await User.create({
+        username: 'reviewer',
+        email: 'reviewer@example.com',
+        password: 'password123',
+        role: 'reviewer',
+      });
+
+      expect(user.role).toBe('reviewer');
+    });
+
+    it('should reject roles that do not exist', async () => {
+      await expect(User.create({
+        username: 'nobody',
+        email: 'nobody@example.com',
+        password: 'password123',
+        role: 'nobody',
+      })).rejects.toThrow('Invalid role');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const Session = require('../../../src/models/Session');
+const RefreshToken = require('../../../src/models/RefreshToken');
+const User = require('../../../src/models/User');
+const dbHandler = require('../../utils/dbHandler');
+
+describe('Session Model', () => {
+  let testUser;
+
+  // Connect to test database before tests
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  // Create a test user before each test
+  beforeEach(async () => {
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    });
+  });
+
+  // Clear database after each test
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  // Close database connection after tests
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  describe('start', () => {
+    it('should record the device and expiry', async () => {
+      const session = await Session.start(testUser, { userAgent: 'Mozilla/5.0', ip: '10.0.0.1' });
+
+      expect(session.user.toString()).toBe(testUser._id.toString());
+      expect(session.userAgent).toBe('Mozilla/5.0');
+      expect(session.ip).toBe('10.0.0.1');
+      expect(session.lastSeenAt).toBeInstanceOf(Date);
+      expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('touch', () => {
+    it('should return an active session', async () => {
+      const session = await Session.start(testUser);
+
+      expect(await Session.touch(session.id)).not.toBeNull();
+    });
+
+    it('should update lastSeenAt once it is stale', async () => {
+      const session = await Session.start(testUser);
+      const stale = new Date(Date.now() - 5 * 60 * 1000);
+      await Session.updateOne({ _id: session._id }, { lastSeenAt: stale });
+
+      await Session.touch(session.id, { ip: '10.0.0.2' });
+
+      const updated = await Session.findById(session._id);
+      expect(updated.lastSeenAt.getTime()).toBeGreaterThan(stale.getTime());
+      expect(updated.ip).toBe('10.0.0.2');
+    });
+
+    it('should return null for revoked, expired or unknown sessions', async () => {
+      const revoked = await Session.start(testUser);
+      await Session.revoke(revoked.id);
+
+      const expired = await Session.start(testUser);
+      await Session.updateOne({ _id: expired._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await Session.touch(revoked.id)).toBeNull();
+      expect(await Session.touch(expired.id)).toBeNull();
+      expect(await Session.touch('not-an-id')).toBeNull();
+    });
+  });
+
+  describe('revoke', () => {
+    it('should revoke the session and its refresh tokens', async () => {
+      const session = await Session.start(testUser);
+      await RefreshToken.issue(testUser, { family: session.id });
+
+      await Session.revoke(session.id);
+
+      expect((await Session.findById(session._id)).revokedAt).toBeInstanceOf(Date);
+      expect(await RefreshToken.countDocuments({ family: session.id, revokedAt: null })).toBe(0);
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    it('should keep the excepted session', async () => {
+      const current = await Session.start(testUser);
+      const other = await Session.start(testUser);
+      await RefreshToken.issue(testUser, { family: other.id });
+
+      const count = await Session.revokeAllForUser(testUser._id, { except: current.id });
+
+      expect(count).toBe(1);
+      expect(await Session.touch(current.id)).not.toBeNull();
+      expect(await Session.touch(other.id)).toBeNull();
+      expect(await RefreshToken.countDocuments({ revokedAt: null })).toBe(0);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const User = require('../../../src/models/User');
-const { hashPassword, comparePassword } = require('../../../src/utils/auth');
+const Post = require('../../../src/models/Post');
+const { hashPassword, comparePassword, hashToken } = require('../../../src/utils/auth');
+const totp = require('../../../src/utils/totp');
 const dbHandler = require('../../utils/dbHandler');
 
 describe('User Model', () => {
@@ -282,6 +284,249 @@ describe('User Model', () => {
     });
   });
 
+  describe('Password reset', () => {
+    const userData = {
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    };
+
+    it('should store only the hash of the reset token', async () => {
+      const user = await User.create(userData);
+
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      const stored = await User.findById(user._id).select('+passwordResetToken +passwordResetExpires');
+      expect(stored.passwordResetToken).toBe(hashToken(token));
+      expect(stored.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not expose reset fields in toJSON', async () => {
+      const user = await User.create(userData);
+      user.createPasswordResetToken();
+
+      const userJSON = user.toJSON();
+
+      expect(userJSON.passwordResetToken).toBeUndefined();
+      expect(userJSON.passwordResetExpires).toBeUndefined();
+    });
+
+    it('should not set passwordChangedAt on creation', async () => {
+      const user = await User.create(userData);
+
+      expect(user.passwordChangedAt).toBeUndefined();
+    });
+
+    it('should set passwordChangedAt when password changes', async () => {
+      const user = await User.create(userData);
+      const userToUpdate = await User.findById(user._id).select('+password');
+
+      userToUpdate.password = 'newpassword123';
+      await userToUpdate.save();
+
+      expect(userToUpdate.passwordChangedAt).toBeInstanceOf(Date);
+      expect(userToUpdate.passwordChangedAt.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+  });
+
+  describe('Email verification', () => {
+    const userData = {
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    };
+
+    it('should default to unverified', async () => {
+      const user = await User.create(userData);
+
+      expect(user.emailVerified).toBe(false);
+    });
+
+    it('should store only the hash of the verification token', async () => {
+      const user = await User.create(userData);
+
+      const token = user.createEmailVerificationToken();
+      await user.save();
+
+      const stored = await User.findById(user._id)
+        .select('+emailVerificationToken +emailVerificationExpires +emailVerificationSentAt');
+      expect(stored.emailVerificationToken).toBe(hashToken(token));
+      expect(stored.emailVerificationExpires.getTime()).toBeGreaterThan(Date.now());
+      expect(stored.emailVerificationSentAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('Login lockout', () => {
+    const userData = {
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    };
+
+    beforeEach(() => {
+      process.env.LOGIN_MAX_ATTEMPTS = '3';
+      process.env.LOGIN_LOCK_MINUTES = '10';
+    });
+
+    afterEach(() => {
+      delete process.env.LOGIN_MAX_ATTEMPTS;
+      delete process.env.LOGIN_LOCK_MINUTES;
+    });
+
+    it('should count failed logins without locking below the limit', async () => {
+      const user = await User.create(userData);
+
+      expect(await user.registerFailedLogin()).toBeNull();
+      expect(await user.registerFailedLogin()).toBeNull();
+
+      const updated = await User.findById(user._id);
+      expect(updated.failedLoginAttempts).toBe(2);
+      expect(updated.getLockRemaining()).toBe(0);
+    });
+
+    it('should lock the account when the limit is reached', async () => {
+      const user = await User.create(userData);
+
+      await user.registerFailedLogin();
+      await user.registerFailedLogin();
+      const lockUntil = await user.registerFailedLogin();
+
+      expect(lockUntil).toBeInstanceOf(Date);
+
+      const updated = await User.findById(user._id);
+      expect(updated.failedLoginAttempts).toBe(0);
+      expect(updated.lockCount).toBe(1);
+      expect(updated.getLockRemaining()).toBeGreaterThan(9 * 60);
+    });
+
+    it('should double the lock period on each lockout', async () => {
+      const user = await User.create({ ...userData, lockCount: 2 });
+
+      await user.registerFailedLogin();
+      await user.registerFailedLogin();
+      await user.registerFailedLogin();
+
+      const updated = await User.findById(user._id);
+      expect(updated.getLockRemaining()).toBeGreaterThan(39 * 60);
+      expect(updated.getLockRemaining()).toBeLessThanOrEqual(40 * 60);
+    });
+
+    it('should clear counters and lock on reset', async () => {
+      const user = await User.create({
+        ...userData,
+        failedLoginAttempts: 2,
+        lockCount: 1,
+        lockUntil: new Date(Date.now() + 60 * 1000),
+      });
+
+      await user.resetLoginAttempts();
+
+      const updated = await User.findById(user._id);
+      expect(updated.failedLoginAttempts).toBe(0);
+      expect(updated.lockCount).toBe(0);
+      expect(updated.getLockRemaining()).toBe(0);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const userData = {
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+    };
+
+    let user;
+
+    beforeEach(async () => {
+      user = await User.create({
+        ...userData,
+        mfaEnabled: true,
+        mfaSecret: totp.generateSecret(),
+      });
+    });
+
+    it('should store only hashes of recovery codes', async () => {
+      const codes = user.generateRecoveryCodes();
+      await user.save();
+
+      expect(codes).toHaveLength(10);
+      codes.forEach((code) => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+
+      const stored = await User.findById(user._id).select('+mfaRecoveryCodes');
+      expect(stored.mfaRecoveryCodes).toContain(hashToken(codes[0].replace('-', '')));
+      expect(stored.mfaRecoveryCodes).not.toContain(codes[0]);
+    });
+
+    it('should accept a current TOTP code once', async () => {
+      const code = totp.generateCode(user.mfaSecret);
+
+      expect(await user.verifyMfaCode(code)).toBe(true);
+      expect(await user.verifyMfaCode(code)).toBe(false);
+    });
+
+    it('should reject a wrong TOTP code', async () => {
+      const code = totp.generateCode(user.mfaSecret, totp.getStep() + 5);
+
+      expect(await user.verifyMfaCode(code)).toBe(false);
+    });
+
+    it('should accept a recovery code once', async () => {
+      const [code] = user.generateRecoveryCodes();
+      await user.save();
+
+      expect(await user.verifyMfaCode(code.toUpperCase())).toBe(true);
+      expect(await user.verifyMfaCode(code)).toBe(false);
+    });
+
+    it('should not expose MFA secrets in toJSON', async () => {
+      user.generateRecoveryCodes();
+      const userJSON = user.toJSON();
+
+      expect(userJSON.mfaSecret).toBeUndefined();
+      expect(userJSON.mfaRecoveryCodes).toBeUndefined();
+      expect(userJSON.mfaEnabled).toBe(true);
+    });
+  });
+
+  describe('purge', () => {
+    let user;
+    let otherUser;
+
+    beforeEach(async () => {
+      user = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+      });
+      otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123',
+      });
+      await Post.create({
+        title: 'Post to handle',
+        content: 'This post belongs to the purged user.',
+        author: user._id,
+      });
+    });
+
+    it('should delete the user and their posts', async () => {
+      await User.purge([user._id]);
+
+      expect(await User.findById(user._id)).toBeNull();
+      expect(await Post.countDocuments({})).toBe(0);
+      expect(await User.findById(otherUser._id)).not.toBeNull();
+    });
+
+    it('should reassign posts when requested', async () => {
+      await User.purge([user._id], { reassignPostsTo: otherUser._id });
+
+      expect(await User.findById(user._id)).toBeNull();
+      expect(await Post.countDocuments({ author: otherUser._id })).toBe(1);
+    });
+  });
+
   describe('User role', () => {
     it('should default to user role', async () => {
       const userData = {
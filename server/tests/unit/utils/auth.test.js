@@ -1,6 +1,11 @@
 const {
   generateToken,
+  generateRefreshToken,
+  hashToken,
   verifyToken,
+  generateMfaToken,
+  verifyMfaToken,
+  isMfaRequiredForRole,
   hashPassword,
   comparePassword,
 } = require('../../../src/utils/auth');
@@ -36,6 +41,45 @@ describe('Auth Utilities', () => {
       expect(decoded.exp).toBeDefined();
       expect(decoded.exp).toBeGreaterThan(decoded.iat);
     });
+
+    it('should include session id when provided', () => {
+      const token = generateToken(mockUser, 'session-123');
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      expect(decoded.sid).toBe('session-123');
+    });
+
+    it('should omit session id when not provided', () => {
+      const token = generateToken(mockUser);
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      expect(decoded.sid).toBeUndefined();
+    });
+  });
+
+  describe('generateRefreshToken', () => {
+    it('should generate a random hex token', () => {
+      const token = generateRefreshToken();
+
+      expect(token).toMatch(/^[a-f0-9]{80}$/);
+    });
+
+    it('should generate a different token each time', () => {
+      expect(generateRefreshToken()).not.toBe(generateRefreshToken());
+    });
+  });
+
+  describe('hashToken', () => {
+    it('should return a sha256 hex digest', () => {
+      const hash = hashToken('some-token');
+
+      expect(hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(hash).not.toBe('some-token');
+    });
+
+    it('should be deterministic', () => {
+      expect(hashToken('some-token')).toBe(hashToken('some-token'));
+    });
   });
 
   describe('verifyToken', () => {
@@ -79,6 +123,45 @@ describe('Auth Utilities', () => {
     });
   });
 
+  describe('MFA challenge tokens', () => {
+    it('should generate a token marked for MFA', () => {
+      const token = generateMfaToken(mockUser);
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      expect(decoded.id).toBe(mockUser._id);
+      expect(decoded.purpose).toBe('mfa');
+      expect(decoded.email).toBeUndefined();
+    });
+
+    it('should verify an MFA token', () => {
+      const decoded = verifyMfaToken(generateMfaToken(mockUser));
+
+      expect(decoded.id).toBe(mockUser._id);
+    });
+
+    it('should reject an access token as an MFA token', () => {
+      expect(() => verifyMfaToken(generateToken(mockUser))).toThrow('Invalid token');
+    });
+  });
+
+  describe('isMfaRequiredForRole', () => {
+    afterEach(() => {
+      delete process.env.MFA_REQUIRED_ROLES;
+    });
+
+    it('should not require MFA by default', () => {
+      expect(isMfaRequiredForRole('admin')).toBe(false);
+    });
+
+    it('should require MFA for configured roles', () => {
+      process.env.MFA_REQUIRED_ROLES = 'admin, editor';
+
+      expect(isMfaRequiredForRole('admin')).toBe(true);
+      expect(isMfaRequiredForRole('editor')).toBe(true);
+      expect(isMfaRequiredForRole('user')).toBe(false);
+    });
+  });
+
   describe('hashPassword', () => {
     it('should hash a password', async () => {
       const password = 'password123';
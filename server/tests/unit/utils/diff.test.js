@@ -0,0 +1,84 @@
+const { diffLines, diffLists } = require('../../../src/utils/diff');
+
+describe('Diff Utility', () => {
+  describe('diffLines', () => {
+    it('should report identical texts as one equal chunk', () => {
+      expect(diffLines('a\nb', 'a\nb')).toEqual([{ type: 'equal', lines: ['a', 'b'] }]);
+    });
+
+    it('should find added lines', () => {
+      expect(diffLines('a\nc', 'a\nb\nc')).toEqual([
+        { type: 'equal', lines: ['a'] },
+        { type: 'added', lines: ['b'] },
+        { type: 'equal', lines: ['c'] },
+      ]);
+    });
+
+    it('should find removed lines', () => {
+      expect(diffLines('a\nb\nc', 'a\nc')).toEqual([
+        { type: 'equal', lines: ['a'] },
+        { type: 'removed', lines: ['b'] },
+        { type: 'equal', lines: ['c'] },
+      ]);
+    });
+
+    it('should show changed lines as removed then added', () => {
+      expect(diffLines('a\nold\nc', 'a\nnew\nc')).toEqual([
+        { type: 'equal', lines: ['a'] },
+        { type: 'removed', lines: ['old'] },
+        { type: 'added', lines: ['new'] },
+        { type: 'equal', lines: ['c'] },
+      ]);
+    });
+
+    it('should keep common lines between scattered changes', () => {
+      const chunks = diffLines('1\n2\n3\n4\n5', '1\nx\n3\n4\ny');
+
+      expect(chunks).toEqual([
+        { type: 'equal', lines: ['1'] },
+        { type: 'removed', lines: ['2'] },
+        { type: 'added', lines: ['x'] },
+        { type: 'equal', lines: ['3', '4'] },
+        { type: 'removed', lines: ['5'] },
+        { type: 'added', lines: ['y'] },
+      ]);
+    });
+
+    it('should handle completely different texts', () => {
+      expect(diffLines('a', 'b')).toEqual([
+        { type: 'removed', lines: ['a'] },
+        { type: 'added', lines: ['b'] },
+      ]);
+    });
+
+    it('should replace the changed block whole when it is too large to compare', () => {
+      const oldLines = Array.from({ length: 50000 }, (_, n) => `old ${n}`);
+      const newLines = Array.from({ length: 50000 }, (_, n) => `new ${n}`);
+
+      const chunks = diffLines(
+        ['title', ...oldLines, 'end'].join('\n'),
+        ['title', ...newLines, 'end'].join('\n')
+      );
+
+      expect(chunks).toEqual([
+        { type: 'equal', lines: ['title'] },
+        { type: 'removed', lines: oldLines },
+        { type: 'added', lines: newLines },
+        { type: 'equal', lines: ['end'] },
+      ]);
+    });
+  });
+
+  describe('diffLists', () => {
+    it('should find added and removed values', () => {
+      expect(diffLists(['node', 'react'], ['react', 'mongodb'])).toEqual({
+        added: ['mongodb'],
+        removed: ['node'],
+      });
+    });
+
+    it('should ignore order', () => {
+      expect(diffLists(['a', 'b'], ['b', 'a'])).toEqual({ added: [], removed: [] });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  versionEtag,
+  bodyEtag,
+  matchesEtag,
+  checkIfMatch,
+} = require('../../../src/utils/etag');
+
+describe('ETag Utility', () => {
+  // Minimal request with the given If-Match header
+  const requestWith = (ifMatch) => ({
+    get: (name) => (name === 'If-Match' ? ifMatch : undefined),
+  });
+
+  describe('versionEtag', () => {
+    it('should quote the version', () => {
+      expect(versionEtag({ version: 3 })).toBe('"3"');
+    });
+
+    it('should treat documents without a version as version 0', () => {
+      expect(versionEtag({})).toBe('"0"');
+    });
+  });
+
+  describe('bodyEtag', () => {
+    it('should start with the version', () => {
+      expect(bodyEtag({ version: 3 }, { likeCount: 1 })).toMatch(/^"3-[\w-]{16}"$/);
+    });
+
+    it('should change with the body', () => {
+      expect(bodyEtag({ version: 3 }, { likeCount: 1 }))
+        .not.toBe(bodyEtag({ version: 3 }, { likeCount: 2 }));
+    });
+
+    it('should stay the same for the same body', () => {
+      expect(bodyEtag({ version: 3 }, { likedByMe: true }))
+        .toBe(bodyEtag({ version: 3 }, { likedByMe: true }));
+    });
+  });
+
+  describe('matchesEtag', () => {
+    it('should match a listed tag', () => {
+      expect(matchesEtag('"1", "3"', '"3"')).toBe(true);
+    });
+
+    it('should match *', () => {
+      expect(matchesEtag('*', '"3"')).toBe(true);
+    });
+
+    it('should not match other tags', () => {
+      expect(matchesEtag('"2"', '"3"')).toBe(false);
+    });
+
+    it('should match tags of the same version with a body digest', () => {
+      expect(matchesEtag('"3-abc123"', '"3"')).toBe(true);
+      expect(matchesEtag('"2-abc123"', '"3"')).toBe(false);
+    });
+
+    it('should not match tags it did not make', () => {
+      expect(matchesEtag('"abc"', '"3"')).toBe(false);
+    });
+
+    it('should not match weak tags', () => {
+      expect(matchesEtag('W/"3"', '"3"')).toBe(false);
+    });
+  });
+
+  describe('checkIfMatch', () => {
+    it('should pass when the header matches', () => {
+      expect(checkIfMatch(requestWith('"3"'), '"3"', true)).toBeNull();
+    });
+
+    it('should fail with 412 when the header does not match', () => {
+      expect(checkIfMatch(requestWith('"2"'), '"3"', false)).toEqual({
+        status: 412,
+        error: 'The resource has changed since it was fetched',
+      });
+    });
+
+    it('should fail with 428 when a required header is missing', () => {
+      expect(checkIfMatch(requestWith(undefined), '"3"', true)).toEqual({
+        status: 428,
+        error: 'If-Match header is required',
+      });
+    });
+
+    it('should pass without a header when it is optional', () => {
+      expect(checkIfMatch(requestWith(undefined), '"3"', false)).toBeNull();
+    });
+  });
+});
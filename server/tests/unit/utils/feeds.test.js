@@ -0,0 +1,112 @@
+const {
+  escapeXml,
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+} = require('../../../src/utils/feeds');
+
+const feed = {
+  title: 'Blog & "friends"',
+  homeUrl: 'https://blog.test',
+  feedUrl: 'https://api.blog.test/feeds/posts.rss',
+  updated: new Date('2024-01-02T00:00:00Z'),
+  items: [{
+    id: 'https://api.blog.test/api/posts/507f1f77bcf86cd799439011',
+    url: 'https://blog.test/posts/tags',
+    title: 'Why <tags> & entities matter',
+    summary: 'A summary',
+    html: '<p>Some <strong>bold</strong> text</p>',
+    published: new Date('2024-01-01T00:00:00Z'),
+    updated: new Date('2024-01-02T00:00:00Z'),
+    author: 'writer',
+    categories: ['Tech', 'xml'],
+  }],
+};
+
+describe('Feeds Utility', () => {
+  describe('escapeXml', () => {
+    it('should escape markup characters', () => {
+      expect(escapeXml(`<a href="x">Tom & Jerry's</a>`))
+        .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    });
+
+    it('should drop characters XML does not allow', () => {
+      expect(escapeXml('bad\u0000\u0008￾text\ttab')).toBe('badtext\ttab');
+    });
+
+    it('should keep characters outside the basic plane', () => {
+      expect(escapeXml('emoji \u{1F600}')).toBe('emoji \u{1F600}');
+    });
+
+    it('should treat missing values as empty', () => {
+      expect(escapeXml(undefined)).toBe('');
+    });
+  });
+
+  describe('buildRss', () => {
+    const xml = buildRss(feed);
+
+    it('should describe the channel', () => {
+      expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+      expect(xml).toContain('<title>Blog &amp; &quot;friends&quot;</title>');
+      expect(xml).toContain('<atom:link href="https://api.blog.test/feeds/posts.rss" rel="self" type="application/rss+xml"/>');
+      expect(xml).toContain('<lastBuildDate>Tue, 02 Jan 2024 00:00:00 GMT</lastBuildDate>');
+    });
+
+    it('should escape item titles and content', () => {
+      expect(xml).toContain('<title>Why &lt;tags&gt; &amp; entities matter</title>');
+      expect(xml).toContain('<content:encoded>&lt;p&gt;Some &lt;strong&gt;bold&lt;/strong&gt; text&lt;/p&gt;</content:encoded>');
+      expect(xml).not.toContain('<strong>');
+    });
+
+    it('should include item metadata', () => {
+      expect(xml).toContain('<guid isPermaLink="false">https://api.blog.test/api/posts/507f1f77bcf86cd799439011</guid>');
+      expect(xml).toContain('<pubDate>Mon, 01 Jan 2024 00:00:00 GMT</pubDate>');
+      expect(xml).toContain('<dc:creator>writer</dc:creator>');
+      expect(xml).toContain('<category>Tech</category><category>xml</category>');
+    });
+  });
+
+  describe('buildAtom', () => {
+    const xml = buildAtom(feed);
+
+    it('should describe the feed', () => {
+      expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(xml).toContain('<id>https://api.blog.test/feeds/posts.rss</id>');
+      expect(xml).toContain('<updated>2024-01-02T00:00:00.000Z</updated>');
+      expect(xml).not.toContain('<subtitle>');
+    });
+
+    it('should escape entries', () => {
+      expect(xml).toContain('<title type="text">Why &lt;tags&gt; &amp; entities matter</title>');
+      expect(xml).toContain('<content type="html">&lt;p&gt;Some &lt;strong&gt;bold&lt;/strong&gt; text&lt;/p&gt;</content>');
+      expect(xml).toContain('<id>https://api.blog.test/api/posts/507f1f77bcf86cd799439011</id>');
+      expect(xml).toContain('<author><name>writer</name></author>');
+      expect(xml).toContain('<category term="Tech"/>');
+    });
+  });
+
+  describe('buildJsonFeed', () => {
+    it('should build a JSON Feed 1.1 document', () => {
+      const json = JSON.parse(buildJsonFeed(feed));
+
+      expect(json).toMatchObject({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'Blog & "friends"',
+        home_page_url: 'https://blog.test',
+        feed_url: 'https://api.blog.test/feeds/posts.rss',
+      });
+      expect(json.items[0]).toEqual({
+        id: 'https://api.blog.test/api/posts/507f1f77bcf86cd799439011',
+        url: 'https://blog.test/posts/tags',
+        title: 'Why <tags> & entities matter',
+        content_html: '<p>Some <strong>bold</strong> text</p>',
+        summary: 'A summary',
+        date_published: '2024-01-01T00:00:00.000Z',
+        date_modified: '2024-01-02T00:00:00.000Z',
+        authors: [{ name: 'writer' }],
+        tags: ['Tech', 'xml'],
+      });
+    });
+  });
+});
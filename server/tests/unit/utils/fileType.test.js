@@ -0,0 +1,36 @@
+const { ALLOWED_MIME_TYPES, detectFileType } = require('../../../src/utils/fileType');
+
+describe('File Type Utility', () => {
+  // A file starting with the given bytes
+  const fileWith = (hex, padding = 16) => Buffer.concat([Buffer.from(hex, 'hex'), Buffer.alloc(padding)]);
+
+  it('should detect images', () => {
+    expect(detectFileType(fileWith('ffd8ffe0'))).toEqual({ mime: 'image/jpeg', extension: 'jpg', isImage: true });
+    expect(detectFileType(fileWith('89504e470d0a1a0a')).mime).toBe('image/png');
+    expect(detectFileType(Buffer.from('GIF89a......')).mime).toBe('image/gif');
+    expect(detectFileType(Buffer.from('RIFF\u0000\u0000\u0000\u0000WEBPVP8 ')).mime).toBe('image/webp');
+  });
+
+  it('should detect PDFs', () => {
+    expect(detectFileType(Buffer.from('%PDF-1.7\n'))).toEqual({
+      mime: 'application/pdf',
+      extension: 'pdf',
+      isImage: false,
+    });
+  });
+
+  it('should not accept other types', () => {
+    expect(detectFileType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+    expect(detectFileType(Buffer.from('MZ\u0090\u0000'))).toBeNull();
+    expect(detectFileType(Buffer.from('RIFF\u0000\u0000\u0000\u0000WAVEfmt '))).toBeNull();
+  });
+
+  it('should not read past short files', () => {
+    expect(detectFileType(Buffer.from('RIFF'))).toBeNull();
+    expect(detectFileType(Buffer.alloc(0))).toBeNull();
+  });
+
+  it('should list each allowed type once', () => {
+    expect(ALLOWED_MIME_TYPES).toEqual(['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf']);
+  });
+});
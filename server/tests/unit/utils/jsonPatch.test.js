@@ -0,0 +1,96 @@
+const { applyPatch, parsePointer } = require('../../../src/utils/jsonPatch');
+
+describe('JSON Patch Utility', () => {
+  const post = { title: 'Hello', tags: ['node', 'react'], category: null };
+
+  describe('parsePointer', () => {
+    it('should split a pointer into tokens', () => {
+      expect(parsePointer('/tags/0')).toEqual(['tags', '0']);
+      expect(parsePointer('')).toEqual([]);
+    });
+
+    it('should unescape ~1 and ~0', () => {
+      expect(parsePointer('/a~1b/c~0d')).toEqual(['a/b', 'c~d']);
+    });
+
+    it('should reject pointers that do not start with a slash', () => {
+      expect(() => parsePointer('tags')).toThrow('Invalid JSON pointer: tags');
+      expect(() => parsePointer(undefined)).toThrow('Invalid JSON pointer');
+    });
+
+    it('should reject pointers into prototypes', () => {
+      expect(() => parsePointer('/__proto__/polluted')).toThrow('Invalid JSON pointer');
+    });
+  });
+
+  describe('applyPatch', () => {
+    it('should add, replace and remove values', () => {
+      const result = applyPatch(post, [
+        { op: 'replace', path: '/title', value: 'Hi' },
+        { op: 'add', path: '/tags/-', value: 'mongo' },
+        { op: 'add', path: '/tags/0', value: 'js' },
+        { op: 'remove', path: '/category' },
+      ]);
+
+      expect(result).toEqual({ title: 'Hi', tags: ['js', 'node', 'react', 'mongo'] });
+    });
+
+    it('should leave the original document unchanged', () => {
+      applyPatch(post, [{ op: 'remove', path: '/tags/0' }]);
+
+      expect(post.tags).toEqual(['node', 'react']);
+    });
+
+    it('should move and copy values', () => {
+      const result = applyPatch(post, [
+        { op: 'copy', from: '/title', path: '/subtitle' },
+        { op: 'move', from: '/tags/1', path: '/tags/0' },
+      ]);
+
+      expect(result.subtitle).toBe('Hello');
+      expect(result.tags).toEqual(['react', 'node']);
+    });
+
+    it('should pass when a test matches', () => {
+      expect(() => applyPatch(post, [{ op: 'test', path: '/tags', value: ['node', 'react'] }])).not.toThrow();
+    });
+
+    it('should fail with 409 when a test does not match', () => {
+      expect.assertions(2);
+      try {
+        applyPatch(post, [{ op: 'test', path: '/title', value: 'Bye' }]);
+      } catch (error) {
+        expect(error.message).toBe('Test failed: /title');
+        expect(error.statusCode).toBe(409);
+      }
+    });
+
+    it('should fail with 400 for missing paths', () => {
+      expect.assertions(2);
+      try {
+        applyPatch(post, [{ op: 'replace', path: '/tags/5', value: 'x' }]);
+      } catch (error) {
+        expect(error.message).toBe('Path not found: /tags/5');
+        expect(error.statusCode).toBe(400);
+      }
+    });
+
+    it('should reject unknown operations and missing values', () => {
+      expect(() => applyPatch(post, [{ op: 'merge', path: '/title' }])).toThrow('Unknown JSON Patch operation: merge');
+      expect(() => applyPatch(post, [{ op: 'add', path: '/title' }])).toThrow('The add operation needs a value');
+    });
+
+    it('should reject bodies that are not arrays of operations', () => {
+      expect(() => applyPatch(post, { title: 'Hi' })).toThrow('JSON Patch must be an array of operations');
+      expect(() => applyPatch(post, ['title'])).toThrow('Each JSON Patch operation must be an object');
+    });
+
+    it('should not replace the whole document', () => {
+      expect(() => applyPatch(post, [{ op: 'replace', path: '', value: {} }])).toThrow('Replacing the whole document is not supported');
+    });
+
+    it('should not move a value into itself', () => {
+      expect(() => applyPatch(post, [{ op: 'move', from: '/tags', path: '/tags/0' }])).toThrow('Cannot move /tags into itself');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const loginThrottle = require('../../../src/utils/loginThrottle');
+
+describe('Login Throttle Utility', () => {
+  const ip = '10.0.0.1';
+
+  beforeEach(() => {
+    process.env.LOGIN_MAX_IP_ATTEMPTS = '3';
+    process.env.LOGIN_IP_WINDOW_MINUTES = '15';
+  });
+
+  afterEach(() => {
+    loginThrottle.clear();
+    jest.useRealTimers();
+    delete process.env.LOGIN_MAX_IP_ATTEMPTS;
+    delete process.env.LOGIN_IP_WINDOW_MINUTES;
+  });
+
+  it('should not block an IP without failures', () => {
+    expect(loginThrottle.getRetryAfter(ip)).toBe(0);
+  });
+
+  it('should count failures per IP', () => {
+    expect(loginThrottle.recordFailure(ip)).toBe(1);
+    expect(loginThrottle.recordFailure(ip)).toBe(2);
+    expect(loginThrottle.recordFailure('10.0.0.2')).toBe(1);
+  });
+
+  it('should not block below the limit', () => {
+    loginThrottle.recordFailure(ip);
+    loginThrottle.recordFailure(ip);
+
+    expect(loginThrottle.getRetryAfter(ip)).toBe(0);
+  });
+
+  it('should block once the limit is reached', () => {
+    loginThrottle.recordFailure(ip);
+    loginThrottle.recordFailure(ip);
+    loginThrottle.recordFailure(ip);
+
+    const retryAfter = loginThrottle.getRetryAfter(ip);
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(15 * 60);
+  });
+
+  it('should only block the offending IP', () => {
+    loginThrottle.recordFailure(ip);
+    loginThrottle.recordFailure(ip);
+    loginThrottle.recordFailure(ip);
+
+    expect(loginThrottle.getRetryAfter('10.0.0.2')).toBe(0);
+  });
+
+  it('should unblock after the window passes', () => {
+    jest.useFakeTimers();
+
+    loginThrottle.recordFailure(ip);
+    loginThrottle.recordFailure(ip);
+    loginThrottle.recordFailure(ip);
+
+    jest.advanceTimersByTime(15 * 60 * 1000 + 1);
+
+    expect(loginThrottle.getRetryAfter(ip)).toBe(0);
+    expect(loginThrottle.recordFailure(ip)).toBe(1);
+  });
+});
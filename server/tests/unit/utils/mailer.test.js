@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  sendMail,
+  setTransport,
+  getTransport,
+  createFileTransport,
+  getOutbox,
+  clearOutbox,
+} = require('../../../src/utils/mailer');
+
+describe('Mailer Utility', () => {
+  const message = {
+    to: 'test@example.com',
+    subject: 'Hello',
+    text: 'Hello there',
+  };
+
+  afterEach(() => {
+    clearOutbox();
+  });
+
+  describe('memory transport', () => {
+    it('should be the default transport in tests', () => {
+      expect(getTransport().name).toBe('memory');
+    });
+
+    it('should deliver messages to the outbox', async () => {
+      await sendMail(message);
+
+      const outbox = getOutbox();
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe(message.to);
+      expect(outbox[0].subject).toBe(message.subject);
+      expect(outbox[0].text).toBe(message.text);
+      expect(outbox[0].from).toBeDefined();
+      expect(outbox[0].date).toBeDefined();
+    });
+
+    it('should clear the outbox', async () => {
+      await sendMail(message);
+      clearOutbox();
+
+      expect(getOutbox()).toHaveLength(0);
+    });
+  });
+
+  describe('file transport', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write each message as a JSON file', async () => {
+      const transport = createFileTransport(dir);
+
+      await transport.send({ ...message, from: 'no-reply@localhost' });
+
+      const files = fs.readdirSync(dir);
+      expect(files).toHaveLength(1);
+
+      const stored = JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'));
+      expect(stored.to).toBe(message.to);
+      expect(stored.subject).toBe(message.subject);
+    });
+  });
+
+  describe('custom transport', () => {
+    const original = getTransport();
+
+    afterEach(() => {
+      setTransport(original);
+    });
+
+    it('should send through the configured transport', async () => {
+      const send = jest.fn().mockResolvedValue({});
+      setTransport({ name: 'custom', send });
+
+      await sendMail(message);
+
+      expect(send).toHaveBeenCalledWith(expect.objectContaining(message));
+      expect(getOutbox()).toHaveLength(0);
+    });
+
+    it('should propagate transport errors', async () => {
+      setTransport({ name: 'custom', send: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+
+      await expect(sendMail(message)).rejects.toThrow('SMTP down');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const {
+  renderMarkdown,
+  htmlToText,
+  buildExcerpt,
+  readingTime,
+} = require('../../../src/utils/markdown');
+
+describe('Markdown Utility', () => {
+  describe('renderMarkdown', () => {
+    it('should render Markdown to HTML', () => {
+      expect(renderMarkdown('# Title\n\nSome **bold** text')).toBe(
+        '<h1>Title</h1>\n<p>Some <strong>bold</strong> text</p>\n'
+      );
+    });
+
+    it('should keep the language of code blocks', () => {
+      expect(renderMarkdown('```js\nconst a = 1;\n```')).toContain('<code class="language-js">');
+    });
+
+    it('should strip scripts', () => {
+      const html = renderMarkdown('Hello <script>alert(1)</script>');
+
+      expect(html).not.toContain('script');
+      expect(html).not.toContain('alert');
+    });
+
+    it('should strip event handlers and styles', () => {
+      const html = renderMarkdown('<img src="https://example.com/a.png" onerror="alert(1)"><div style="color:red" onclick="x()">Hi</div>');
+
+      expect(html).toContain('<img src="https://example.com/a.png" />');
+      expect(html).toContain('<div>Hi</div>');
+      expect(html).not.toMatch(/onerror|onclick|style|alert/);
+    });
+
+    it('should drop dangerous link targets', () => {
+      const html = renderMarkdown('[a](javascript:alert(1)) <a href="JaVaScRiPt:x">b</a> <a href="data:text/html,x">c</a> <a href="//evil.example">d</a>');
+
+      expect(html).not.toMatch(/href/);
+    });
+
+    it('should keep web and mail links, marked nofollow', () => {
+      expect(renderMarkdown('[site](https://example.com) [mail](mailto:a@example.com)')).toBe(
+        '<p><a href="https://example.com" rel="nofollow noopener">site</a> '
+        + '<a href="mailto:a@example.com" rel="nofollow noopener">mail</a></p>\n'
+      );
+    });
+
+    it('should strip iframes', () => {
+      expect(renderMarkdown('<iframe src="https://example.com"></iframe>')).toBe('');
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('should strip tags and collapse whitespace', () => {
+      expect(htmlToText('<h1>Title</h1>\n<p>Some <strong>bold</strong>\ntext</p>')).toBe('Title Some bold text');
+    });
+
+    it('should decode entities', () => {
+      expect(htmlToText('<p>1 &lt; 2 &amp; &quot;3&quot;</p>')).toBe('1 < 2 & "3"');
+    });
+
+    it('should keep block elements apart', () => {
+      expect(htmlToText('<ul><li>one</li><li>two</li></ul>')).toBe('one two');
+    });
+  });
+
+  describe('buildExcerpt', () => {
+    it('should leave short text alone', () => {
+      expect(buildExcerpt('Short text')).toBe('Short text');
+    });
+
+    it('should cut long text at a word boundary', () => {
+      expect(buildExcerpt('The quick brown fox jumps', 15)).toBe('The quick…');
+    });
+
+    it('should not leave punctuation before the ellipsis', () => {
+      expect(buildExcerpt('Hello, world and more', 10)).toBe('Hello…');
+    });
+
+    it('should default to 200 characters', () => {
+      expect(buildExcerpt('word '.repeat(100)).length).toBeLessThanOrEqual(200);
+    });
+  });
+
+  describe('readingTime', () => {
+    it('should count 200 words a minute, rounding up', () => {
+      expect(readingTime('word '.repeat(201))).toBe(2);
+    });
+
+    it('should be at least a minute', () => {
+      expect(readingTime('')).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require('../../../src/utils/notifications');
+const { getOutbox, clearOutbox } = require('../../../src/utils/mailer');
+
+describe('Notifications Utility', () => {
+  const user = {
+    username: 'testuser',
+    email: 'test@example.com',
+  };
+
+  afterEach(() => {
+    clearOutbox();
+  });
+
+  describe('sendVerificationEmail', () => {
+    afterEach(() => {
+      delete process.env.API_URL;
+    });
+
+    it('should mail a link to the configured verify endpoint', async () => {
+      process.env.API_URL = 'https://api.blog.example.com/';
+
+      await sendVerificationEmail(user, 'abc123');
+
+      const [mail] = getOutbox();
+      expect(mail.to).toBe(user.email);
+      expect(mail.text).toContain('https://api.blog.example.com/api/auth/verify-email/abc123');
+    });
+
+    it('should default to the local API', async () => {
+      await sendVerificationEmail(user, 'abc123');
+
+      expect(getOutbox()[0].text).toContain(`http://localhost:${process.env.PORT || 5000}/api/auth/verify-email/abc123`);
+    });
+  });
+
+  describe('sendPasswordResetEmail', () => {
+    afterEach(() => {
+      delete process.env.CLIENT_URL;
+    });
+
+    it('should mail a link to the client reset page', async () => {
+      process.env.CLIENT_URL = 'https://blog.example.com';
+
+      await sendPasswordResetEmail(user, 'abc123');
+
+      const [mail] = getOutbox();
+      expect(mail.to).toBe(user.email);
+      expect(mail.text).toContain('https://blog.example.com/reset-password?token=abc123');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const {
+  MAX_LIMIT,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  buildLinkHeader,
+  pageLinks,
+} = require('../../../src/utils/pagination');
+
+describe('Pagination Utility', () => {
+  describe('parsePagination', () => {
+    it('should default to the first page', () => {
+      expect(parsePagination({})).toEqual({ page: 1, limit: 10 });
+    });
+
+    it('should clamp the limit', () => {
+      expect(parsePagination({ limit: '100000' }).limit).toBe(MAX_LIMIT);
+      expect(parsePagination({ limit: '-5' }).limit).toBe(1);
+    });
+
+    it('should ignore invalid pages', () => {
+      expect(parsePagination({ page: '0' }).page).toBe(1);
+      expect(parsePagination({ page: 'abc' }).page).toBe(1);
+    });
+  });
+
+  describe('cursors', () => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date('2024-01-02T03:04:05.678Z'),
+    };
+
+    it('should round-trip a document position', () => {
+      const position = decodeCursor(encodeCursor(doc));
+
+      expect(position.createdAt).toEqual(doc.createdAt);
+      expect(position.id.toString()).toBe(doc._id.toString());
+    });
+
+    it('should produce URL-safe cursors', () => {
+      expect(encodeCursor(doc)).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"createdAt":"x","id":"y"}').toString('base64url'))).toBeNull();
+    });
+
+    it('should select documents after the cursor, newest first', () => {
+      const position = decodeCursor(encodeCursor(doc));
+
+      expect(afterCursor(position)).toEqual({
+        $or: [
+          { createdAt: { $lt: position.createdAt } },
+          { createdAt: position.createdAt, _id: { $lt: position.id } },
+        ],
+      });
+    });
+  });
+
+  describe('buildLinkHeader', () => {
+    const req = {
+      protocol: 'https',
+      get: () => 'blog.example.com',
+      baseUrl: '/api/posts',
+      path: '/',
+      query: { page: '2', limit: '5', tags: ['a', 'b'] },
+    };
+
+    it('should keep the query and override the given params', () => {
+      expect(buildLinkHeader(req, { next: { page: 3 } })).toBe(
+        '<https://blog.example.com/api/posts?page=3&limit=5&tags=a&tags=b>; rel="next"'
+      );
+    });
+
+    it('should join several links', () => {
+      const header = buildLinkHeader(req, { first: { page: 1 }, last: { page: 4 } });
+
+      expect(header.split(', ')).toHaveLength(2);
+      expect(header).toContain('rel="first"');
+      expect(header).toContain('rel="last"');
+    });
+  });
+
+  describe('pageLinks', () => {
+    it('should link to every neighbour of a middle page', () => {
+      expect(pageLinks(2, 3)).toEqual({
+        first: { page: 1 },
+        prev: { page: 1 },
+        next: { page: 3 },
+        last: { page: 3 },
+      });
+    });
+
+    it('should omit prev on the first page and next on the last', () => {
+      expect(pageLinks(1, 1)).toEqual({ first: { page: 1 }, last: { page: 1 } });
+    });
+
+    it('should point prev at the last page when past the end', () => {
+      expect(pageLinks(9, 3).prev).toEqual({ page: 3 });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { hasPermission, restrictToScopes } = require('../../../src/utils/permissions');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../../../src/config/permissions');
+
+describe('Permissions Utility', () => {
+  describe('hasPermission', () => {
+    it('should return true for a granted permission', () => {
+      expect(hasPermission(['post:create'], 'post:create')).toBe(true);
+    });
+
+    it('should return false for a missing permission', () => {
+      expect(hasPermission(['post:create'], 'post:publish')).toBe(false);
+    });
+
+    it('should grant everything through the wildcard', () => {
+      expect(hasPermission(['*'], 'role:manage')).toBe(true);
+    });
+
+    it('should not treat :own as :any', () => {
+      expect(hasPermission(['post:update:own'], 'post:update:any')).toBe(false);
+    });
+  });
+
+  describe('restrictToScopes', () => {
+    it('should keep only granted scopes', () => {
+      expect(restrictToScopes(['post:create'], ['post:create', 'post:publish'])).toEqual(['post:create']);
+    });
+
+    it('should allow any scope under the wildcard', () => {
+      expect(restrictToScopes(['*'], ['user:manage'])).toEqual(['user:manage']);
+    });
+
+    it('should allow :own scopes covered by :any permissions', () => {
+      expect(restrictToScopes(['post:update:any'], ['post:update:own'])).toEqual(['post:update:own']);
+    });
+
+    it('should not allow :any scopes covered only by :own permissions', () => {
+      expect(restrictToScopes(['post:update:own'], ['post:update:any'])).toEqual([]);
+    });
+  });
+
+  describe('DEFAULT_ROLES', () => {
+    it('should only use permissions from the catalog', () => {
+      Object.values(DEFAULT_ROLES).forEach((role) => {
+        role.permissions.forEach((permission) => {
+          expect(permission === '*' || PERMISSIONS.includes(permission)).toBe(true);
+        });
+      });
+    });
+
+    it('should not let plain users publish', () => {
+      expect(hasPermission(DEFAULT_ROLES.user.permissions, 'post:publish')).toBe(false);
+      expect(hasPermission(DEFAULT_ROLES.author.permissions, 'post:publish')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const {
+  SORT_VALUES,
+  parseList,
+  buildPostFilter,
+  buildVisibilityFilter,
+  buildPostSort,
+  buildPostProjection,
+} = require('../../../src/utils/postQuery');
+
+describe('Post Query Utility', () => {
+  describe('parseList', () => {
+    it('should split, trim and drop empty items', () => {
+      expect(parseList(' a, b,,c ')).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('buildPostFilter', () => {
+    it('should return an empty filter without parameters', () => {
+      expect(buildPostFilter({})).toEqual({});
+    });
+
+    it('should use the resolved author id', () => {
+      expect(buildPostFilter({ author: 'testuser' }, { authorId: 'abc' })).toEqual({ author: 'abc' });
+    });
+
+    it('should match any tag by default', () => {
+      expect(buildPostFilter({ tags: 'node,react' })).toEqual({ tags: { $in: ['node', 'react'] } });
+    });
+
+    it('should match all tags when asked', () => {
+      expect(buildPostFilter({ tags: 'node,react', tagMode: 'all' }))
+        .toEqual({ tags: { $all: ['node', 'react'] } });
+    });
+
+    it('should filter by status', () => {
+      expect(buildPostFilter({ status: 'draft' })).toEqual({ status: 'draft' });
+    });
+
+    it('should build date ranges', () => {
+      const filter = buildPostFilter({
+        createdFrom: '2024-01-01',
+        updatedTo: '2024-02-01',
+      });
+
+      expect(filter.createdAt).toEqual({ $gte: new Date('2024-01-01') });
+      expect(filter.updatedAt).toEqual({ $lte: new Date('2024-02-01') });
+    });
+
+    it('should ignore unknown parameters', () => {
+      expect(buildPostFilter({ $where: 'sleep(1000)', views: '5' })).toEqual({});
+    });
+  });
+
+  describe('buildVisibilityFilter', () => {
+    it('should only show published posts to anonymous users', () => {
+      expect(buildVisibilityFilter()).toEqual({ status: 'published' });
+    });
+
+    it('should show authors their own posts', () => {
+      const user = { _id: 'abc' };
+
+      expect(buildVisibilityFilter(user, ['post:update:own'])).toEqual({
+        $or: [{ status: 'published' }, { author: 'abc' }],
+      });
+    });
+
+    it('should show every post to users who can edit any post', () => {
+      expect(buildVisibilityFilter({ _id: 'abc' }, ['post:update:any'])).toEqual({});
+      expect(buildVisibilityFilter({ _id: 'abc' }, ['*'])).toEqual({});
+    });
+  });
+
+  describe('buildPostSort', () => {
+    it('should default to newest first', () => {
+      expect(buildPostSort()).toEqual({ createdAt: -1, _id: -1 });
+    });
+
+    it('should sort ascending without a dash', () => {
+      expect(buildPostSort('title')).toEqual({ title: 1, _id: 1 });
+    });
+
+    it('should sort popularity by views', () => {
+      expect(buildPostSort('-popularity')).toEqual({ views: -1, _id: -1 });
+    });
+
+    it('should offer both directions for every field', () => {
+      expect(SORT_VALUES).toEqual(expect.arrayContaining(['updatedAt', '-updatedAt']));
+    });
+  });
+
+  describe('buildPostProjection', () => {
+    it('should return null when no fields are requested', () => {
+      expect(buildPostProjection(undefined)).toBeNull();
+    });
+
+    it('should build a select string', () => {
+      expect(buildPostProjection('title, slug')).toBe('title slug');
+    });
+  });
+});
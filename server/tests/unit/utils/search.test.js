@@ -0,0 +1,55 @@
+const { parseSearchTerms, highlight } = require('../../../src/utils/search');
+
+describe('Search Utility', () => {
+  describe('parseSearchTerms', () => {
+    it('should split words and lowercase them', () => {
+      expect(parseSearchTerms('MongoDB Indexes')).toEqual(['mongodb', 'index']);
+    });
+
+    it('should keep quoted phrases whole', () => {
+      expect(parseSearchTerms('"full text" search')).toEqual(['full text', 'search']);
+    });
+
+    it('should drop negated terms', () => {
+      expect(parseSearchTerms('react -vue -"angular js"')).toEqual(['react']);
+    });
+
+    it('should strip punctuation and duplicates', () => {
+      expect(parseSearchTerms('node, node! node?')).toEqual(['node']);
+    });
+  });
+
+  describe('highlight', () => {
+    it('should mark matching words', () => {
+      expect(highlight('Publishing posts with Node', ['publish'], { length: 0 }))
+        .toBe('<mark>Publishing</mark> posts with Node');
+    });
+
+    it('should match case-insensitively at word starts only', () => {
+      expect(highlight('Node and nodes, not anode', ['node'], { length: 0 }))
+        .toBe('<mark>Node</mark> and <mark>nodes</mark>, not anode');
+    });
+
+    it('should escape HTML around and inside matches', () => {
+      expect(highlight('<b>node</b> & more', ['node'], { length: 0 }))
+        .toBe('&lt;b&gt;<mark>node</mark>&lt;/b&gt; &amp; more');
+    });
+
+    it('should cut long text around the first match', () => {
+      const text = `${'filler '.repeat(50)}the important term appears here ${'padding '.repeat(50)}`;
+
+      const snippet = highlight(text, ['important'], { length: 80 });
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>important</mark>');
+      expect(snippet.length).toBeLessThan(120);
+    });
+
+    it('should return the start of the text when nothing matches', () => {
+      const text = 'word '.repeat(100);
+
+      expect(highlight(text, ['missing'], { length: 40 }).startsWith('word')).toBe(true);
+    });
+  });
+});
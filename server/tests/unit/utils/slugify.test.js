@@ -0,0 +1,31 @@
+const slugify = require('../../../src/utils/slugify');
+
+describe('slugify', () => {
+  it('should lowercase and join words with dashes', () => {
+    expect(slugify('Hello World')).toBe('hello-world');
+  });
+
+  it('should drop punctuation', () => {
+    expect(slugify('C++ & Node.js: a guide!')).toBe('c-nodejs-a-guide');
+  });
+
+  it('should collapse repeated separators and trim dashes', () => {
+    expect(slugify('  --Spaced   out_title--  ')).toBe('spaced-out-title');
+  });
+
+  it('should drop accents', () => {
+    expect(slugify('Crème Brûlée à la française')).toBe('creme-brulee-a-la-francaise');
+  });
+
+  it('should transliterate letters without an ASCII base', () => {
+    expect(slugify('Straße Øresund Łódź')).toBe('strasse-oresund-lodz');
+  });
+
+  it('should transliterate Cyrillic', () => {
+    expect(slugify('Привет мир')).toBe('privet-mir');
+  });
+
+  it('should return an empty slug for unsupported scripts', () => {
+    expect(slugify('日本語')).toBe('');
+  });
+});
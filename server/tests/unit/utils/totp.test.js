@@ -0,0 +1,104 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+} = require('../../../src/utils/totp');
+
+describe('TOTP Utility', () => {
+  // RFC 6238 test secret ("12345678901234567890")
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('base32', () => {
+    it('should encode RFC 4648 test vectors', () => {
+      expect(base32Encode(Buffer.from('f'))).toBe('MY');
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('should round-trip bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 255, 128]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should ignore case, spaces and padding when decoding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('MZ1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should generate a 160-bit base32 secret', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+    });
+
+    it('should generate a different secret each time', () => {
+      expect(generateSecret()).not.toBe(generateSecret());
+    });
+  });
+
+  describe('generateCode', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+    ])('should match the RFC 6238 vector at %i seconds', (seconds, expected) => {
+      expect(generateCode(rfcSecret, getStep(seconds * 1000))).toBe(expected);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const time = 1111111109 * 1000;
+
+    it('should accept the current code and return its step', () => {
+      expect(verifyCode(rfcSecret, '081804', { time })).toBe(getStep(time));
+    });
+
+    it('should accept codes from adjacent steps', () => {
+      const previous = generateCode(rfcSecret, getStep(time) - 1);
+
+      expect(verifyCode(rfcSecret, previous, { time })).toBe(getStep(time) - 1);
+    });
+
+    it('should reject codes outside the window', () => {
+      const old = generateCode(rfcSecret, getStep(time) - 3);
+
+      expect(verifyCode(rfcSecret, old, { time })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyCode(rfcSecret, '12345', { time })).toBeNull();
+      expect(verifyCode(rfcSecret, 'abcdef', { time })).toBeNull();
+      expect(verifyCode(rfcSecret, undefined, { time })).toBeNull();
+    });
+
+    it('should ignore spaces in the code', () => {
+      expect(verifyCode(rfcSecret, '081 804', { time })).toBe(getStep(time));
+    });
+  });
+
+  describe('buildOtpauthUrl', () => {
+    it('should build an authenticator URI', () => {
+      const url = buildOtpauthUrl({
+        secret: 'ABCDEF',
+        label: 'test@example.com',
+        issuer: 'MERN Blog',
+      });
+
+      expect(url).toBe(
+        'otpauth://totp/MERN%20Blog%3Atest%40example.com'
+        + '?secret=ABCDEF&issuer=MERN%20Blog&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+});
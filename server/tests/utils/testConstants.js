@@ -80,10 +80,65 @@ const API_ENDPOINTS = {
     REGISTER: '/api/auth/register',
     LOGIN: '/api/auth/login',
     ME: '/api/auth/me',
+    REFRESH: '/api/auth/refresh',
+    LOGOUT: '/api/auth/logout',
+    SESSIONS: '/api/auth/sessions',
+    SESSION: (id) => `/api/auth/sessions/${id}`,
+    FORGOT_PASSWORD: '/api/auth/forgot-password',
+    RESET_PASSWORD: '/api/auth/reset-password',
+    VERIFY_EMAIL: (token) => `/api/auth/verify-email/${token}`,
+    RESEND_VERIFICATION: '/api/auth/resend-verification',
+    MFA_SETUP: '/api/auth/mfa/setup',
+    MFA_CONFIRM: '/api/auth/mfa/confirm',
+    MFA_VERIFY: '/api/auth/mfa/verify',
+    MFA_DISABLE: '/api/auth/mfa/disable',
+    MFA_RECOVERY_CODES: '/api/auth/mfa/recovery-codes',
   },
   POSTS: {
     BASE: '/api/posts',
     BY_ID: (id) => `/api/posts/${id}`,
+    SEARCH: '/api/posts/search',
+    BY_SLUG: (slug) => `/api/posts/slug/${slug}`,
+    TRANSITION: (id, action) => `/api/posts/${id}/${action}`,
+    REVISIONS: (id) => `/api/posts/${id}/revisions`,
+    COMMENTS: (id) => `/api/posts/${id}/comments`,
+    LIKE: (id) => `/api/posts/${id}/like`,
+    BOOKMARK: (id) => `/api/posts/${id}/bookmark`,
+    TRASH: '/api/posts/trash',
+    RESTORE: (id) => `/api/posts/${id}/restore`,
+    ATTACHMENTS: (id) => `/api/posts/${id}/attachments`,
+  },
+  ATTACHMENTS: {
+    FILE: (id) => `/api/attachments/${id}`,
+    THUMBNAIL: (id) => `/api/attachments/${id}/thumbnail`,
+  },
+  FEEDS: {
+    POSTS: (format) => `/feeds/posts.${format}`,
+    CATEGORY: (slug, format) => `/feeds/categories/${slug}/posts.${format}`,
+    AUTHOR: (username, format) => `/feeds/authors/${username}/posts.${format}`,
+  },
+  CATEGORIES: {
+    BASE: '/api/categories',
+    BY_ID: (id) => `/api/categories/${id}`,
+  },
+  USERS: {
+    ME: '/api/users/me',
+    PASSWORD: '/api/users/me/password',
+    PROFILE: (username) => `/api/users/${username}`,
+    API_KEYS: '/api/users/me/api-keys',
+    API_KEY: (id) => `/api/users/me/api-keys/${id}`,
+    BOOKMARKS: '/api/users/me/bookmarks',
+  },
+  ADMIN: {
+    USERS: '/api/admin/users',
+    USER: (id) => `/api/admin/users/${id}`,
+    ROLE: (id) => `/api/admin/users/${id}/role`,
+    SUSPEND: (id) => `/api/admin/users/${id}/suspend`,
+    UNSUSPEND: (id) => `/api/admin/users/${id}/unsuspend`,
+    FORCE_PASSWORD_RESET: (id) => `/api/admin/users/${id}/force-password-reset`,
+    UNLOCK_USER: (id) => `/api/admin/users/${id}/unlock`,
+    ROLES: '/api/admin/roles',
+    ROLE_BY_NAME: (name) => `/api/admin/roles/${name}`,
   },
   TEST: {
     SEED: '/api/test/seed',
@@ -99,6 +154,8 @@ const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  LOCKED: 423,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
 };
 
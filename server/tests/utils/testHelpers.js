@@ -1,6 +1,7 @@
 const { faker } = require('@faker-js/faker');
 const User = require('../../src/models/User');
 const Post = require('../../src/models/Post');
+const Session = require('../../src/models/Session');
 const { generateToken } = require('../../src/utils/auth');
 const mongoose = require('mongoose');
 
@@ -39,11 +40,12 @@ const generatePostData = (overrides = {}) => {
 
 /**
  * Create a test user in the database
+ * Users are email-verified unless overridden
  * @param {Object} userData - User data
  * @returns {Object} Created user
  */
 const createTestUser = async (userData = {}) => {
-  const data = generateUserData(userData);
+  const data = generateUserData({ emailVerified: true, ...userData });
   const user = await User.create(data);
   return user;
 };
@@ -103,12 +105,13 @@ const createTestPosts = async (count = 3, authorId = null) => {
 };
 
 /**
- * Generate authentication token for a user
+ * Start a session for a user and generate an access token for it
  * @param {Object} user - User object
  * @returns {String} JWT token
  */
-const generateAuthToken = (user) => {
-  return generateToken(user);
+const generateAuthToken = async (user) => {
+  const session = await Session.start(user);
+  return generateToken(user, session.id);
 };
 
 /**
@@ -118,7 +121,7 @@ const generateAuthToken = (user) => {
  */
 const createAuthenticatedUser = async (userData = {}) => {
   const user = await createTestUser(userData);
-  const token = generateAuthToken(user);
+  const token = await generateAuthToken(user);
   return { user, token };
 };
 